@@ -0,0 +1,11 @@
+export const metadata = {
+  title: 'Image set example',
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
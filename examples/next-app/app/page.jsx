@@ -0,0 +1,12 @@
+import Image from 'next/image';
+import { getGalleryImages } from '../lib/gallery';
+
+export default function Page() {
+  return (
+    <main>
+      {getGalleryImages({ limit: 12 }).map(({ key, ...props }) => (
+        <Image key={key} {...props} />
+      ))}
+    </main>
+  );
+}
@@ -0,0 +1,16 @@
+const { queryImages, getImageProps } = require('image-metaphor');
+
+/**
+ * Gets the props of the images matching a query, to render with `next/image`.
+ * @param {import('image-metaphor').ImageQuery} [query] - The filters, sorting and pagination to apply.
+ */
+function getGalleryImages(query = {}) {
+  return queryImages({ sortBy: 'filename', ...query }).map(image => ({
+    key: image.filename,
+    ...getImageProps(image.filename),
+  }));
+}
+
+module.exports = {
+  getGalleryImages,
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Next.js example app', () => {
+  const cwd = process.cwd();
+  let appDir;
+  let nextConfig;
+
+  beforeAll(() => {
+    // Next.js loads the config from the app directory, so the images are copied to its public directory
+    appDir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-app-'));
+    process.chdir(appDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    nextConfig = require('./next.config');
+  });
+
+  afterAll(() => {
+    process.chdir(cwd);
+    fs.rmSync(appDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the Next.js config', () => {
+    expect(nextConfig).toEqual({ reactStrictMode: true });
+  });
+
+  test('renders images whose src is served from the public directory', () => {
+    const { getGalleryImages } = require('./lib/gallery');
+    const images = getGalleryImages();
+
+    expect(images.length).toBeGreaterThan(0);
+    for (const { key, src, width, height, alt } of images) {
+      expect(src).toBe(`/images/image-metaphor/${key}`);
+      expect(fs.existsSync(path.join(appDir, 'public', src))).toBe(true);
+      expect(width).toBeGreaterThan(0);
+      expect(height).toBeGreaterThan(0);
+      expect(typeof alt).toBe('string');
+    }
+  });
+});
@@ -0,0 +1,9 @@
+const { withImageSet } = require('image-metaphor/next');
+
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+};
+
+// Copies the images to public/images/image-metaphor/ whenever Next.js starts
+module.exports = withImageSet(nextConfig);
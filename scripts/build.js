@@ -0,0 +1,46 @@
+// @ts-check
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getImageSetFromArgs, imageSetOptions } = require('./lib/image-set-options');
+const { buildPackage } = require('./lib/build');
+
+/**
+ * Builds the browser and ES module entry points of the package, with the manifest of the image set embedded.
+ * Run `npm run build` rather than this script, so the declarations the entry points build on are emitted first.
+ * The browser builds bundle the modules under `src/` by following their `require()` calls, so those modules may
+ * only use static `require('<relative path>')` calls; the build fails on a dynamic `require(name)` or any other
+ * use of `require` instead of copying it into the bundle.
+ */
+function build() {
+  const { values } = parseArgs({
+    options: {
+      ...imageSetOptions,
+      out: { type: 'string' }
+    }
+  });
+
+  const imageSet = getImageSetFromArgs();
+  const { root } = imageSet.getImageSetPaths();
+  const outDir = path.resolve(typeof values.out === 'string' ? values.out : path.join(root, 'dist'));
+
+  /** @type {string|null} */
+  let version = null;
+  try {
+    version = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version || null;
+  } catch (error) {
+    // Image sets without a package.json get a manifest without a version
+  }
+
+  try {
+    const files = buildPackage(imageSet, { outDir, version });
+    for (const file of files) {
+      console.log(`Wrote ${path.join(outDir, file)}`);
+    }
+  } catch (error) {
+    console.error('Build failed:', error instanceof Error ? error.message : error);
+    process.exitCode = 1;
+  }
+}
+
+build();
@@ -0,0 +1,74 @@
+// @ts-check
+const path = require('path');
+const { parseArgs } = require('util');
+const { getImageSetFromArgs, imageSetOptions } = require('./lib/image-set-options');
+const { createStore } = require('./lib/store');
+const { computePerceptualHash } = require('./lib/perceptual-hash');
+const { findDuplicateClusters, isComparableHash } = require('../src/similarity');
+
+/**
+ * Lists clusters of near-duplicate images, comparing the perceptual hashes in the metadata.
+ * Images without a stored hash, or with a hash of another size (e.g. a hand-edited one), are hashed on the fly;
+ * run `npm run compress-images` to store their hashes.
+ */
+async function findDuplicates() {
+  const { values } = parseArgs({
+    options: {
+      ...imageSetOptions,
+      threshold: { type: 'string' },
+      json: { type: 'boolean' }
+    }
+  });
+
+  const imageSet = getImageSetFromArgs();
+  const store = createStore(imageSet.getImageSetPaths());
+  await store.loadConfig();
+
+  const threshold = values.threshold === undefined ? store.config.duplicates.threshold : Number(values.threshold);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    console.error(`Invalid --threshold: ${values.threshold}. Expected a whole number of bits from 0 to 64.`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { imagesDir } = imageSet.getImageSetPaths();
+  const images = [];
+  /** @type {string[]} */
+  const rehashed = [];
+  for (const image of imageSet.getImageMetadata()) {
+    let { perceptualHash } = image;
+    if (!isComparableHash(perceptualHash)) {
+      if (perceptualHash !== undefined) rehashed.push(image.filename);
+      perceptualHash = await computePerceptualHash(path.join(imagesDir, image.filename)).catch(() => undefined);
+    }
+    images.push({ filename: image.filename, perceptualHash });
+  }
+  if (rehashed.length > 0) {
+    console.warn(`Hashed ${rehashed.length} image(s) again whose stored perceptual hash is not 16 hex digits: `
+      + `${rehashed.join(', ')}. Run \`npm run compress-images\` to store their new hashes.`);
+  }
+  const clusters = findDuplicateClusters(images, threshold);
+
+  if (values.json) {
+    console.log(JSON.stringify(clusters, null, 2));
+    return;
+  }
+
+  if (clusters.length === 0) {
+    console.log(`No near-duplicates found (threshold ${threshold}).`);
+    return;
+  }
+
+  console.log(`Found ${clusters.length} cluster(s) of near-duplicates (threshold ${threshold}):`);
+  clusters.forEach(({ filenames, maxDistance }, i) => {
+    console.log(`  ${i + 1}. max distance ${maxDistance}:`);
+    for (const filename of filenames) {
+      console.log(`    - ${filename}`);
+    }
+  });
+}
+
+findDuplicates().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} filename - The name of the backup file in the backups directory
+ * @property {string} targetPath - The path of the file the backup was taken of
+ * @property {Date} createdAt - When the backup was taken
+ */
+
+/**
+ * Writes a file atomically: the data is written to a temporary file next to the target,
+ * which is then renamed over the target. Readers never see a partially written file.
+ * @param {string} filePath - The path of the file to write
+ * @param {string} data - The contents of the file
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Gets the prefix of the backup filenames of a file, e.g. `image-metadata.` for `src/image-metadata.json`
+ * @param {string} targetPath - The path of the backed up file
+ * @returns {string} - The prefix
+ */
+function getBackupPrefix(targetPath) {
+  return `${path.basename(targetPath, path.extname(targetPath))}.`;
+}
+
+/**
+ * Lists the backups of the given files, newest first
+ * @param {string} backupsDir - The directory holding the backups
+ * @param {string[]} targetPaths - The paths of the backed up files
+ * @returns {Promise<Backup[]>} - The backups
+ */
+async function listBackups(backupsDir, targetPaths) {
+  /** @type {string[]} */
+  let filenames;
+  try {
+    filenames = await fs.readdir(backupsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  /** @type {Backup[]} */
+  const backups = [];
+  for (const filename of filenames) {
+    const targetPath = targetPaths.find(target => filename.startsWith(getBackupPrefix(target)));
+    if (!targetPath) continue;
+
+    const stamp = filename.slice(getBackupPrefix(targetPath).length, -path.extname(targetPath).length || undefined);
+    const createdAt = new Date(stamp.replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, 'T$1:$2:$3.$4Z'));
+    if (isNaN(createdAt.getTime())) continue;
+
+    backups.push({ filename, targetPath, createdAt });
+  }
+  return backups.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime() || b.filename.localeCompare(a.filename));
+}
+
+/**
+ * Copies the current version of a file to the backups directory, and deletes its oldest backups
+ * so that at most `keep` remain. Does nothing if the file does not exist or `keep` is 0.
+ * @param {string} targetPath - The path of the file to back up
+ * @param {string} backupsDir - The directory holding the backups
+ * @param {number} keep - The number of backups to keep of the file
+ * @returns {Promise<string|null>} - The filename of the new backup, or null if none was taken
+ */
+async function backupFile(targetPath, backupsDir, keep) {
+  if (keep <= 0) return null;
+
+  let data;
+  try {
+    data = await fs.readFile(targetPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `${getBackupPrefix(targetPath)}${stamp}${path.extname(targetPath)}`;
+  await fs.mkdir(backupsDir, { recursive: true });
+  await writeFileAtomic(path.join(backupsDir, filename), data);
+
+  const outdated = (await listBackups(backupsDir, [targetPath])).slice(keep);
+  for (const backup of outdated) {
+    await fs.rm(path.join(backupsDir, backup.filename), { force: true });
+  }
+  return filename;
+}
+
+/**
+ * Restores a file from one of its backups. The current version of the file is backed up first,
+ * so a restore can itself be undone.
+ * @param {string} backupsDir - The directory holding the backups
+ * @param {Backup} backup - The backup to restore
+ * @param {number} keep - The number of backups to keep of the file
+ * @returns {Promise<void>}
+ * @throws {Error} If the backup is not valid JSON; nothing is changed in that case
+ */
+async function restoreBackup(backupsDir, backup, keep) {
+  const data = await fs.readFile(path.join(backupsDir, backup.filename), 'utf8');
+  try {
+    JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Backup ${backup.filename} is not valid JSON: ${error instanceof Error ? error.message : error}`);
+  }
+
+  await backupFile(backup.targetPath, backupsDir, Math.max(keep, 1));
+  await writeFileAtomic(backup.targetPath, data);
+}
+
+module.exports = {
+  writeFileAtomic,
+  listBackups,
+  backupFile,
+  restoreBackup,
+};
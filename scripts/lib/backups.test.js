@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, listBackups, backupFile, restoreBackup } = require('./backups');
+
+describe('backups', () => {
+  let dir;
+  let backupsDir;
+  let target;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-backups-'));
+    backupsDir = path.join(dir, '.backups');
+    target = path.join(dir, 'image-metadata.json');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Backs up the target file with the given contents at the given time.
+   * @param {string} data
+   * @param {string} time
+   * @param {number} [keep]
+   */
+  const backupAt = async (data, time, keep = 10) => {
+    fs.writeFileSync(target, data);
+    jest.useFakeTimers({ now: new Date(time), doNotFake: ['nextTick', 'setImmediate'] });
+    const filename = await backupFile(target, backupsDir, keep);
+    jest.useRealTimers();
+    return filename;
+  };
+
+  test('writeFileAtomic replaces the file without leaving a temporary file', async () => {
+    fs.writeFileSync(target, '[]');
+    await writeFileAtomic(target, '[{}]');
+    expect(fs.readFileSync(target, 'utf8')).toBe('[{}]');
+    expect(fs.readdirSync(dir)).toEqual(['image-metadata.json']);
+  });
+
+  test('backupFile copies the file and keeps only the newest backups', async () => {
+    expect(await backupAt('[1]', '2024-01-01T10:00:00.000Z', 2)).toBe('image-metadata.2024-01-01T10-00-00-000Z.json');
+    await backupAt('[2]', '2024-01-02T10:00:00.000Z', 2);
+    await backupAt('[3]', '2024-01-03T10:00:00.000Z', 2);
+
+    const backups = await listBackups(backupsDir, [target]);
+    expect(backups.map(backup => backup.filename)).toEqual([
+      'image-metadata.2024-01-03T10-00-00-000Z.json',
+      'image-metadata.2024-01-02T10-00-00-000Z.json',
+    ]);
+    expect(backups[0]).toEqual({ filename: backups[0].filename, targetPath: target, createdAt: new Date('2024-01-03T10:00:00.000Z') });
+    expect(fs.readFileSync(path.join(backupsDir, backups[1].filename), 'utf8')).toBe('[2]');
+  });
+
+  test('backupFile does nothing for missing files or when backups are disabled', async () => {
+    expect(await backupFile(target, backupsDir, 10)).toBeNull();
+    fs.writeFileSync(target, '[]');
+    expect(await backupFile(target, backupsDir, 0)).toBeNull();
+    expect(await listBackups(backupsDir, [target])).toEqual([]);
+  });
+
+  test('listBackups only lists backups of the given files', async () => {
+    await backupAt('[]', '2024-01-01T10:00:00.000Z');
+    fs.writeFileSync(path.join(backupsDir, 'tag-config.2024-01-01T10-00-00-000Z.json'), '{}');
+    fs.writeFileSync(path.join(backupsDir, 'notes.txt'), '');
+
+    expect((await listBackups(backupsDir, [target])).map(backup => backup.filename)).toEqual([
+      'image-metadata.2024-01-01T10-00-00-000Z.json',
+    ]);
+    expect(await listBackups(path.join(dir, 'missing'), [target])).toEqual([]);
+  });
+
+  test('restoreBackup restores the file and backs up the current version first', async () => {
+    await backupAt('[1]', '2024-01-01T10:00:00.000Z');
+    fs.writeFileSync(target, '[2]');
+    const [backup] = await listBackups(backupsDir, [target]);
+
+    await restoreBackup(backupsDir, backup, 10);
+    expect(fs.readFileSync(target, 'utf8')).toBe('[1]');
+    const backups = await listBackups(backupsDir, [target]);
+    expect(backups.length).toBe(2);
+    expect(fs.readFileSync(path.join(backupsDir, backups[0].filename), 'utf8')).toBe('[2]');
+  });
+
+  test('restoreBackup refuses to restore a backup that is not valid JSON', async () => {
+    await backupAt('[1', '2024-01-01T10:00:00.000Z');
+    fs.writeFileSync(target, '[2]');
+    const [backup] = await listBackups(backupsDir, [target]);
+
+    await expect(restoreBackup(backupsDir, backup, 10)).rejects.toThrow('is not valid JSON');
+    expect(fs.readFileSync(target, 'utf8')).toBe('[2]');
+  });
+});
@@ -0,0 +1,239 @@
+// @ts-check
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { createManifest, createManifestImageSet } = require('../../src/manifest');
+
+/**
+ * @typedef {import('../../src/index').ImageSet} ImageSet
+ */
+
+const srcDir = path.join(__dirname, '..', '..', 'src');
+
+/** The types of the library that the generated entry points export by name */
+const TYPE_NAMES = [
+  'ImageMetadata', 'ResolvedImageMetadata', 'ImageVariant', 'ImageSource', 'ImageProps', 'SimilarImage',
+  'Tag', 'TagConfig', 'TagCategory', 'ImageQuery', 'ValidationReport', 'LocaleOptions', 'ImageTranslation', 'TagTranslation',
+];
+
+const GENERATED_NOTICE = '// Generated by scripts/build.js. Do not edit.';
+
+/**
+ * Resolves a relative `require()` the way Node does for files: as is, with `.js` or `.json`, or as a directory's `index.js`.
+ * @param {string} file - The absolute path being required.
+ * @returns {string} The path of the module file.
+ * @throws {Error} If no such file exists.
+ */
+function resolveModule(file) {
+  const candidate = [file, `${file}.js`, `${file}.json`, path.join(file, 'index.js')]
+    .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!candidate) throw new Error(`Cannot find module ${file}`);
+  return candidate;
+}
+
+/**
+ * Finds the `require()` calls of a module in its syntax tree, so text that only looks like one, in a comment or
+ * a string, is left alone.
+ * @param {string} id - The id of the module, for error messages.
+ * @param {string} source - The source of the module.
+ * @returns {{ start: number, end: number, specifier: string }[]} The calls and what they require, in source order.
+ * @throws {Error} If a module is required with anything but a string literal, or `require` is used in any other
+ * way, e.g. as `require.resolve()` or passed around as a value, as none of these can be followed.
+ */
+function findRequireCalls(id, source) {
+  const sourceFile = ts.createSourceFile(id, source, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+  /** @type {{ start: number, end: number, specifier: string }[]} */
+  const calls = [];
+
+  /** @param {import('typescript').Node} node */
+  const getLine = (node) => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+
+  /** @param {import('typescript').Node} node */
+  const visit = (node) => {
+    if (ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === 'require') {
+      const [specifier] = node.arguments;
+      if (node.arguments.length !== 1 || !ts.isStringLiteralLike(specifier)) {
+        throw new Error(`${id}:${getLine(node)} requires a module dynamically, which cannot be bundled; require a string literal.`);
+      }
+      calls.push({ start: node.getStart(sourceFile), end: node.getEnd(), specifier: specifier.text });
+      return;
+    }
+    if (ts.isIdentifier(node) && node.text === 'require') {
+      const { parent } = node;
+      const isPropertyName = (ts.isPropertyAccessExpression(parent) || ts.isPropertyAssignment(parent)) && parent.name === node;
+      if (!isPropertyName) {
+        throw new Error(`${id}:${getLine(node)} uses require other than as require('<path>'), which cannot be bundled.`);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return calls;
+}
+
+/**
+ * Bundles CommonJS modules into one file that runs without `require`, e.g. in browsers. Starting from the entry,
+ * every relative `require()` is followed and its module wrapped in a function. Requiring anything else, such as
+ * Node's built-in modules, is an error, so code meant for browsers cannot depend on them by accident. Only static
+ * `require('<path>')` calls are supported: a dynamic `require()`, whose module is not known until it runs, or any
+ * other use of `require` fails the bundle instead of being copied into it unchanged.
+ * @param {string} entryPath - The path of the entry module, which does not need to exist as its source is given.
+ * @param {string} entrySource - The source of the entry module.
+ * @param {'esm'|'cjs'} format - Whether the bundle exports the entry's exports as an ES module or as CommonJS.
+ * @param {string[]} [exportNames] - For ES modules, the properties of the entry's exports to also export by name.
+ * @returns {string} The source of the bundle.
+ * @throws {Error} If a module requires something other than a relative path, requires a module dynamically, uses
+ * `require` in any other way, or a module cannot be found.
+ */
+function bundleModules(entryPath, entrySource, format, exportNames = []) {
+  const root = path.dirname(entryPath);
+  /** @type {Map<string, string>} */
+  const modules = new Map();
+
+  /**
+   * Adds a module and, recursively, everything it requires.
+   * @param {string} file - The path of the module.
+   * @param {string} source - The source of the module.
+   * @returns {string} The id of the module in the bundle.
+   */
+  function addModule(file, source) {
+    const id = path.relative(root, file).split(path.sep).join('/');
+    if (modules.has(id)) return id;
+    modules.set(id, ''); // Reserved first, so circular requires end here
+
+    let code = source;
+    if (file.endsWith('.json')) {
+      code = `module.exports = ${source.trim()};`;
+    } else {
+      const replacements = findRequireCalls(id, source).map(({ start, end, specifier }) => {
+        if (!specifier.startsWith('.')) {
+          throw new Error(`${id} requires "${specifier}", which cannot be bundled; only relative modules can.`);
+        }
+        const required = resolveModule(path.resolve(path.dirname(file), specifier));
+        return { start, end, requiredId: addModule(required, fs.readFileSync(required, 'utf8')) };
+      });
+      // Replaced from the end, so the positions of the earlier calls stay valid
+      for (const { start, end, requiredId } of replacements.reverse()) {
+        code = `${code.slice(0, start)}__require(${JSON.stringify(requiredId)})${code.slice(end)}`;
+      }
+    }
+    modules.set(id, code);
+    return id;
+  }
+
+  const entryId = addModule(entryPath, entrySource);
+  const definitions = [...modules].map(([id, code]) => `  ${JSON.stringify(id)}: function (module, exports) {\n${code.trimEnd()}\n  },`);
+  const lines = [
+    GENERATED_NOTICE,
+    ...(format === 'cjs' ? ["'use strict';"] : []),
+    'const __modules = {',
+    ...definitions,
+    '};',
+    'const __cache = {};',
+    'function __require(id) {',
+    '  if (!__cache[id]) {',
+    '    __cache[id] = { exports: {} };',
+    '    __modules[id](__cache[id], __cache[id].exports);',
+    '  }',
+    '  return __cache[id].exports;',
+    '}',
+    `const __entry = __require(${JSON.stringify(entryId)});`,
+    ...(format === 'cjs'
+      ? ['module.exports = __entry;']
+      : ['export default __entry;', ...(exportNames.length > 0 ? [`export const { ${exportNames.join(', ')} } = __entry;`] : [])]),
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats the type declarations of an ES module entry point: a default export and the given named exports.
+ * @param {string[]} imports - The import declarations the other lines rely on, including `core` for the library types.
+ * @param {string} type - The type of the default export.
+ * @param {string[]} names - The properties of the default export to export by name.
+ * @returns {string} The contents of the `.d.mts` file.
+ */
+function formatEsmTypes(imports, type, names) {
+  return [
+    GENERATED_NOTICE,
+    ...imports,
+    '',
+    ...TYPE_NAMES.map(name => `export type ${name} = core.${name};`),
+    '',
+    `declare const imageSet: ${type};`,
+    'export default imageSet;',
+    ...names.map(name => `export declare const ${name}: typeof imageSet.${name};`),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Builds the package entry points into the output directory:
+ * - `manifest.json`, the manifest of the image set
+ * - `browser/index.mjs` and `browser/index.cjs`, which embed the manifest and run without any Node built-ins
+ * - `node/index.mjs`, an ES module wrapper around `src/index.js`
+ * - the `.d.mts` and `.d.cts` declarations of these entry points, which build on the declarations
+ *   `npm run build-types` emits to `<outDir>/src`
+ * @param {Pick<ImageSet, 'getImageSetName'|'getTagCategories'|'getImageMetadata'|'getImageList'>} imageSet - The image set to embed.
+ * @param {Object} options
+ * @param {string} options.outDir - The directory to write to.
+ * @param {string|null} options.version - The version of the package.
+ * @returns {string[]} The paths of the written files, relative to the output directory.
+ */
+function buildPackage(imageSet, { outDir, version }) {
+  const manifest = createManifest(imageSet, version);
+  const browserNames = Object.keys(createManifestImageSet(manifest));
+  const nodeNames = Object.keys(require('../../src/index'));
+  const nodeSource = path.relative(path.join(outDir, 'node'), path.join(srcDir, 'index.js')).split(path.sep).join('/');
+  const entrySource = [
+    "const { createManifestImageSet } = require('./manifest');",
+    `module.exports = createManifestImageSet(${JSON.stringify(manifest)});`,
+  ].join('\n');
+  const entryPath = path.join(srcDir, 'browser-entry.js');
+
+  /** @type {Record<string, string>} */
+  const files = {
+    'manifest.json': `${JSON.stringify(manifest, null, 2)}\n`,
+    'browser/index.mjs': bundleModules(entryPath, entrySource, 'esm', browserNames),
+    'browser/index.cjs': bundleModules(entryPath, entrySource, 'cjs'),
+    'browser/index.d.mts': formatEsmTypes([
+      "import type * as core from '../src/image-set-core.js';",
+      "import type { ManifestImageSet } from '../src/manifest.js';",
+    ], 'ManifestImageSet', browserNames),
+    'browser/index.d.cts': [
+      GENERATED_NOTICE,
+      "import type * as core from '../src/image-set-core';",
+      "import type { ManifestImageSet } from '../src/manifest';",
+      '',
+      'declare const imageSet: ManifestImageSet;',
+      'declare namespace imageSet {',
+      ...TYPE_NAMES.map(name => `  export type ${name} = core.${name};`),
+      '}',
+      'export = imageSet;',
+      '',
+    ].join('\n'),
+    'node/index.mjs': [
+      GENERATED_NOTICE,
+      `import imageSet from ${JSON.stringify(nodeSource.startsWith('.') ? nodeSource : `./${nodeSource}`)};`,
+      '',
+      'export default imageSet;',
+      `export const { ${nodeNames.join(', ')} } = imageSet;`,
+      '',
+    ].join('\n'),
+    'node/index.d.mts': formatEsmTypes([
+      "import type * as core from '../src/image-set-core.js';",
+      "import type nodeImageSet from '../src/index.js';",
+    ], 'typeof nodeImageSet', nodeNames),
+  };
+
+  for (const [file, contents] of Object.entries(files)) {
+    const outPath = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, contents);
+  }
+  return Object.keys(files);
+}
+
+module.exports = {
+  bundleModules,
+  buildPackage,
+};
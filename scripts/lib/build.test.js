@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const imageSet = require('../../src/index');
+const { bundleModules, buildPackage } = require('./build');
+
+describe('bundleModules', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-'));
+    fs.writeFileSync(path.join(dir, 'double.js'), "const { factor } = require('./data.json');\nmodule.exports = value => value * factor;\n");
+    fs.writeFileSync(path.join(dir, 'data.json'), '{ "factor": 2 }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('inlines relative modules and JSON files', () => {
+    const source = bundleModules(path.join(dir, 'entry.js'), "module.exports = { four: require('./double')(2) };", 'cjs');
+    const module = { exports: {} };
+    new Function('module', source)(module);
+
+    expect(module.exports).toEqual({ four: 4 });
+    expect(source).not.toMatch(/\brequire\(/);
+  });
+
+  test('rejects modules that require Node built-ins or packages', () => {
+    fs.writeFileSync(path.join(dir, 'reader.js'), "const fs = require('fs');\n");
+    expect(() => bundleModules(path.join(dir, 'entry.js'), "require('./reader');", 'esm'))
+      .toThrow('reader.js requires "fs", which cannot be bundled');
+  });
+
+  test('leaves require() in comments and strings alone and rejects dynamic requires and other uses of require', () => {
+    const entry = [
+      "// Not bundled: require('fs')",
+      "const hint = \"call require('path') in Node\";",
+      "module.exports = { four: require(`./double`)(2), hint };",
+    ].join('\n');
+    const source = bundleModules(path.join(dir, 'entry.js'), entry, 'cjs');
+    const module = { exports: {} };
+    new Function('module', source)(module);
+
+    expect(module.exports).toEqual({ four: 4, hint: "call require('path') in Node" });
+    expect(source).toContain("// Not bundled: require('fs')");
+    expect(() => bundleModules(path.join(dir, 'entry.js'), "const name = './double';\nrequire(name);", 'cjs'))
+      .toThrow('entry.js:2 requires a module dynamically, which cannot be bundled');
+    expect(() => bundleModules(path.join(dir, 'entry.js'), "module.exports = require.resolve('./double');", 'cjs'))
+      .toThrow("entry.js:1 uses require other than as require('<path>'), which cannot be bundled");
+    expect(() => bundleModules(path.join(dir, 'entry.js'), "const load = require;\nload('./double');", 'cjs'))
+      .toThrow('entry.js:1 uses require other than as require');
+  });
+});
+
+describe('buildPackage', () => {
+  let outDir;
+
+  beforeAll(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-'));
+    buildPackage(imageSet, { outDir, version: '2.1.0' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  test('writes a CommonJS browser bundle with the manifest embedded', () => {
+    const browser = require(path.join(outDir, 'browser', 'index.cjs'));
+
+    expect(browser.getImageMetadata()).toEqual(imageSet.getImageMetadata());
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8')))
+      .toMatchObject({ name: imageSet.getImageSetName(), version: '2.1.0', files: imageSet.getImageList() });
+  });
+
+  test('writes ES modules exporting the same functions by name', () => {
+    const script = `
+      const browser = await import(${JSON.stringify(path.join(outDir, 'browser', 'index.mjs'))});
+      const node = await import(${JSON.stringify(path.join(outDir, 'node', 'index.mjs'))});
+      console.log(JSON.stringify({
+        browser: Object.keys(browser).sort(),
+        node: Object.keys(node).sort(),
+        labels: [browser.getImageMetadata()[0].label, node.getImageMetadata()[0].label],
+      }));`;
+    const result = JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8' }));
+
+    const nodeOnly = ['getImageSetPaths', 'watchImageSet', 'createImageSet'];
+    expect(result.node).toEqual([...Object.keys(imageSet), 'default'].sort());
+    expect(result.browser).toEqual(result.node.filter(name => !nodeOnly.includes(name)));
+    expect(result.labels).toEqual([imageSet.getImageMetadata()[0].label, imageSet.getImageMetadata()[0].label]);
+  });
+
+  test('writes declarations for the ES module and CommonJS entry points', () => {
+    const types = fs.readFileSync(path.join(outDir, 'browser', 'index.d.mts'), 'utf8');
+    expect(types).toContain('export declare const getImageList: typeof imageSet.getImageList;');
+    expect(types).toContain('export type ResolvedImageMetadata = core.ResolvedImageMetadata;');
+    expect(fs.readFileSync(path.join(outDir, 'browser', 'index.d.cts'), 'utf8')).toContain('export = imageSet;');
+    expect(fs.readFileSync(path.join(outDir, 'node', 'index.d.mts'), 'utf8'))
+      .toContain('export declare const createImageSet: typeof imageSet.createImageSet;');
+  });
+});
@@ -0,0 +1,791 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { matchesGlob } = require('./glob');
+const { imageSetOptions } = require('./image-set-options');
+const { checkCategoryRules } = require('../../src/tag-categories');
+const { renameTag, mergeTags, deleteTag, moveTag, printTagOperationResult } = require('./tag-operations');
+const { listBackups, restoreBackup } = require('./backups');
+const { reencodeImage } = require('./image-processing');
+const { createSizeReport } = require('./size-report');
+const { EXPORT_FORMATS, toCsv, toYaml, createManifest, planCsvImport } = require('./metadata-export');
+const { writeGallery, serveDirectory } = require('./gallery');
+const { watchDirectory, isIngestible, ingestFiles } = require('./watch');
+const { SCHEMA_VERSION, getMigrations } = require('../../src/schema');
+const { IMAGE_DETAILS } = require('./image-details');
+const { createTranslationFile, findMissingTranslations, planTranslationImport, applyTranslationChanges } = require('./translations');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('../../src/index').ImageSet} ImageSet
+ * @typedef {import('./tag-operations').TagOperationResult} TagOperationResult
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {ImageSet} imageSet - The image set the command works on
+ * @property {Store} store - The loaded metadata and tag configuration of the image set
+ */
+
+/**
+ * @typedef {Object} CommandOptions
+ * @property {boolean} [dry-run] - Print the changes without saving them
+ * @property {boolean} [json] - Print machine-readable output
+ * @property {string} [title] - Title of a new tag
+ * @property {string} [description] - Description of a new tag
+ * @property {string} [category] - Category of a new tag
+ * @property {string} [quality] - Encoding quality for reencode
+ * @property {string} [effort] - Encoding effort for reencode
+ * @property {boolean} [lossless] - Lossless encoding for reencode
+ * @property {string} [out] - Output directory for export, gallery and translations export
+ * @property {boolean} [serve] - Serve the gallery over HTTP after writing it
+ * @property {string} [port] - Port of the gallery server
+ * @property {string} [inbox] - Inbox directory for watch
+ * @property {string} [debounce] - Debounce delay of watch in milliseconds
+ */
+
+/**
+ * @callback Command
+ * @param {string[]} args - The positional arguments after the command name
+ * @param {CommandOptions} options - The parsed options
+ * @param {CommandContext} context - The image set and store to work on
+ * @returns {Promise<number>} - The exit code
+ */
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const usage = `Usage: npm run process-images -- <command> [options]
+
+Commands:
+  tag add <glob> <tag...>        Add tags to every image matching the glob
+  tag remove <glob> <tag...>     Remove tags from every image matching the glob
+  label set <file> <text>        Set the label of an image
+  tags create <name>             Create a tag (--title, --description, --category, defaults to general)
+  tags list                      List all tags by category
+  tags rename <name> <new-name>  Rename a tag on every image
+  tags merge <tag...> <target>   Replace tags with the target tag on every image and delete them
+  tags delete <name>             Delete a tag and remove it from every image
+  tags move <name> <category>    Move a tag to another category
+  metadata show <file>           Show the metadata of an image
+  metadata set <file> <field> <text>  Set the alt, description, credit, license, prompt, model or seed of an image ("" removes it)
+  restore [backup]               List the backups, or roll a file back to the given backup
+  reencode [glob]                Encode images again from their archived originals (--quality, --effort, --lossless)
+  export [csv|yaml|manifest...]  Write the metadata with full tags to exports/ (--out <dir>), all formats by default
+  import <file.csv>              Update labels and tags from a CSV, printing the changes before saving them
+  gallery                        Write a static HTML gallery to gallery/ (--out <dir>, --serve, --port <n>)
+  watch                          Compress new images as they are added and queue them for review (--inbox <dir>, --debounce <ms>)
+  migrate                        Upgrade image-metadata.json and tag-config.json to the current schema version
+  translations export [locale...]  Write a <locale>.json translation file per locale to translations/ (--out <dir>)
+  translations import <file...>  Update the translations from edited translation files, printing the changes before saving them
+  translations report [locale...]  List the labels, alt texts, tag titles and descriptions missing a translation
+
+Options:
+  --dry-run                      Print the changes without saving them
+  --json                         Print JSON (tags list, metadata show, translations report)
+  --out <dir>                    Output directory of export, gallery and translations export
+                                 (defaults to exports/, gallery/ and translations/ of the image set)
+  --serve, --port <n>            Serve the gallery at http://localhost:<n>/ (defaults to 8080) until stopped
+  --inbox <dir>                  Watch this directory instead of the image directory, moving new files into the image set
+  --debounce <ms>                Wait this long after the last change before compressing (defaults to 1000)
+  --root <dir>, --set <name>     Select the image set to work on
+
+Run without a command to start the interactive menu.`;
+
+/**
+ * Prints an error followed by the usage
+ * @param {string} message - The error message
+ * @returns {number} - The usage error exit code
+ */
+function usageError(message) {
+  console.error(message);
+  console.error(usage);
+  return EXIT_USAGE;
+}
+
+/**
+ * Saves changes through the given function, unless running with --dry-run
+ * @param {() => Promise<void>} save - The function that saves the changes
+ * @param {CommandOptions} options - The parsed options
+ * @returns {Promise<number>} - The success exit code, or the failure exit code if saving failed
+ */
+async function saveUnlessDryRun(save, options) {
+  if (options['dry-run']) {
+    console.log('Dry run: no changes were saved.');
+    return EXIT_SUCCESS;
+  }
+
+  try {
+    await save();
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : String(error));
+    return EXIT_FAILURE;
+  }
+  return EXIT_SUCCESS;
+}
+
+/** @type {Command} */
+async function addTags([pattern, ...tagNames], options, { imageSet, store }) {
+  if (!pattern || tagNames.length === 0) return usageError('tag add requires a glob and at least one tag.');
+
+  const knownTags = store.getAllTags().map(tag => tag.name);
+  const unknownTags = tagNames.filter(tagName => !knownTags.includes(tagName));
+  if (unknownTags.length > 0) {
+    console.error(`Unknown tag(s): ${unknownTags.join(', ')}. Create them with "tags create" first.`);
+    return EXIT_FAILURE;
+  }
+
+  const images = imageSet.getImageList().filter(image => matchesGlob(image, pattern));
+  if (images.length === 0) {
+    console.error(`No images match "${pattern}".`);
+    return EXIT_FAILURE;
+  }
+
+  const categories = store.getTagCategories();
+  for (const image of images) {
+    const current = store.findImage(image) || { tags: [], label: '' };
+    const tags = [...current.tags, ...tagNames.filter(tagName => !current.tags.includes(tagName))];
+    const violation = checkCategoryRules(tags, categories).find(v => v.rule === 'single-select');
+    if (violation) {
+      console.error(`${image}: category "${violation.category}" allows only one tag, got ${violation.tags.join(', ')}.`);
+      return EXIT_FAILURE;
+    }
+  }
+
+  let changed = 0;
+  for (const image of images) {
+    const current = store.findImage(image) || { tags: [], label: '' };
+    const added = tagNames.filter(tagName => !current.tags.includes(tagName));
+    if (added.length === 0) continue;
+
+    store.updateImageMetadata(image, [...current.tags, ...added], current.label);
+    console.log(`${image}: added ${added.join(', ')}`);
+    changed++;
+  }
+
+  console.log(`Tagged ${changed} of ${images.length} matching image(s).`);
+  return saveUnlessDryRun(store.saveMetadata, options);
+}
+
+/** @type {Command} */
+async function removeTags([pattern, ...tagNames], options, { store }) {
+  if (!pattern || tagNames.length === 0) return usageError('tag remove requires a glob and at least one tag.');
+
+  const images = store.metadata.filter(image => matchesGlob(image.filename, pattern));
+  if (images.length === 0) {
+    console.error(`No images match "${pattern}".`);
+    return EXIT_FAILURE;
+  }
+
+  let changed = 0;
+  for (const image of images) {
+    const removed = image.tags.filter(tagName => tagNames.includes(tagName));
+    if (removed.length === 0) continue;
+
+    image.tags = image.tags.filter(tagName => !tagNames.includes(tagName));
+    console.log(`${image.filename}: removed ${removed.join(', ')}`);
+    changed++;
+  }
+
+  console.log(`Untagged ${changed} of ${images.length} matching image(s).`);
+  return saveUnlessDryRun(store.saveMetadata, options);
+}
+
+/** @type {Command} */
+async function setLabel([file, ...text], options, { imageSet, store }) {
+  if (!file || text.length === 0) return usageError('label set requires a file and a label.');
+
+  const current = store.findImage(file);
+  if (!current && !imageSet.getImageList().includes(file)) {
+    console.error(`Image not found: ${file}`);
+    return EXIT_FAILURE;
+  }
+
+  const label = text.join(' ');
+  store.updateImageMetadata(file, current ? current.tags : [], label);
+  console.log(`${file}: label set to "${label}"`);
+  return saveUnlessDryRun(store.saveMetadata, options);
+}
+
+/** @type {Command} */
+async function createTag([name], options, { store }) {
+  if (!name) return usageError('tags create requires a tag name.');
+
+  const category = options.category || 'general';
+  if (!Object.prototype.hasOwnProperty.call(store.tagConfig, category)) {
+    console.error(`Unknown category: ${category}. Available categories: ${Object.keys(store.tagConfig).join(', ')}`);
+    return EXIT_FAILURE;
+  }
+  if (store.getAllTags().some(tag => tag.name === name)) {
+    console.error(`Tag "${name}" already exists.`);
+    return EXIT_FAILURE;
+  }
+
+  const tag = { name, title: options.title || name, description: options.description || '' };
+  store.tagConfig[category].push(tag);
+  console.log(`Created tag "${name}" in ${category}.`);
+  return saveUnlessDryRun(store.saveTagConfig, options);
+}
+
+/** @type {Command} */
+async function listTags(args, options, { store }) {
+  if (options.json) {
+    console.log(JSON.stringify(store.tagConfig, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  for (const category of store.getTagCategories()) {
+    const rules = [category.singleSelect && 'single-select', category.required && 'required'].filter(Boolean);
+    console.log(`${category.name}:${rules.length > 0 ? ` (${rules.join(', ')})` : ''}`);
+    for (const tag of category.tags) {
+      console.log(`  - ${tag.name} (${tag.title}): ${tag.description}`);
+    }
+  }
+  return EXIT_SUCCESS;
+}
+
+/** @type {Command} */
+async function showMetadata([file], options, { store }) {
+  if (!file) return usageError('metadata show requires a file.');
+
+  const image = store.findImage(file);
+  if (!image) {
+    console.error(`No metadata found for: ${file}`);
+    return EXIT_FAILURE;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(image, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  const allTags = store.getAllTags();
+  console.log(`${image.filename}:`);
+  console.log(`  Label: ${image.label}`);
+  console.log(`  Tags: ${image.tags.join(', ')}`);
+  for (const tagName of image.tags) {
+    const fullTag = allTags.find(t => t.name === tagName);
+    console.log(`    - ${tagName}: ${fullTag ? fullTag.description : 'Description not found'}`);
+  }
+  if (image.width && image.height) {
+    console.log(`  Size: ${image.width}x${image.height}, ${image.bytes} bytes`);
+  }
+  for (const { field, title } of IMAGE_DETAILS) {
+    if (image[field] !== undefined) console.log(`  ${title}: ${image[field]}`);
+  }
+  if (image.jobId) console.log(`  Job ID: ${image.jobId}`);
+  if (image.createdAt) console.log(`  Created: ${image.createdAt}`);
+  if (image.suggestedTags) console.log(`  Suggested tags: ${image.suggestedTags.join(', ')}`);
+  return EXIT_SUCCESS;
+}
+
+/** @type {Command} */
+async function setMetadataField([file, field, ...text], options, { imageSet, store }) {
+  if (!file || !field || text.length === 0) return usageError('metadata set requires a file, a field and a text.');
+
+  if (!store.findImage(file) && !imageSet.getImageList().includes(file)) {
+    console.error(`Image not found: ${file}`);
+    return EXIT_FAILURE;
+  }
+
+  try {
+    store.updateImageDetails(file, { [field]: text.join(' ') });
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : String(error));
+    return EXIT_FAILURE;
+  }
+
+  const image = /** @type {Record<string, unknown>} */ (store.findImage(file));
+  console.log(image[field] === undefined ? `${file}: removed ${field}` : `${file}: ${field} set to "${image[field]}"`);
+  return saveUnlessDryRun(store.saveMetadata, options);
+}
+
+/** @type {Command} */
+async function restore([backupName], options, { store }) {
+  const { backupsDir, metadataPath, tagConfigPath } = store.paths;
+  const backups = await listBackups(backupsDir, [metadataPath, tagConfigPath]);
+
+  if (!backupName) {
+    if (backups.length === 0) {
+      console.log(`No backups found in ${backupsDir}.`);
+      return EXIT_SUCCESS;
+    }
+    console.log('Available backups (newest first):');
+    for (const backup of backups) {
+      console.log(`  ${backup.filename}  (${backup.createdAt.toLocaleString()})`);
+    }
+    console.log('Run "restore <backup>" to roll back to one of them.');
+    return EXIT_SUCCESS;
+  }
+
+  const backup = backups.find(b => b.filename === backupName);
+  if (!backup) {
+    console.error(`Backup not found: ${backupName}. Run "restore" to list the available backups.`);
+    return EXIT_FAILURE;
+  }
+
+  console.log(`Restoring ${backup.targetPath} from ${backup.filename}.`);
+  return saveUnlessDryRun(() => restoreBackup(backupsDir, backup, store.config.backups.keep), options);
+}
+
+/**
+ * Parses an optional whole number option within the given range
+ * @param {string|undefined} value - The option value
+ * @param {string} name - The option name, for the error message
+ * @param {number} min - The smallest allowed value
+ * @param {number} max - The largest allowed value
+ * @returns {number|undefined} - The number, or undefined if the option was not given
+ * @throws {Error} If the value is not a whole number within the range
+ */
+function parseIntegerOption(value, name, min, max) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`--${name} must be a whole number from ${min} to ${max}, got "${value}".`);
+  }
+  return number;
+}
+
+/** @type {Command} */
+async function reencode([pattern = '**'], options, { store }) {
+  /** @type {import('./image-processing').EncodingOverrides} */
+  const overrides = {};
+  try {
+    const quality = parseIntegerOption(options.quality, 'quality', 1, 100);
+    const effort = parseIntegerOption(options.effort, 'effort', 0, 6);
+    if (quality !== undefined) overrides.quality = quality;
+    if (effort !== undefined) overrides.effort = effort;
+    if (options.lossless) overrides.lossless = true;
+  } catch (error) {
+    return usageError(error instanceof Error ? error.message : String(error));
+  }
+
+  const images = store.metadata.filter(image => matchesGlob(image.filename, pattern));
+  const archived = images.filter(image => image.original);
+  if (archived.length === 0) {
+    console.error(`No images matching "${pattern}" have an archived original. Enable "originals.archive" in image-set.config.json before compressing new images.`);
+    return EXIT_FAILURE;
+  }
+  if (archived.length < images.length) {
+    console.log(`Skipping ${images.length - archived.length} image(s) without an archived original.`);
+  }
+
+  if (options['dry-run']) {
+    for (const image of archived) {
+      console.log(`Would re-encode: ${image.filename}`);
+    }
+    return saveUnlessDryRun(store.saveMetadata, options);
+  }
+
+  const report = createSizeReport();
+  let failed = 0;
+  for (const image of archived) {
+    const currentFilename = image.filename;
+    try {
+      const { filename, profile, before, after } = await reencodeImage(store, currentFilename, overrides);
+      const label = filename === currentFilename ? filename : `${currentFilename} -> ${filename}`;
+      report.add(`${label} [${profile}]`, before, after);
+    } catch (error) {
+      console.error(error instanceof Error ? error.message : String(error));
+      failed++;
+    }
+  }
+
+  console.log(`Re-encoded ${archived.length - failed} of ${archived.length} image(s).`);
+  report.printSummary();
+  const exitCode = await saveUnlessDryRun(store.saveMetadata, options);
+  return failed > 0 ? EXIT_FAILURE : exitCode;
+}
+
+/**
+ * Reads the version of the package at the root of an image set
+ * @param {string} root - The root directory of the image set
+ * @returns {Promise<string|null>} - The version, or null if there is no package.json with a version
+ */
+async function readPackageVersion(root) {
+  try {
+    const { version } = JSON.parse(await fs.readFile(path.join(root, 'package.json'), 'utf8'));
+    return typeof version === 'string' ? version : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/** @type {Command} */
+async function exportMetadata(formats, options, { imageSet, store }) {
+  const selected = formats.length > 0 ? formats : EXPORT_FORMATS;
+  const unknownFormats = selected.filter(format => !EXPORT_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    return usageError(`Unknown export format(s): ${unknownFormats.join(', ')}. Expected ${EXPORT_FORMATS.join(', ')}.`);
+  }
+
+  const outDir = options.out ? path.resolve(options.out) : path.join(store.paths.root, 'exports');
+  const images = imageSet.getImageMetadata();
+  const version = await readPackageVersion(store.paths.root);
+  /** @type {Record<string, { filename: string, render: () => string }>} */
+  const files = {
+    csv: { filename: 'image-metadata.csv', render: () => toCsv(images) },
+    yaml: { filename: 'image-metadata.yaml', render: () => toYaml(images) },
+    manifest: { filename: 'manifest.json', render: () => `${JSON.stringify(createManifest(imageSet, version), null, 2)}\n` },
+  };
+
+  for (const format of selected) {
+    console.log(`${options['dry-run'] ? 'Would write' : 'Writing'} ${images.length} image(s) to ${path.join(outDir, files[format].filename)}`);
+  }
+  return saveUnlessDryRun(async () => {
+    await fs.mkdir(outDir, { recursive: true });
+    for (const format of selected) {
+      await fs.writeFile(path.join(outDir, files[format].filename), files[format].render());
+    }
+  }, options);
+}
+
+/** @type {Command} */
+async function importMetadata([file], options, { store }) {
+  if (!file) return usageError('import requires a CSV file.');
+
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    console.error(`Cannot read ${file}: ${error instanceof Error ? error.message : String(error)}`);
+    return EXIT_FAILURE;
+  }
+
+  const { changes, errors } = planCsvImport(store, text);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    console.error(`Nothing was imported: fix the ${errors.length} problem(s) above and try again.`);
+    return EXIT_FAILURE;
+  }
+
+  for (const change of changes) {
+    console.log(`${change.filename}:`);
+    if (change.previousLabel !== undefined) {
+      console.log(`  label: "${change.previousLabel}" -> "${change.label}"`);
+    }
+    if (change.addedTags.length > 0 || change.removedTags.length > 0) {
+      console.log(`  tags: ${[...change.addedTags.map(tag => `+${tag}`), ...change.removedTags.map(tag => `-${tag}`)].join(', ')}`);
+    }
+    store.updateImageMetadata(change.filename, change.tags, change.label);
+  }
+
+  console.log(`${changes.length} image(s) changed.`);
+  if (changes.length === 0) return EXIT_SUCCESS;
+  return saveUnlessDryRun(store.saveMetadata, options);
+}
+
+/** @type {Command} */
+async function gallery(args, options, { imageSet, store }) {
+  let port;
+  try {
+    port = parseIntegerOption(options.port, 'port', 0, 65535);
+  } catch (error) {
+    return usageError(error instanceof Error ? error.message : String(error));
+  }
+
+  const outDir = options.out ? path.resolve(options.out) : path.join(store.paths.root, 'gallery');
+  if (options['dry-run']) {
+    console.log(`Would write the gallery of ${imageSet.getImageMetadata().length} image(s) to ${outDir}`);
+    return EXIT_SUCCESS;
+  }
+
+  let data;
+  try {
+    data = await writeGallery(imageSet, outDir);
+  } catch (error) {
+    console.error(`Cannot write the gallery: ${error instanceof Error ? error.message : String(error)}`);
+    return EXIT_FAILURE;
+  }
+  const review = data.images
+    .filter(image => !image.label || image.tags.length === 0 || image.status === 'needs-review').length;
+  console.log(`Wrote the gallery of ${data.images.length} image(s), ${review} needing review, to ${path.join(outDir, 'index.html')}`);
+  if (!options.serve) return EXIT_SUCCESS;
+
+  try {
+    const server = await serveDirectory(outDir, port === undefined ? {} : { port });
+    const address = server.address();
+    console.log(`Serving the gallery at http://localhost:${address && typeof address === 'object' ? address.port : port}/ (press Ctrl+C to stop)`);
+  } catch (error) {
+    console.error(`Cannot serve the gallery: ${error instanceof Error ? error.message : String(error)}`);
+    return EXIT_FAILURE;
+  }
+  return EXIT_SUCCESS;
+}
+
+/** @type {Command} */
+async function watch(args, options, { store }) {
+  if (options['dry-run']) return usageError('watch does not support --dry-run.');
+  let debounce;
+  try {
+    debounce = parseIntegerOption(options.debounce, 'debounce', 0, 60000);
+  } catch (error) {
+    return usageError(error instanceof Error ? error.message : String(error));
+  }
+
+  const inboxDir = options.inbox ? path.resolve(options.inbox) : null;
+  const dir = inboxDir || store.paths.imagesDir;
+  try {
+    await fs.mkdir(dir, { recursive: true });
+  } catch (error) {
+    console.error(`Cannot create ${dir}: ${error instanceof Error ? error.message : String(error)}`);
+    return EXIT_FAILURE;
+  }
+
+  const report = createSizeReport();
+  watchDirectory(dir, async files => {
+    await ingestFiles(store, files, { inboxDir, report });
+  }, { debounce, filter: file => isIngestible(store, file), existing: true });
+  console.log(`Watching ${dir} for new images (press Ctrl+C to stop)`);
+  return EXIT_SUCCESS;
+}
+
+/** @type {Command} */
+async function migrate(args, options, { store }) {
+  if (args.length > 0) return usageError('migrate takes no arguments.');
+
+  /** @type {{ file: 'metadata'|'tagConfig', filePath: string, save: () => Promise<void> }[]} */
+  const files = [
+    { file: 'metadata', filePath: store.paths.metadataPath, save: store.saveMetadata },
+    { file: 'tagConfig', filePath: store.paths.tagConfigPath, save: store.saveTagConfig },
+  ];
+  let failed = false;
+  const outdated = [];
+  for (const { file, filePath, save } of files) {
+    const name = path.basename(filePath);
+    const loadError = store.loadErrors[file];
+    const fromVersion = store.schemaVersions[file];
+    if (loadError || fromVersion === null) {
+      console.error(`Cannot migrate ${name}: ${loadError ? loadError.message : 'it was not loaded.'}`);
+      failed = true;
+    } else if (fromVersion === SCHEMA_VERSION) {
+      console.log(`${name} is up to date (schema version ${SCHEMA_VERSION}).`);
+    } else {
+      console.log(`${name}: schema version ${fromVersion} -> ${SCHEMA_VERSION}`);
+      for (const migration of getMigrations(file, fromVersion)) {
+        console.log(`  - ${migration.description}`);
+      }
+      outdated.push(save);
+    }
+  }
+
+  if (outdated.length === 0) return failed ? EXIT_FAILURE : EXIT_SUCCESS;
+  const exitCode = await saveUnlessDryRun(async () => {
+    for (const save of outdated) await save();
+  }, options);
+  return failed ? EXIT_FAILURE : exitCode;
+}
+
+/**
+ * Gets the locales a translations command works on: the given ones, or else the supported locales of the config
+ * @param {Store} store - The store, whose config lists the supported locales
+ * @param {string[]} locales - The locales given as arguments
+ * @returns {string[]} - The locales, empty if none were given or configured
+ */
+function selectLocales(store, locales) {
+  return locales.length > 0 ? locales : store.config.locales.supported;
+}
+
+/** @type {Command} */
+async function exportTranslations(args, options, { store }) {
+  const locales = selectLocales(store, args);
+  if (locales.length === 0) {
+    return usageError('translations export requires a locale, or "locales.supported" in image-set.config.json.');
+  }
+
+  const outDir = options.out ? path.resolve(options.out) : path.join(store.paths.root, 'translations');
+  const files = locales.map(locale => createTranslationFile(store, locale));
+  for (const file of files) {
+    const texts = [...Object.values(file.images), ...Object.values(file.tags)].flatMap(Object.values);
+    const translated = texts.filter(Boolean).length;
+    console.log(`${options['dry-run'] ? 'Would write' : 'Writing'} ${path.join(outDir, `${file.locale}.json`)} `
+      + `(${translated} of ${texts.length} text(s) translated)`);
+  }
+  return saveUnlessDryRun(async () => {
+    await fs.mkdir(outDir, { recursive: true });
+    for (const file of files) {
+      await fs.writeFile(path.join(outDir, `${file.locale}.json`), `${JSON.stringify(file, null, 2)}\n`);
+    }
+  }, options);
+}
+
+/** @type {Command} */
+async function importTranslations(files, options, { store }) {
+  if (files.length === 0) return usageError('translations import requires at least one translation file.');
+
+  /** @type {{ locale: string, changes: import('./translations').TranslationChange[] }[]} */
+  const imports = [];
+  let failed = false;
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      console.error(`Cannot read ${file}: ${error instanceof Error ? error.message : String(error)}`);
+      failed = true;
+      continue;
+    }
+
+    const { locale, changes, errors } = planTranslationImport(store, data);
+    errors.forEach(error => console.error(`${file}: ${error}`));
+    if (errors.length > 0) failed = true;
+    imports.push({ locale, changes });
+  }
+  if (failed) {
+    console.error('Nothing was imported: fix the problem(s) above and try again.');
+    return EXIT_FAILURE;
+  }
+
+  let changed = 0;
+  for (const { locale, changes } of imports) {
+    for (const change of changes) {
+      const name = change.kind === 'image' ? change.key : `tag ${change.key}`;
+      console.log(`${locale}: ${name} ${change.field}: `
+        + `${change.previous !== undefined ? `"${change.previous}" -> ` : ''}"${change.value}"`);
+    }
+    applyTranslationChanges(store, locale, changes);
+    changed += changes.length;
+  }
+
+  console.log(`${changed} text(s) changed.`);
+  if (changed === 0) return EXIT_SUCCESS;
+  const changedKinds = imports.flatMap(({ changes }) => changes.map(change => change.kind));
+  return saveUnlessDryRun(async () => {
+    if (changedKinds.includes('image')) await store.saveMetadata();
+    if (changedKinds.includes('tag')) await store.saveTagConfig();
+  }, options);
+}
+
+/** @type {Command} */
+async function reportTranslations(args, options, { store }) {
+  const locales = selectLocales(store, args).filter(locale => args.length > 0 || locale !== store.config.locales.default);
+  if (locales.length === 0) {
+    return usageError('translations report requires a locale, or "locales.supported" in image-set.config.json.');
+  }
+
+  const reports = locales.map(locale => findMissingTranslations(store, locale));
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+    return EXIT_SUCCESS;
+  }
+
+  for (const { locale, images, tags } of reports) {
+    if (images.length === 0 && tags.length === 0) {
+      console.log(`${locale}: fully translated`);
+      continue;
+    }
+    console.log(`${locale}: ${images.length} image(s) and ${tags.length} tag(s) missing translations`);
+    images.forEach(({ filename, fields }) => console.log(`  ${filename}: ${fields.join(', ')}`));
+    tags.forEach(({ name, fields }) => console.log(`  tag ${name}: ${fields.join(', ')}`));
+  }
+  return EXIT_SUCCESS;
+}
+
+/**
+ * Creates a command that runs a tag operation and saves the tag configuration and metadata
+ * @param {number} requiredArgs - The minimum number of positional arguments
+ * @param {string} usageMessage - The error printed when arguments are missing
+ * @param {(store: Store, args: string[]) => TagOperationResult} operation - The tag operation to run
+ * @returns {Command} - The command
+ */
+function tagOperationCommand(requiredArgs, usageMessage, operation) {
+  return async (args, options, { store }) => {
+    if (args.length < requiredArgs) return usageError(usageMessage);
+    if (store.loadErrors.metadata || store.loadErrors.tagConfig) {
+      console.error('Tag operations change both the metadata and the tag configuration, but one of them could not be loaded.');
+      return EXIT_FAILURE;
+    }
+
+    /** @type {TagOperationResult} */
+    let result;
+    try {
+      result = operation(store, args);
+    } catch (error) {
+      console.error(error instanceof Error ? error.message : String(error));
+      return EXIT_FAILURE;
+    }
+
+    printTagOperationResult(result);
+    return saveUnlessDryRun(async () => {
+      await store.saveTagConfig();
+      await store.saveMetadata();
+    }, options);
+  };
+}
+
+/** @type {Record<string, Command>} */
+const commands = {
+  'tag add': addTags,
+  'tag remove': removeTags,
+  'label set': setLabel,
+  'tags create': createTag,
+  'tags list': listTags,
+  'tags rename': tagOperationCommand(2, 'tags rename requires a tag name and a new name.',
+    (store, [name, newName]) => renameTag(store, name, newName)),
+  'tags merge': tagOperationCommand(2, 'tags merge requires at least one tag and a target tag.',
+    (store, args) => mergeTags(store, args.slice(0, -1), args[args.length - 1])),
+  'tags delete': tagOperationCommand(1, 'tags delete requires a tag name.',
+    (store, [name]) => deleteTag(store, name)),
+  'tags move': tagOperationCommand(2, 'tags move requires a tag name and a category.',
+    (store, [name, category]) => moveTag(store, name, category)),
+  'metadata show': showMetadata,
+  'metadata set': setMetadataField,
+  'restore': restore,
+  'reencode': reencode,
+  'export': exportMetadata,
+  'import': importMetadata,
+  'gallery': gallery,
+  'watch': watch,
+  'migrate': migrate,
+  'translations export': exportTranslations,
+  'translations import': importTranslations,
+  'translations report': reportTranslations,
+};
+
+/**
+ * Runs a non-interactive command
+ * @param {string[]} argv - The command line arguments, e.g. `['tag', 'add', 'mecha/**', 'tech']`
+ * @param {CommandContext} context - The image set and loaded store to work on
+ * @returns {Promise<number>} - The exit code: 0 on success, 1 on failure, 2 on invalid usage
+ */
+async function runCommand(argv, context) {
+  /** @type {{ values: CommandOptions, positionals: string[] }} */
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        ...imageSetOptions,
+        'dry-run': { type: 'boolean' },
+        json: { type: 'boolean' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        category: { type: 'string' },
+        quality: { type: 'string' },
+        effort: { type: 'string' },
+        lossless: { type: 'boolean' },
+        out: { type: 'string' },
+        serve: { type: 'boolean' },
+        port: { type: 'string' },
+        inbox: { type: 'string' },
+        debounce: { type: 'string' }
+      },
+      allowPositionals: true
+    });
+  } catch (error) {
+    return usageError(error instanceof Error ? error.message : String(error));
+  }
+
+  const [group, action] = parsed.positionals;
+  const name = commands[`${group} ${action}`] ? `${group} ${action}` : group;
+  const command = commands[name];
+  if (!command) return usageError(`Unknown command: ${parsed.positionals.join(' ')}`);
+
+  return command(parsed.positionals.slice(name.split(' ').length), parsed.values, context);
+}
+
+module.exports = {
+  runCommand,
+  usage,
+};
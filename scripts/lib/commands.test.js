@@ -0,0 +1,474 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImageSet } = require('../../src/index');
+const { createStore } = require('./store');
+const { runCommand } = require('./commands');
+
+describe('process-images commands', () => {
+  let root;
+  let output;
+
+  /**
+   * Runs a command against a freshly loaded store of the temporary image set.
+   * @param {...string} argv
+   * @returns {Promise<number>} The exit code.
+   */
+  const run = async (...argv) => {
+    const imageSet = createImageSet({ root });
+    const store = createStore(imageSet.getImageSetPaths());
+    await store.loadMetadata();
+    await store.loadTagConfig();
+    await store.loadConfig();
+    return runCommand(argv, { imageSet, store });
+  };
+  const readMetadata = () => JSON.parse(fs.readFileSync(path.join(root, 'src', 'image-metadata.json'), 'utf8')).images;
+  const readTagConfig = () => {
+    const { schemaVersion, ...categories } = JSON.parse(fs.readFileSync(path.join(root, 'src', 'tag-config.json'), 'utf8'));
+    return categories;
+  };
+  const findImage = (filename) => readMetadata().find(image => image.filename === filename);
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-commands-'));
+    const imagesDir = path.join(root, 'public', 'images');
+    fs.mkdirSync(path.join(imagesDir, 'mecha'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'src'));
+    for (const filename of ['hero.webp', 'mecha/mecha1.webp', 'mecha/mecha2.webp']) {
+      fs.writeFileSync(path.join(imagesDir, filename), '');
+    }
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify({
+      schemaVersion: 3,
+      images: [
+        { filename: 'hero.webp', tags: ['people'], label: 'Hero' },
+        { filename: 'mecha/mecha1.webp', tags: ['tech', 'hq'], label: '' },
+      ],
+    }, null, 2));
+    fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify({
+      schemaVersion: 3,
+      subject: [
+        { name: 'people', title: 'People', description: 'People' },
+        { name: 'tech', title: 'Technology', description: 'Technology' },
+      ],
+      version: [],
+      general: [{ name: 'hq', title: 'High Quality', description: 'High quality' }],
+    }, null, 2));
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    jest.spyOn(console, 'error').mockImplementation((...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('tag add', () => {
+    test('adds tags to every image matching the glob', async () => {
+      expect(await run('tag', 'add', 'mecha/*', 'tech', 'people')).toBe(0);
+      expect(findImage('mecha/mecha1.webp').tags).toEqual(['tech', 'hq', 'people']);
+      expect(findImage('mecha/mecha2.webp')).toEqual({ filename: 'mecha/mecha2.webp', tags: ['tech', 'people'], label: '' });
+      expect(findImage('hero.webp').tags).toEqual(['people']);
+    });
+
+    test('fails for tags that are not defined', async () => {
+      expect(await run('tag', 'add', '**', 'unknown')).toBe(1);
+      expect(output.join('\n')).toContain('Unknown tag(s): unknown');
+    });
+
+    test('fails if no image matches', async () => {
+      expect(await run('tag', 'add', 'backgrounds/**', 'tech')).toBe(1);
+    });
+
+    test('does not save with --dry-run', async () => {
+      const before = readMetadata();
+      expect(await run('tag', 'add', '**/*.webp', 'hq', '--dry-run')).toBe(0);
+      expect(readMetadata()).toEqual(before);
+      expect(output.join('\n')).toContain('hero.webp: added hq');
+    });
+  });
+
+  describe('tag remove', () => {
+    test('removes tags from every image matching the glob', async () => {
+      expect(await run('tag', 'remove', '**', 'hq', 'people')).toBe(0);
+      expect(findImage('hero.webp').tags).toEqual([]);
+      expect(findImage('mecha/mecha1.webp').tags).toEqual(['tech']);
+    });
+
+    test('does not save with --dry-run', async () => {
+      const before = readMetadata();
+      expect(await run('tag', 'remove', '**', 'hq', '--dry-run')).toBe(0);
+      expect(readMetadata()).toEqual(before);
+    });
+  });
+
+  describe('label set', () => {
+    test('sets the label of an image', async () => {
+      expect(await run('label', 'set', 'hero.webp', 'Brave', 'Hero')).toBe(0);
+      expect(findImage('hero.webp')).toEqual({ filename: 'hero.webp', tags: ['people'], label: 'Brave Hero' });
+    });
+
+    test('fails for images that do not exist', async () => {
+      expect(await run('label', 'set', 'villain.webp', 'Villain')).toBe(1);
+    });
+
+    test('does not save with --dry-run', async () => {
+      expect(await run('label', 'set', 'hero.webp', 'Villain', '--dry-run')).toBe(0);
+      expect(findImage('hero.webp').label).toBe('Hero');
+    });
+  });
+
+  describe('tags create', () => {
+    test('creates a tag in the given category', async () => {
+      expect(await run('tags', 'create', 'robot', '--title', 'Robot', '--description', 'Robots', '--category', 'subject')).toBe(0);
+      expect(readTagConfig().subject).toContainEqual({ name: 'robot', title: 'Robot', description: 'Robots' });
+    });
+
+    test('defaults to the general category and the name as title', async () => {
+      expect(await run('tags', 'create', 'dark')).toBe(0);
+      expect(readTagConfig().general).toContainEqual({ name: 'dark', title: 'dark', description: '' });
+    });
+
+    test('fails for existing tags and unknown categories', async () => {
+      expect(await run('tags', 'create', 'hq')).toBe(1);
+      expect(await run('tags', 'create', 'dark', '--category', 'mood')).toBe(1);
+    });
+
+    test('does not save with --dry-run', async () => {
+      expect(await run('tags', 'create', 'dark', '--dry-run')).toBe(0);
+      expect(readTagConfig().general.map(tag => tag.name)).toEqual(['hq']);
+    });
+  });
+
+  describe('tags list', () => {
+    test('prints the tag configuration as JSON', async () => {
+      expect(await run('tags', 'list', '--json')).toBe(0);
+      expect(JSON.parse(output.join('\n'))).toEqual(readTagConfig());
+    });
+
+    test('prints the tags by category', async () => {
+      expect(await run('tags', 'list')).toBe(0);
+      expect(output).toContain('general:');
+      expect(output).toContain('  - hq (High Quality): High quality');
+    });
+  });
+
+  describe('metadata show', () => {
+    test('prints the metadata of an image as JSON', async () => {
+      expect(await run('metadata', 'show', 'hero.webp', '--json')).toBe(0);
+      expect(JSON.parse(output.join('\n'))).toEqual(findImage('hero.webp'));
+    });
+
+    test('fails for images without metadata', async () => {
+      expect(await run('metadata', 'show', 'mecha/mecha2.webp')).toBe(1);
+    });
+  });
+
+  describe('metadata set', () => {
+    test('sets and removes the descriptive fields of an image', async () => {
+      expect(await run('metadata', 'set', 'hero.webp', 'alt', 'A', 'hero', 'in', 'armor')).toBe(0);
+      expect(await run('metadata', 'set', 'hero.webp', 'seed', '42')).toBe(0);
+      expect(findImage('hero.webp')).toEqual(expect.objectContaining({ alt: 'A hero in armor', seed: 42 }));
+      expect(output).toContain('hero.webp: alt set to "A hero in armor"');
+
+      output.length = 0;
+      expect(await run('metadata', 'show', 'hero.webp')).toBe(0);
+      expect(output).toContain('  Alt text: A hero in armor');
+
+      expect(await run('metadata', 'set', 'hero.webp', 'alt', '')).toBe(0);
+      expect(findImage('hero.webp')).not.toHaveProperty('alt');
+      expect(output).toContain('hero.webp: removed alt');
+    });
+
+    test('creates the metadata of images that have none', async () => {
+      const filename = 'mecha/mecha2.webp';
+      expect(await run('metadata', 'set', filename, 'credit', 'Jane Doe')).toBe(0);
+      expect(findImage(filename)).toEqual(expect.objectContaining({ credit: 'Jane Doe', tags: [] }));
+    });
+
+    test('rejects unknown fields, invalid seeds and missing arguments', async () => {
+      expect(await run('metadata', 'set', 'hero.webp', 'seed', 'random')).toBe(1);
+      expect(output).toContain('The seed must be a whole number, got "random".');
+      expect(await run('metadata', 'set', 'hero.webp', 'author', 'Jane')).toBe(1);
+      expect(await run('metadata', 'set', 'missing.webp', 'alt', 'Missing')).toBe(1);
+      expect(await run('metadata', 'set', 'hero.webp')).toBe(2);
+      expect(findImage('hero.webp')).toEqual({ filename: 'hero.webp', tags: ['people'], label: 'Hero' });
+    });
+  });
+
+  describe('translations', () => {
+    const translationsDir = () => path.join(root, 'translations');
+    const readTranslationFile = (locale) => JSON.parse(fs.readFileSync(path.join(translationsDir(), `${locale}.json`), 'utf8'));
+
+    beforeEach(() => {
+      fs.writeFileSync(path.join(root, 'image-set.config.json'), JSON.stringify({ locales: { default: 'en', supported: ['en', 'ja'] } }));
+    });
+
+    test('export writes a file per supported locale and import reads the edited files back', async () => {
+      expect(await run('translations', 'export')).toBe(0);
+      const ja = readTranslationFile('ja');
+      expect(ja.images).toEqual({ 'hero.webp': { label: '' } });
+      expect(readTranslationFile('en').tags.tech).toEqual({ title: 'Technology', description: 'Technology' });
+
+      ja.images['hero.webp'].label = 'ヒーロー';
+      ja.tags.tech.title = 'テクノロジー';
+      fs.writeFileSync(path.join(translationsDir(), 'ja.json'), JSON.stringify(ja));
+      expect(await run('translations', 'import', path.join(translationsDir(), 'ja.json'))).toBe(0);
+      expect(output).toContain('ja: hero.webp label: "ヒーロー"');
+      expect(findImage('hero.webp').translations).toEqual({ ja: { label: 'ヒーロー' } });
+      expect(readTagConfig().subject[1].translations).toEqual({ ja: { title: 'テクノロジー' } });
+    });
+
+    test('report lists the missing translations of every locale but the fallback', async () => {
+      expect(await run('translations', 'report', '--json')).toBe(0);
+      const [report] = JSON.parse(output.join('\n'));
+      expect(report.locale).toBe('ja');
+      expect(report.images).toEqual([{ filename: 'hero.webp', fields: ['label'] }]);
+      expect(report.tags.map(tag => tag.name)).toEqual(['people', 'tech', 'hq']);
+    });
+
+    test('import rejects files with unknown images and changes nothing', async () => {
+      const file = path.join(root, 'fr.json');
+      fs.writeFileSync(file, JSON.stringify({ locale: 'fr', images: { 'missing.webp': { label: 'Manquant' } }, tags: { hq: { title: 'Haute qualité' } } }));
+      expect(await run('translations', 'import', file)).toBe(1);
+      expect(output).toContain(`${file}: Unknown image: missing.webp.`);
+      expect(readTagConfig().general[0]).not.toHaveProperty('translations');
+      expect(await run('translations', 'import')).toBe(2);
+    });
+  });
+
+  describe('tag lifecycle', () => {
+    test('tags rename renames the tag in the tag configuration and metadata', async () => {
+      expect(await run('tags', 'rename', 'tech', 'robots')).toBe(0);
+      expect(readTagConfig().subject.map(tag => tag.name)).toEqual(['people', 'robots']);
+      expect(findImage('mecha/mecha1.webp').tags).toEqual(['robots', 'hq']);
+      expect(output).toContain('  - mecha/mecha1.webp');
+    });
+
+    test('tags merge, delete and move update both files', async () => {
+      expect(await run('tags', 'merge', 'people', 'hq', 'tech')).toBe(0);
+      expect(findImage('hero.webp').tags).toEqual(['tech']);
+      expect(await run('tags', 'move', 'tech', 'version')).toBe(0);
+      expect(readTagConfig().version.map(tag => tag.name)).toEqual(['tech']);
+      expect(await run('tags', 'delete', 'tech')).toBe(0);
+      expect(readTagConfig()).toEqual({ subject: [], version: [], general: [] });
+      expect(readMetadata().map(image => image.tags)).toEqual([[], []]);
+    });
+
+    test('fails without saving if the operation is invalid', async () => {
+      const before = readTagConfig();
+      expect(await run('tags', 'rename', 'tech', 'hq')).toBe(1);
+      expect(await run('tags', 'delete', 'robots')).toBe(1);
+      expect(readTagConfig()).toEqual(before);
+    });
+
+    test('does not save with --dry-run', async () => {
+      const before = readMetadata();
+      expect(await run('tags', 'delete', 'people', '--dry-run')).toBe(0);
+      expect(readMetadata()).toEqual(before);
+      expect(output).toContain('  - hero.webp');
+    });
+  });
+
+  describe('tag categories', () => {
+    beforeEach(() => {
+      const tagConfig = readTagConfig();
+      tagConfig.mood = {
+        title: 'Mood',
+        description: 'The mood of the image',
+        singleSelect: true,
+        tags: [
+          { name: 'calm', title: 'Calm', description: 'Calm' },
+          { name: 'tense', title: 'Tense', description: 'Tense' },
+        ],
+      };
+      fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify(tagConfig, null, 2));
+    });
+
+    test('keeps category definitions when saving the tag configuration', async () => {
+      expect(await run('tags', 'create', 'joyful', '--category', 'mood')).toBe(0);
+      expect(readTagConfig().mood).toEqual({
+        title: 'Mood',
+        description: 'The mood of the image',
+        singleSelect: true,
+        tags: [
+          { name: 'calm', title: 'Calm', description: 'Calm' },
+          { name: 'tense', title: 'Tense', description: 'Tense' },
+          { name: 'joyful', title: 'joyful', description: '' },
+        ],
+      });
+      expect(Array.isArray(readTagConfig().subject)).toBe(true);
+    });
+
+    test('tag add refuses to add a second tag to a single-select category', async () => {
+      expect(await run('tag', 'add', 'hero.webp', 'calm')).toBe(0);
+      const before = readMetadata();
+      expect(await run('tag', 'add', '**', 'tense')).toBe(1);
+      expect(output.join('\n')).toContain('hero.webp: category "mood" allows only one tag, got calm, tense.');
+      expect(readMetadata()).toEqual(before);
+    });
+
+    test('tags list prints the rules of each category', async () => {
+      expect(await run('tags', 'list')).toBe(0);
+      expect(output).toContain('mood: (single-select)');
+      expect(output).toContain('  - calm (Calm): Calm');
+    });
+  });
+
+  describe('backups', () => {
+    const backupsDir = () => path.join(root, '.backups');
+
+    test('saving keeps a backup of the previous version', async () => {
+      const before = readMetadata();
+      expect(await run('label', 'set', 'hero.webp', 'Villain')).toBe(0);
+      const backups = fs.readdirSync(backupsDir());
+      expect(backups).toEqual([expect.stringMatching(/^image-metadata\..+\.json$/)]);
+      expect(JSON.parse(fs.readFileSync(path.join(backupsDir(), backups[0]), 'utf8')).images).toEqual(before);
+    });
+
+    test('saving without changes writes neither the file nor a backup', async () => {
+      expect(await run('label', 'set', 'hero.webp', 'Villain')).toBe(0);
+      const metadataPath = path.join(root, 'src', 'image-metadata.json');
+      const { mtimeMs } = fs.statSync(metadataPath);
+
+      expect(await run('label', 'set', 'hero.webp', 'Villain')).toBe(0);
+      expect(fs.readdirSync(backupsDir())).toHaveLength(1);
+      expect(fs.statSync(metadataPath).mtimeMs).toBe(mtimeMs);
+    });
+
+    test('refuses to save over a file that failed to load', async () => {
+      fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), '[{ "filename": "hero.webp",');
+      expect(await run('label', 'set', 'hero.webp', 'Villain')).toBe(1);
+      expect(output.join('\n')).toContain('Refusing to save image-metadata.json');
+      expect(fs.readFileSync(path.join(root, 'src', 'image-metadata.json'), 'utf8')).toBe('[{ "filename": "hero.webp",');
+
+      const tagConfig = readTagConfig();
+      expect(await run('tags', 'rename', 'tech', 'robots')).toBe(1);
+      expect(readTagConfig()).toEqual(tagConfig);
+    });
+
+    test('restore lists the backups and rolls back to the chosen one', async () => {
+      expect(await run('restore')).toBe(0);
+      expect(output).toContain(`No backups found in ${backupsDir()}.`);
+
+      const before = readMetadata();
+      expect(await run('label', 'set', 'hero.webp', 'Villain')).toBe(0);
+      const [backup] = fs.readdirSync(backupsDir());
+      fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), 'not json');
+
+      output.length = 0;
+      expect(await run('restore')).toBe(0);
+      expect(output.some(line => line.startsWith(`  ${backup}`))).toBe(true);
+
+      expect(await run('restore', backup, '--dry-run')).toBe(0);
+      expect(fs.readFileSync(path.join(root, 'src', 'image-metadata.json'), 'utf8')).toBe('not json');
+      expect(await run('restore', backup)).toBe(0);
+      expect(readMetadata()).toEqual(before);
+      expect(await run('restore', 'image-metadata.missing.json')).toBe(1);
+    });
+  });
+
+  describe('export and import', () => {
+    test('export writes the CSV, YAML and versioned manifest to exports/', async () => {
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'my-images', version: '1.2.3' }));
+      expect(await run('export')).toBe(0);
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(root, 'exports', 'manifest.json'), 'utf8'));
+      expect(manifest).toMatchObject({ manifestVersion: 1, name: 'my-images', version: '1.2.3' });
+      expect(manifest.images[0].tags).toEqual([{ name: 'people', title: 'People', description: 'People' }]);
+      expect(fs.readFileSync(path.join(root, 'exports', 'image-metadata.csv'), 'utf8')).toContain('hero.webp,Hero,people,People,People,');
+      expect(fs.readFileSync(path.join(root, 'exports', 'image-metadata.yaml'), 'utf8')).toContain('- filename: "hero.webp"');
+    });
+
+    test('export writes only the given formats to --out, and nothing with --dry-run', async () => {
+      const out = path.join(root, 'review');
+      expect(await run('export', 'csv', '--out', out)).toBe(0);
+      expect(fs.readdirSync(out)).toEqual(['image-metadata.csv']);
+
+      expect(await run('export', '--dry-run')).toBe(0);
+      expect(fs.existsSync(path.join(root, 'exports'))).toBe(false);
+      expect(await run('export', 'xml')).toBe(2);
+    });
+
+    test('import previews and saves the changes of an edited export', async () => {
+      await run('export', 'csv');
+      const csvPath = path.join(root, 'exports', 'image-metadata.csv');
+      const csv = fs.readFileSync(csvPath, 'utf8').replace('hero.webp,Hero,people,', 'hero.webp,"Hero, again",people; hq,');
+      fs.writeFileSync(csvPath, csv);
+
+      expect(await run('import', csvPath, '--dry-run')).toBe(0);
+      expect(findImage('hero.webp').label).toBe('Hero');
+      expect(output).toContain('  label: "Hero" -> "Hero, again"');
+      expect(output).toContain('  tags: +hq');
+
+      expect(await run('import', csvPath)).toBe(0);
+      expect(findImage('hero.webp')).toEqual({ filename: 'hero.webp', tags: ['people', 'hq'], label: 'Hero, again' });
+    });
+
+    test('import changes nothing if any row is invalid', async () => {
+      const csvPath = path.join(root, 'edited.csv');
+      fs.writeFileSync(csvPath, 'filename,label,tags\nhero.webp,Changed,people\nmecha/mecha1.webp,,unknown\n');
+      const before = readMetadata();
+
+      expect(await run('import', csvPath)).toBe(1);
+      expect(readMetadata()).toEqual(before);
+      expect(await run('import', path.join(root, 'missing.csv'))).toBe(1);
+      expect(await run('import')).toBe(2);
+    });
+  });
+
+  test('gallery writes a static gallery to gallery/', async () => {
+    expect(await run('gallery', '--dry-run')).toBe(0);
+    expect(fs.existsSync(path.join(root, 'gallery'))).toBe(false);
+
+    expect(await run('gallery')).toBe(0);
+    expect(fs.existsSync(path.join(root, 'gallery', 'index.html'))).toBe(true);
+    expect(fs.existsSync(path.join(root, 'gallery', 'images', 'mecha', 'mecha1.webp'))).toBe(true);
+    expect(output).toContain(`Wrote the gallery of 2 image(s), 1 needing review, to ${path.join(root, 'gallery', 'index.html')}`);
+    expect(await run('gallery', '--port', 'http')).toBe(2);
+  });
+
+  test('watch rejects invalid options before watching', async () => {
+    expect(await run('watch', '--debounce', 'soon')).toBe(2);
+    expect(await run('watch', '--dry-run')).toBe(2);
+    expect(fs.existsSync(path.join(root, 'inbox'))).toBe(false);
+  });
+
+  test('migrate upgrades older files to the current schema version', async () => {
+    const metadataPath = path.join(root, 'src', 'image-metadata.json');
+    const tagConfigPath = path.join(root, 'src', 'tag-config.json');
+    const { schemaVersion, ...categories } = JSON.parse(fs.readFileSync(tagConfigPath, 'utf8'));
+    fs.writeFileSync(metadataPath, JSON.stringify([
+      { filename: 'hero.webp', tags: [{ name: 'people', title: 'People', description: 'People' }], label: 'Hero' },
+    ]));
+    fs.writeFileSync(tagConfigPath, JSON.stringify(categories));
+
+    expect(await run('migrate', '--dry-run')).toBe(0);
+    expect(output).toContain('image-metadata.json: schema version 1 -> 3');
+    expect(output).toContain('  - Store the tags of images as tag names instead of tag objects');
+    expect(output).toContain('tag-config.json: schema version 2 -> 3');
+    expect(Array.isArray(JSON.parse(fs.readFileSync(metadataPath, 'utf8')))).toBe(true);
+
+    expect(await run('migrate')).toBe(0);
+    expect(JSON.parse(fs.readFileSync(metadataPath, 'utf8'))).toEqual({
+      schemaVersion: 3,
+      images: [{ filename: 'hero.webp', tags: ['people'], label: 'Hero' }],
+    });
+    expect(JSON.parse(fs.readFileSync(tagConfigPath, 'utf8'))).toEqual({ schemaVersion: 3, ...categories });
+
+    output.length = 0;
+    expect(await run('migrate')).toBe(0);
+    expect(output).toEqual(['image-metadata.json is up to date (schema version 3).', 'tag-config.json is up to date (schema version 3).']);
+
+    fs.writeFileSync(metadataPath, JSON.stringify({ schemaVersion: 4, images: [] }));
+    expect(await run('migrate')).toBe(1);
+    expect(output).toContain('Cannot migrate image-metadata.json: Unsupported schema version 4 in image-metadata.json: expected 3 or lower.');
+  });
+
+  test('returns the usage exit code for unknown commands and options', async () => {
+    expect(await run('tag', 'rename')).toBe(2);
+    expect(await run('tags', 'list', '--verbose')).toBe(2);
+    expect(await run('tag', 'add')).toBe(2);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { hammingDistance, isComparableHash } = require('../../src/similarity');
+const { computePerceptualHash } = require('./perceptual-hash');
+const {
+  IMAGE_EXTENSIONS,
+  INPUT_EXTENSIONS,
+  updateImageInfo,
+  updateImageVariants,
+  convertImage,
+  toMetadataPath,
+} = require('./image-processing');
+const { EMBEDDED_FIELDS, readEmbeddedMetadata, applyEmbeddedMetadata } = require('./embedded-metadata');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {ReturnType<typeof import('./size-report').createSizeReport>} SizeReport
+ */
+
+/**
+ * @typedef {Object} CompressOptions
+ * @property {'needs-review'} [status] - The review status to give images that get a new metadata entry
+ */
+
+/**
+ * Finds the images in the metadata that are near-duplicates of an incoming image
+ * @param {Store} store - The store holding the metadata and image set config
+ * @param {string} fullPath - The absolute path of the incoming image
+ * @returns {Promise<{ filename: string, distance: number }[]>} - The near-duplicates, most similar first
+ */
+async function findNearDuplicates(store, fullPath) {
+  const hash = await computePerceptualHash(fullPath);
+  return store.metadata
+    .filter(image => isComparableHash(image.perceptualHash))
+    .map(image => ({ filename: image.filename, distance: hammingDistance(hash, String(image.perceptualHash)) }))
+    .filter(({ distance }) => distance <= store.config.duplicates.threshold)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Prints the embedded metadata recorded for a new image and the tags suggested for it
+ * @param {import('./store').ImageMetadata} image - The metadata of the image
+ */
+function printEmbeddedMetadata(image) {
+  const fields = EMBEDDED_FIELDS.filter(field => image[field] !== undefined);
+  if (fields.length > 0) console.log(`Read embedded metadata: ${fields.join(', ')}`);
+  if (image.suggestedTags) console.log(`Suggested tags: ${image.suggestedTags.join(', ')}`);
+}
+
+/**
+ * Compresses an image file: converts new inputs (JPG, PNG, ...) to the format of their profile, adds metadata for
+ * new WebP, AVIF and SVG files, backfills missing image information and brings the variants up to date
+ * @param {Store} store - The store holding the metadata and image set config
+ * @param {string} fullPath - The absolute path of the file, inside the image directory
+ * @param {SizeReport} report - The report to add the sizes of compressed images to
+ * @param {CompressOptions} [options] - Options for new metadata entries
+ * @returns {Promise<string|null>} - The relative path of the image in the metadata, or null if the file was skipped or failed
+ */
+async function compressImage(store, fullPath, report, { status } = {}) {
+  const relativePath = toMetadataPath(path.relative(store.paths.imagesDir, fullPath));
+  const ext = path.extname(fullPath).toLowerCase();
+  const existingMetadata = store.findImage(relativePath);
+
+  if (INPUT_EXTENSIONS.includes(ext) && !existingMetadata) {
+    if (store.config.duplicates.onCompress !== 'off') {
+      const duplicates = await findNearDuplicates(store, fullPath).catch(() => []);
+      if (duplicates.length > 0) {
+        const list = duplicates.map(({ filename, distance }) => `${filename} (distance ${distance})`).join(', ');
+        if (store.config.duplicates.onCompress === 'skip') {
+          console.log(`Skipping near-duplicate: ${relativePath} looks like ${list}`);
+          return null;
+        }
+        console.warn(`Warning: ${relativePath} looks like ${list}`);
+      }
+    }
+
+    console.log(`Compressing: ${relativePath}`);
+    try {
+      const { filename, profile, before, after } = await convertImage(store, fullPath);
+      const image = store.findImage(filename);
+      const frames = image && image.frames ? `, ${image.frames} frames` : '';
+      report.add(`${relativePath} -> ${filename} [${profile}${frames}]`, before, after);
+      if (image && image.original) {
+        console.log(`Archived original: ${path.join(store.getOriginalsDir(), image.original.filename)}`);
+      }
+      if (image && status) image.status = status;
+      if (image) printEmbeddedMetadata(image);
+      return filename;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Could not convert ${relativePath}: ${message}`);
+      if (['.heic', '.heif'].includes(ext)) {
+        console.error('HEIC images need a build of sharp whose libvips supports HEVC decoding; '
+          + 'convert them to JPEG first, or install libvips with libheif and HEVC support.');
+      }
+      return null;
+    }
+  }
+
+  if (IMAGE_EXTENSIONS.includes(ext)) {
+    if (!existingMetadata) {
+      console.log(`Adding metadata for existing image: ${relativePath}`);
+      store.updateImageMetadata(relativePath, [], '');
+      const image = store.findImage(relativePath);
+      if (image && status) image.status = status;
+      if (image && store.config.embeddedMetadata.extract) {
+        applyEmbeddedMetadata(store, image, await readEmbeddedMetadata(fullPath).catch(() => ({})));
+        printEmbeddedMetadata(image);
+      }
+      await updateImageInfo(store, relativePath);
+    } else if (existingMetadata.width === undefined || !isComparableHash(existingMetadata.perceptualHash)
+      || existingMetadata.format === undefined) {
+      console.log(`Adding image information for existing image: ${relativePath}`);
+      await updateImageInfo(store, relativePath);
+    } else {
+      console.log(`Skipping existing image with metadata: ${relativePath}`);
+    }
+    await updateImageVariants(store, relativePath);
+    return relativePath;
+  }
+
+  console.log(`Skipping: ${relativePath} (already processed or unsupported format)`);
+  return null;
+}
+
+/**
+ * Compresses the images in the given directory and its subdirectories, except generated variants
+ * @param {Store} store - The store holding the metadata and image set config
+ * @param {string} dir - The directory to process
+ * @param {SizeReport} report - The report to add the sizes of compressed images to
+ * @param {CompressOptions} [options] - Options for new metadata entries
+ * @returns {Promise<void>}
+ */
+async function compressImages(store, dir, report, options = {}) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (fullPath === store.paths.variantsDir) continue;
+        await compressImages(store, fullPath, report, options);
+      } else if (entry.isFile()) {
+        await compressImage(store, fullPath, report, options);
+      }
+    }
+  } catch (error) {
+    console.error(`Error processing directory ${dir}:`, error);
+  }
+}
+
+module.exports = {
+  findNearDuplicates,
+  compressImage,
+  compressImages,
+};
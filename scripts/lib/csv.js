@@ -0,0 +1,76 @@
+/**
+ * Formats a value as a CSV field, quoting it if it contains a comma, quote or line break
+ * @param {string|number|undefined|null} value - The value; undefined and null become empty fields
+ * @returns {string} - The field
+ */
+function formatField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV (RFC 4180), one line per row
+ * @param {(string|number|undefined|null)[][]} rows - The rows, starting with the header row
+ * @returns {string} - The CSV text, ending with a line break
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text (RFC 4180) as exported by spreadsheet applications: fields may be quoted, quoted fields
+ * may contain commas, doubled quotes and line breaks, and lines may end with `\r\n` or `\n`.
+ * A leading byte order mark and blank lines are ignored.
+ * @param {string} text - The CSV text
+ * @returns {string[][]} - The rows, each an array of fields
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(text) {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error('The CSV ends inside a quoted field.');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+module.exports = {
+  formatCsv,
+  parseCsv,
+};
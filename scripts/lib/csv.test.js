@@ -0,0 +1,25 @@
+const { formatCsv, parseCsv } = require('./csv');
+
+describe('csv', () => {
+  test('formatCsv quotes fields with commas, quotes and line breaks', () => {
+    expect(formatCsv([['filename', 'label'], ['a.webp', 'Sky, "blue"\nand clear'], ['b.webp', undefined]]))
+      .toBe('filename,label\r\na.webp,"Sky, ""blue""\nand clear"\r\nb.webp,\r\n');
+  });
+
+  test('parseCsv reads what formatCsv writes', () => {
+    const rows = [['filename', 'label', 'tags'], ['a.webp', 'Sky, "blue"\r\nand clear', 'hq; outdoor'], ['b.webp', '', '']];
+    expect(parseCsv(formatCsv(rows))).toEqual(rows);
+  });
+
+  test('parseCsv ignores a byte order mark and blank lines, and accepts \\n line endings', () => {
+    expect(parseCsv('\uFEFFfilename,label\n\na.webp,Sky\nb.webp,Sea')).toEqual([
+      ['filename', 'label'],
+      ['a.webp', 'Sky'],
+      ['b.webp', 'Sea'],
+    ]);
+  });
+
+  test('parseCsv fails on unclosed quotes', () => {
+    expect(() => parseCsv('filename,label\na.webp,"Sky')).toThrow('ends inside a quoted field');
+  });
+});
@@ -0,0 +1,398 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').ImageMetadata} ImageMetadata
+ * @typedef {import('./store').Tag} Tag
+ */
+
+/**
+ * The data a camera or generator embedded in an image file, mapped to the fields of the image metadata
+ * @typedef {Object} EmbeddedMetadata
+ * @property {string} [prompt] - The prompt the image was generated from
+ * @property {string} [description] - The description of the image, if it is not a prompt
+ * @property {string} [credit] - The author, artist or copyright holder
+ * @property {string} [license] - The usage terms or license
+ * @property {string} [model] - The model the image was generated with
+ * @property {number} [seed] - The seed the image was generated with
+ * @property {string} [jobId] - The ID of the generation job, e.g. of Midjourney
+ * @property {string} [createdAt] - When the image was created or taken, as an ISO 8601 date
+ */
+
+/** The fields of the image metadata that embedded metadata is mapped to */
+const EMBEDDED_FIELDS = /** @type {(keyof EmbeddedMetadata)[]} */ ([
+  'prompt', 'description', 'credit', 'license', 'model', 'seed', 'jobId', 'createdAt'
+]);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** The keyword of the PNG text chunk holding XMP */
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+/** The EXIF tags that are read, by tag number; 0x8769 points to the Exif sub-IFD */
+const EXIF_TAGS = {
+  0x010e: 'ImageDescription',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013b: 'Artist',
+  0x8298: 'Copyright',
+  0x9003: 'DateTimeOriginal',
+  0x9286: 'UserComment',
+};
+const EXIF_IFD_POINTER = 0x8769;
+
+/**
+ * Reads the text chunks of a PNG file: tEXt, compressed zTXt and international iTXt chunks
+ * @param {Buffer} data - The contents of the file
+ * @returns {Record<string, string>} - The texts by keyword, empty if the file is not a PNG
+ */
+function readPngTextChunks(data) {
+  /** @type {Record<string, string>} */
+  const texts = {};
+  if (data.length < PNG_SIGNATURE.length || !data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) return texts;
+
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    const chunk = data.subarray(offset + 8, Math.min(offset + 8 + length, data.length));
+    offset += length + 12;
+    if (type === 'IEND') break;
+    if (!['tEXt', 'zTXt', 'iTXt'].includes(type)) continue;
+
+    const keywordEnd = chunk.indexOf(0);
+    if (keywordEnd <= 0) continue;
+    const keyword = chunk.toString('latin1', 0, keywordEnd);
+    try {
+      if (type === 'tEXt') {
+        texts[keyword] = chunk.toString('latin1', keywordEnd + 1);
+      } else if (type === 'zTXt') {
+        texts[keyword] = zlib.inflateSync(chunk.subarray(keywordEnd + 2)).toString('latin1');
+      } else {
+        const compressed = chunk[keywordEnd + 1] === 1;
+        const languageEnd = chunk.indexOf(0, keywordEnd + 3);
+        const translatedKeywordEnd = chunk.indexOf(0, languageEnd + 1);
+        if (languageEnd === -1 || translatedKeywordEnd === -1) continue;
+        const text = chunk.subarray(translatedKeywordEnd + 1);
+        texts[keyword] = (compressed ? zlib.inflateSync(text) : text).toString('utf8');
+      }
+    } catch (error) {
+      // A corrupt chunk only loses its own text
+    }
+  }
+  return texts;
+}
+
+/**
+ * Reads the text tags of EXIF data, from the first IFD and the Exif sub-IFD
+ * @param {Buffer} exif - The EXIF data, with or without the `Exif\0\0` header
+ * @returns {Record<string, string>} - The texts by tag name, see {@link EXIF_TAGS}
+ */
+function readExifTags(exif) {
+  /** @type {Record<string, string>} */
+  const tags = {};
+  const start = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+  const tiff = exif.subarray(start);
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  if (!littleEndian && tiff.toString('latin1', 0, 2) !== 'MM') return tags;
+
+  /** @param {number} offset */
+  const u16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  /** @param {number} offset */
+  const u32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  /**
+   * Decodes an ASCII or UNDEFINED value. User comments start with an 8 byte character code.
+   * @param {Buffer} value
+   * @param {string} name
+   * @returns {string}
+   */
+  const decode = (value, name) => {
+    if (name !== 'UserComment') return value.toString('utf8');
+    const code = value.toString('latin1', 0, 8);
+    if (code.startsWith('UNICODE')) return value.subarray(8).toString(littleEndian ? 'utf16le' : 'latin1');
+    return value.subarray(8).toString('utf8');
+  };
+
+  /** @type {Set<number>} */
+  const visited = new Set();
+  /** @param {number} ifdOffset */
+  const readIfd = ifdOffset => {
+    if (visited.has(ifdOffset)) return;
+    visited.add(ifdOffset);
+    const count = u16(ifdOffset);
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const length = u32(entry + 4);
+      if (tag === EXIF_IFD_POINTER) {
+        readIfd(u32(entry + 8));
+        continue;
+      }
+      const name = EXIF_TAGS[/** @type {keyof typeof EXIF_TAGS} */ (tag)];
+      if (!name || (type !== 2 && type !== 7)) continue;
+      const valueOffset = length <= 4 ? entry + 8 : u32(entry + 8);
+      if (valueOffset + length > tiff.length) continue;
+      const text = decode(tiff.subarray(valueOffset, valueOffset + length), name).replace(/\0+$/, '').trim();
+      if (text) tags[name] = text;
+    }
+  };
+
+  try {
+    readIfd(u32(4));
+  } catch (error) {
+    // Truncated EXIF data: keep the tags read so far
+  }
+  return tags;
+}
+
+/**
+ * Replaces the XML entities of a text
+ * @param {string} text - The XML text
+ * @returns {string} - The plain text
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads a property of an XMP packet, written either as an attribute or as an element. Of a list or
+ * language alternative, the first item is returned.
+ * @param {string} xmp - The XMP packet
+ * @param {string} property - The qualified name of the property, e.g. `dc:description`
+ * @returns {string|undefined} - The text of the property, or undefined if it is missing or empty
+ */
+function getXmpProperty(xmp, property) {
+  const attribute = new RegExp(`\\s${property}="([^"]*)"`).exec(xmp);
+  const element = new RegExp(`<${property}(?:\\s[^>]*)?>([\\s\\S]*?)</${property}>`).exec(xmp);
+  let value = attribute ? attribute[1] : element ? element[1] : '';
+  const item = /<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/.exec(value);
+  if (item) value = item[1];
+  const text = unescapeXml(value.replace(/<[^>]*>/g, '')).trim();
+  return text || undefined;
+}
+
+/**
+ * Converts an EXIF, XMP or other date to ISO 8601. EXIF dates have no time zone and are kept as local times.
+ * @param {string|undefined} text - The date, e.g. `2024:03:01 12:30:00`
+ * @returns {string|undefined} - The ISO 8601 date, or undefined if the text is not a date
+ */
+function toIsoDate(text) {
+  if (!text) return undefined;
+  const exif = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text);
+  if (exif) return `${exif[1]}-${exif[2]}-${exif[3]}T${exif[4]}:${exif[5]}:${exif[6]}`;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+/**
+ * Parses a seed, keeping only whole numbers that can be stored exactly
+ * @param {string|undefined} text - The seed
+ * @returns {number|undefined} - The seed, or undefined if the text is not a valid seed
+ */
+function parseSeed(text) {
+  const seed = Number(text);
+  return text && /^\d+$/.test(text) && Number.isSafeInteger(seed) ? seed : undefined;
+}
+
+/**
+ * Parses a Midjourney description: the prompt with its parameters, followed by `Job ID: <id>`
+ * @param {string|undefined} text - The description
+ * @returns {EmbeddedMetadata|null} - The prompt, job ID, model and seed, or null if it is not a Midjourney description
+ */
+function parseMidjourneyDescription(text) {
+  const match = text ? /^([\s\S]*?)\s*Job ID:\s*(\S+)\s*$/.exec(text) : null;
+  if (!match) return null;
+
+  const [, prompt, jobId] = match;
+  const version = /--(?:v|version)\s+([\d.]+)/.exec(prompt);
+  const niji = /--niji(?:\s+([\d.]+))?/.exec(prompt);
+  const seed = /--seed\s+(\d+)/.exec(prompt);
+  return {
+    prompt: prompt || undefined,
+    jobId,
+    model: niji ? `Midjourney niji${niji[1] ? ` ${niji[1]}` : ''}` : `Midjourney${version ? ` v${version[1]}` : ''}`,
+    seed: parseSeed(seed ? seed[1] : undefined),
+  };
+}
+
+/**
+ * Parses the generation parameters written by Stable Diffusion web UIs: the prompt, an optional negative prompt,
+ * and a line of settings such as `Steps: 20, Seed: 1234, Model: sd_xl_base_1.0`
+ * @param {string|undefined} text - The parameters
+ * @returns {EmbeddedMetadata|null} - The prompt, model and seed, or null if there are no parameters
+ */
+function parseGenerationParameters(text) {
+  if (!text || !text.trim()) return null;
+  const lines = text.split('\n');
+  const end = lines.findIndex(line => /^(Negative prompt|Steps):/.test(line));
+  const prompt = lines.slice(0, end === -1 ? lines.length : end).join('\n').trim();
+  const seed = /(?:^|,\s*)Seed:\s*(\d+)/m.exec(text);
+  const model = /(?:^|,\s*)Model:\s*([^,\n]+)/m.exec(text);
+  return {
+    prompt: prompt || undefined,
+    model: model ? model[1].trim() : undefined,
+    seed: parseSeed(seed ? seed[1] : undefined),
+  };
+}
+
+/**
+ * Maps PNG text chunks to metadata fields. Midjourney writes a `Description`, `Author` and `Creation Time`,
+ * Stable Diffusion web UIs write `parameters`.
+ * @param {Record<string, string>} texts - The texts by keyword
+ * @returns {EmbeddedMetadata} - The fields found
+ */
+function fromPngText(texts) {
+  const generation = parseMidjourneyDescription(texts.Description) || parseGenerationParameters(texts.parameters);
+  return {
+    ...generation,
+    description: generation ? undefined : (texts.Description || texts.Comment || texts.Title),
+    credit: texts.Author || texts.Copyright,
+    createdAt: toIsoDate(texts['Creation Time']),
+  };
+}
+
+/**
+ * Maps EXIF tags to metadata fields
+ * @param {Record<string, string>} tags - The texts by EXIF tag name
+ * @returns {EmbeddedMetadata} - The fields found
+ */
+function fromExif(tags) {
+  const generation = parseMidjourneyDescription(tags.ImageDescription) || parseMidjourneyDescription(tags.UserComment);
+  return {
+    ...generation,
+    description: generation ? undefined : tags.ImageDescription,
+    credit: tags.Artist || tags.Copyright,
+    createdAt: toIsoDate(tags.DateTimeOriginal || tags.DateTime),
+  };
+}
+
+/**
+ * Maps the properties of an XMP packet to metadata fields
+ * @param {string} xmp - The XMP packet
+ * @returns {EmbeddedMetadata} - The fields found
+ */
+function fromXmp(xmp) {
+  const description = getXmpProperty(xmp, 'dc:description');
+  const generation = parseMidjourneyDescription(description);
+  return {
+    ...generation,
+    description: generation ? undefined : description,
+    jobId: (generation && generation.jobId) || getXmpProperty(xmp, 'Iptc4xmpExt:DigImageGUID') || getXmpProperty(xmp, 'iptcExt:DigImageGUID'),
+    credit: getXmpProperty(xmp, 'dc:creator') || getXmpProperty(xmp, 'dc:rights'),
+    license: getXmpProperty(xmp, 'xmpRights:UsageTerms') || getXmpProperty(xmp, 'cc:license'),
+    createdAt: toIsoDate(getXmpProperty(xmp, 'xmp:CreateDate') || getXmpProperty(xmp, 'photoshop:DateCreated')),
+  };
+}
+
+/**
+ * Combines the fields found in several places; the first place that has a field wins
+ * @param {EmbeddedMetadata[]} sources - The fields of every place, most trusted first
+ * @returns {EmbeddedMetadata} - The combined fields, without undefined ones
+ */
+function mergeEmbeddedMetadata(sources) {
+  /** @type {Record<string, unknown>} */
+  const merged = {};
+  for (const field of EMBEDDED_FIELDS) {
+    const source = sources.find(candidate => candidate[field] !== undefined && candidate[field] !== '');
+    if (source) merged[field] = source[field];
+  }
+  return /** @type {EmbeddedMetadata} */ (merged);
+}
+
+/**
+ * Reads the metadata embedded in an image file: PNG text chunks, EXIF and XMP
+ * @param {string} fullPath - The absolute path of the image
+ * @returns {Promise<EmbeddedMetadata>} - The fields found, empty if there are none
+ */
+async function readEmbeddedMetadata(fullPath) {
+  const [data, { exif, xmp }] = await Promise.all([fs.readFile(fullPath), sharp(fullPath).metadata()]);
+  const texts = readPngTextChunks(data);
+  const xmpText = xmp ? xmp.toString('utf8') : texts[PNG_XMP_KEYWORD];
+  return mergeEmbeddedMetadata([
+    fromPngText(texts),
+    xmpText ? fromXmp(xmpText) : {},
+    exif ? fromExif(readExifTags(exif)) : {},
+  ]);
+}
+
+/**
+ * Gets the EXIF data that keeps the PNG text chunks of an image when it is converted to a format without them,
+ * for compression profiles that preserve metadata. EXIF and XMP are kept by the encoder itself.
+ * @param {string} fullPath - The absolute path of the image
+ * @returns {Promise<{ IFD0: Record<string, string> }|null>} - The EXIF tags, or null if the image has no PNG text
+ */
+async function getPngTextExif(fullPath) {
+  const embedded = fromPngText(readPngTextChunks(await fs.readFile(fullPath)));
+  /** @type {Record<string, string>} */
+  const tags = {};
+  const description = embedded.jobId ? `${embedded.prompt || ''} Job ID: ${embedded.jobId}`.trim() : embedded.prompt || embedded.description;
+  if (description) tags.ImageDescription = description;
+  if (embedded.credit) tags.Artist = embedded.credit;
+  if (embedded.createdAt) tags.DateTime = embedded.createdAt.slice(0, 19).replace('T', ' ').replace(/-/g, ':');
+  return Object.keys(tags).length > 0 ? { IFD0: tags } : null;
+}
+
+/**
+ * Finds the tags whose name or title appears in a text, e.g. a prompt, as whole words and ignoring case.
+ * Underscores and hyphens in tag names match spaces.
+ * @param {string} text - The text
+ * @param {Tag[]} tags - The tags to look for
+ * @returns {string[]} - The names of the tags found
+ */
+function suggestTags(text, tags) {
+  /** @param {string} value */
+  const normalize = value => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const words = ` ${normalize(text)} `;
+  return tags
+    .filter(tag => [tag.name, tag.title].some(candidate => {
+      const phrase = normalize(candidate);
+      return phrase !== '' && words.includes(` ${phrase} `);
+    }))
+    .map(tag => tag.name);
+}
+
+/**
+ * Records embedded metadata in the metadata of an image, without replacing fields that are already set,
+ * and suggests tags from its prompt or description if the image set configuration asks for it
+ * @param {Store} store - The store holding the tag configuration and image set configuration
+ * @param {ImageMetadata} image - The metadata of the image
+ * @param {EmbeddedMetadata} embedded - The embedded metadata, see {@link readEmbeddedMetadata}
+ * @returns {string[]} - The fields that were set
+ */
+function applyEmbeddedMetadata(store, image, embedded) {
+  const target = /** @type {Record<string, unknown>} */ (image);
+  const fields = EMBEDDED_FIELDS.filter(field => embedded[field] !== undefined && target[field] === undefined);
+  for (const field of fields) {
+    target[field] = embedded[field];
+  }
+
+  const text = image.prompt || image.description;
+  if (store.config.embeddedMetadata.suggestTags && text) {
+    const suggestedTags = suggestTags(text, store.getAllTags()).filter(tag => !image.tags.includes(tag));
+    if (suggestedTags.length > 0) image.suggestedTags = suggestedTags;
+  }
+  return fields;
+}
+
+module.exports = {
+  EMBEDDED_FIELDS,
+  readPngTextChunks,
+  readExifTags,
+  getXmpProperty,
+  readEmbeddedMetadata,
+  getPngTextExif,
+  suggestTags,
+  applyEmbeddedMetadata,
+};
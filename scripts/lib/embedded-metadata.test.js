@@ -0,0 +1,91 @@
+const path = require('path');
+const sharp = require('sharp');
+const { createStore } = require('./store');
+const {
+  readExifTags,
+  getXmpProperty,
+  readEmbeddedMetadata,
+  getPngTextExif,
+  suggestTags,
+  applyEmbeddedMetadata,
+} = require('./embedded-metadata');
+
+const fixturesDir = path.join(__dirname, '__fixtures__');
+
+describe('embedded metadata', () => {
+  test('readEmbeddedMetadata maps the Midjourney description, author and XMP of a PNG', async () => {
+    expect(await readEmbeddedMetadata(path.join(fixturesDir, 'midjourney.png'))).toEqual({
+      prompt: 'a robot pilot in a mecha hangar, high quality --ar 16:9 --v 6.0 --seed 1234',
+      model: 'Midjourney v6.0',
+      seed: 1234,
+      jobId: '0f3a6c2e-1b2d-4e5f-8a9b-0c1d2e3f4a5b',
+      credit: 'jane_doe',
+      license: 'CC-BY-4.0 & attribution',
+      createdAt: '2024-03-01T12:30:00',
+    });
+  });
+
+  test('readEmbeddedMetadata reads compressed Stable Diffusion parameters without the negative prompt', async () => {
+    expect(await readEmbeddedMetadata(path.join(fixturesDir, 'stable-diffusion.png'))).toEqual({
+      prompt: 'portrait of a knight, detailed armor',
+      model: 'sd_xl_base_1.0',
+      seed: 987654321,
+    });
+  });
+
+  test('readEmbeddedMetadata reads the EXIF of photos', async () => {
+    const jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } })
+      .withExif({ IFD0: { ImageDescription: 'A quiet lake', Artist: 'Jane Doe', DateTime: '2023:05:06 07:08:09' } })
+      .jpeg()
+      .toBuffer();
+    expect(readExifTags(/** @type {Buffer} */ ((await sharp(jpeg).metadata()).exif))).toEqual({
+      ImageDescription: 'A quiet lake',
+      Artist: 'Jane Doe',
+      DateTime: '2023:05:06 07:08:09',
+    });
+    expect(readExifTags(Buffer.from('not exif'))).toEqual({});
+  });
+
+  test('getXmpProperty reads attributes, elements and the first item of lists', () => {
+    const xmp = '<rdf:Description xmp:CreateDate="2024-01-02"><dc:creator><rdf:Seq><rdf:li>Jane &amp; Co</rdf:li>'
+      + '<rdf:li>John</rdf:li></rdf:Seq></dc:creator></rdf:Description>';
+    expect(getXmpProperty(xmp, 'xmp:CreateDate')).toBe('2024-01-02');
+    expect(getXmpProperty(xmp, 'dc:creator')).toBe('Jane & Co');
+    expect(getXmpProperty(xmp, 'dc:rights')).toBeUndefined();
+  });
+
+  test('getPngTextExif keeps the PNG text as EXIF, and nothing for images without it', async () => {
+    expect(await getPngTextExif(path.join(fixturesDir, 'midjourney.png'))).toEqual({
+      IFD0: {
+        ImageDescription: 'a robot pilot in a mecha hangar, high quality --ar 16:9 --v 6.0 --seed 1234 Job ID: 0f3a6c2e-1b2d-4e5f-8a9b-0c1d2e3f4a5b',
+        Artist: 'jane_doe',
+        DateTime: '2024:03:01 12:30:00',
+      },
+    });
+    expect(await getPngTextExif(path.join(fixturesDir, 'photo.tiff'))).toBeNull();
+  });
+
+  test('suggestTags matches tag names and titles as whole words', () => {
+    const tags = [
+      { name: 'mecha', title: 'Mecha', description: '' },
+      { name: 'hq', title: 'High Quality', description: '' },
+      { name: 'sci_fi', title: 'Science Fiction', description: '' },
+      { name: 'robot', title: 'Robot', description: '' },
+    ];
+    expect(suggestTags('A Sci-Fi hangar full of MECHA, high quality', tags)).toEqual(['mecha', 'hq', 'sci_fi']);
+    expect(suggestTags('robots', tags)).toEqual([]);
+  });
+
+  test('applyEmbeddedMetadata keeps fields that are already set and suggests tags when enabled', () => {
+    const store = createStore({ metadataPath: 'unused', tagConfigPath: 'unused', configPath: 'unused' });
+    store.tagConfig = { general: [{ name: 'robot', title: 'Robot', description: '' }, { name: 'hq', title: 'HQ', description: '' }] };
+    const image = { filename: 'pilot.webp', label: '', tags: ['hq'], credit: 'Studio' };
+
+    expect(applyEmbeddedMetadata(store, image, { prompt: 'robot pilot, hq', credit: 'jane_doe', seed: 1 })).toEqual(['prompt', 'seed']);
+    expect(image).toEqual({ filename: 'pilot.webp', label: '', tags: ['hq'], credit: 'Studio', prompt: 'robot pilot, hq', seed: 1 });
+
+    store.config.embeddedMetadata.suggestTags = true;
+    applyEmbeddedMetadata(store, image, {});
+    expect(image.suggestedTags).toEqual(['robot']);
+  });
+});
@@ -0,0 +1,318 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+
+/**
+ * @typedef {import('../../src/index').ImageSet} ImageSet
+ */
+
+/**
+ * An image as shown by the gallery
+ * @typedef {Object} GalleryImage
+ * @property {string} filename - The relative path of the image
+ * @property {string} label - The label of the image
+ * @property {string[]} tags - The tag names of the image
+ * @property {string} src - The URL of the image, relative to the gallery
+ * @property {string} thumbnail - The URL of the smallest source at least {@link THUMBNAIL_WIDTH} pixels wide, relative to the gallery
+ * @property {number} [width] - Width of the image in pixels
+ * @property {number} [height] - Height of the image in pixels
+ * @property {number} [bytes] - Size of the image file in bytes
+ * @property {string} [format] - The format of the image file
+ * @property {string} [dominantColor] - Dominant color of the image, shown while the thumbnail loads
+ * @property {string} [addedIn] - The package version the image was first released in
+ * @property {string} [status] - `needs-review` for images added by watch mode that were not tagged yet
+ * @property {string} [alt] - The alt text of the image
+ * @property {string} [description] - Long description of the image
+ * @property {string} [credit] - The author or credit line of the image
+ * @property {string} [license] - The license of the image
+ * @property {string} [prompt] - The prompt the image was generated from
+ * @property {string} [model] - The model the image was generated with
+ * @property {number} [seed] - The seed the image was generated with
+ */
+
+/**
+ * The data the gallery page is rendered from
+ * @typedef {Object} GalleryData
+ * @property {string} name - The name of the image set
+ * @property {{ name: string, title: string, tags: { name: string, title: string, description: string }[] }[]} categories - The tag categories
+ * @property {GalleryImage[]} images - The images
+ */
+
+/** The width thumbnails should at least have, in pixels */
+const THUMBNAIL_WIDTH = 320;
+
+/** @type {Record<string, string>} */
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * Turns a relative file path into a URL path, encoding every segment
+ * @param {string} filename - The relative path, with `/` or the separator of the platform, as variants use `/`
+ * @returns {string} - The URL path
+ */
+function toUrlPath(filename) {
+  return filename.split(path.sep).join('/').split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Collects the images and categories of an image set for the gallery, along with the files it shows
+ * @param {ImageSet} imageSet - The image set
+ * @returns {{ data: GalleryData, files: string[] }} - The gallery data, and the relative paths of the image files to copy
+ */
+function createGalleryData(imageSet) {
+  /** @type {Set<string>} */
+  const files = new Set();
+  const images = imageSet.getImageMetadata().map(image => {
+    const sources = imageSet.getImageSources(image.filename).filter(source => source.format === (image.format || 'webp'));
+    const thumbnail = sources.find(source => source.width >= THUMBNAIL_WIDTH) || sources[sources.length - 1];
+    const thumbnailFile = thumbnail ? thumbnail.filename : image.filename;
+    files.add(image.filename);
+    files.add(thumbnailFile);
+
+    return {
+      filename: image.filename,
+      label: image.label,
+      tags: image.tags.map(tag => tag.name),
+      src: `images/${toUrlPath(image.filename)}`,
+      thumbnail: `images/${toUrlPath(thumbnailFile)}`,
+      width: image.width,
+      height: image.height,
+      bytes: image.bytes,
+      format: image.format,
+      dominantColor: image.dominantColor,
+      addedIn: image.addedIn,
+      status: image.status,
+      alt: image.alt,
+      description: image.description,
+      credit: image.credit,
+      license: image.license,
+      prompt: image.prompt,
+      model: image.model,
+      seed: image.seed,
+    };
+  });
+
+  const categories = imageSet.getTagCategories().map(category => ({
+    name: category.name,
+    title: category.title,
+    tags: category.tags.map(({ name, title, description }) => ({ name, title, description })),
+  }));
+
+  return { data: { name: imageSet.getImageSetName(), categories, images }, files: [...files] };
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Renders the gallery page. Everything is inline, so the page works when opened as a local file.
+ * @param {GalleryData} data - The gallery data
+ * @returns {string} - The HTML of the page
+ */
+function renderGallery(data) {
+  // Escapes `<` so no label can end the script element early
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.name)} gallery</title>
+<style>
+  body { margin: 0; font-family: system-ui, sans-serif; background: #f4f4f5; color: #18181b; }
+  header { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; padding: 12px 20px; background: #fff; border-bottom: 1px solid #e4e4e7; }
+  header h1 { margin: 0 auto 0 0; font-size: 18px; }
+  #grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; padding: 20px; }
+  .card { display: flex; flex-direction: column; padding: 0; border: 2px solid transparent; border-radius: 8px; background: #fff; text-align: left; font: inherit; cursor: pointer; overflow: hidden; }
+  .card:hover, .card:focus { border-color: #6366f1; }
+  .card.review { border-color: #f59e0b; }
+  .card img { width: 100%; aspect-ratio: 1; object-fit: cover; }
+  .card span { padding: 6px 8px; font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .badge { display: inline-block; margin: 0 4px 4px 0; padding: 2px 6px; border-radius: 4px; background: #e0e7ff; font-size: 12px; }
+  .badge.warning { background: #fef3c7; }
+  dialog { max-width: min(960px, 90vw); border: none; border-radius: 8px; }
+  dialog img { display: block; max-width: 100%; max-height: 70vh; margin: 0 auto 12px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0 0 12px; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(data.name)}</h1>
+  <label>Category <select id="category"><option value="">All</option></select></label>
+  <label>Tag <select id="tag"><option value="">All</option></select></label>
+  <label><input type="checkbox" id="review"> Needs review only</label>
+  <span id="count"></span>
+</header>
+<main id="grid"></main>
+<dialog id="detail">
+  <img id="detail-image" alt="">
+  <dl id="detail-fields"></dl>
+  <form method="dialog"><button>Close</button></form>
+</dialog>
+<script type="application/json" id="gallery-data">${json}</script>
+<script>
+  const data = JSON.parse(document.getElementById('gallery-data').textContent);
+  const tagsByName = new Map(data.categories.flatMap(category => category.tags.map(tag => [tag.name, { ...tag, category }])));
+  const problems = image => [
+    ...(image.label ? [] : ['No label']),
+    ...(image.tags.length > 0 ? [] : ['No tags']),
+    ...(image.status === 'needs-review' ? ['Pending review'] : []),
+  ];
+  const element = (name, properties = {}, children = []) => {
+    const node = Object.assign(document.createElement(name), properties);
+    node.append(...children);
+    return node;
+  };
+  const badge = (text, warning) => element('span', { className: warning ? 'badge warning' : 'badge', textContent: text });
+  const formatBytes = bytes => (bytes >= 1024 * 1024 ? (bytes / 1024 / 1024).toFixed(1) + ' MB' : (bytes / 1024).toFixed(1) + ' KB');
+
+  const categorySelect = document.getElementById('category');
+  const tagSelect = document.getElementById('tag');
+  const reviewCheckbox = document.getElementById('review');
+  categorySelect.append(...data.categories.map(category => element('option', { value: category.name, textContent: category.title })));
+
+  function updateTagOptions() {
+    const categories = data.categories.filter(category => !categorySelect.value || category.name === categorySelect.value);
+    tagSelect.replaceChildren(element('option', { value: '', textContent: 'All' }), ...categories.map(category =>
+      element('optgroup', { label: category.title }, category.tags.map(tag => element('option', { value: tag.name, textContent: tag.title })))));
+  }
+
+  function showDetail(image) {
+    document.getElementById('detail-image').src = image.src;
+    document.getElementById('detail-image').alt = image.alt || image.label;
+    const fields = [
+      ['File', image.filename],
+      ['Label', image.label || badge('No label', true)],
+      ['Tags', image.tags.length > 0
+        ? element('span', {}, image.tags.map(name => {
+          const tag = tagsByName.get(name);
+          return badge(tag ? tag.category.title + ': ' + tag.title : name + ' (unknown)', !tag);
+        }))
+        : badge('No tags', true)],
+      ['Dimensions', image.width ? image.width + ' × ' + image.height + ' px' : 'Unknown'],
+      ['Size', image.bytes ? formatBytes(image.bytes) : 'Unknown'],
+      ['Format', image.format || 'Unknown'],
+      ['Added in', image.addedIn || 'Unreleased'],
+      ['Alt text', image.alt || badge('No alt text', true)],
+      ...[['Description', image.description], ['Credit', image.credit], ['License', image.license],
+        ['Prompt', image.prompt], ['Model', image.model], ['Seed', image.seed]].filter(([, value]) => value !== undefined),
+    ];
+    document.getElementById('detail-fields').replaceChildren(...fields.flatMap(([title, value]) => [
+      element('dt', { textContent: title }),
+      element('dd', {}, [value]),
+    ]));
+    document.getElementById('detail').showModal();
+  }
+
+  function render() {
+    const category = data.categories.find(category => category.name === categorySelect.value);
+    const images = data.images.filter(image =>
+      (!category || image.tags.some(name => category.tags.some(tag => tag.name === name)))
+      && (!tagSelect.value || image.tags.includes(tagSelect.value))
+      && (!reviewCheckbox.checked || problems(image).length > 0));
+
+    document.getElementById('grid').replaceChildren(...images.map(image => {
+      const card = element('button', { className: problems(image).length > 0 ? 'card review' : 'card', title: image.filename }, [
+        element('img', { src: image.thumbnail, alt: image.alt || image.label, loading: 'lazy' }),
+        element('span', { textContent: image.label || image.filename }),
+        element('span', {}, problems(image).map(problem => badge(problem, true))),
+      ]);
+      if (image.dominantColor) card.querySelector('img').style.background = image.dominantColor;
+      card.addEventListener('click', () => showDetail(image));
+      return card;
+    }));
+    const review = data.images.filter(image => problems(image).length > 0).length;
+    document.getElementById('count').textContent = images.length + ' of ' + data.images.length + ' images, ' + review + ' need review';
+  }
+
+  categorySelect.addEventListener('change', () => { updateTagOptions(); render(); });
+  tagSelect.addEventListener('change', render);
+  reviewCheckbox.addEventListener('change', render);
+  updateTagOptions();
+  render();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the gallery of an image set to a directory: `index.html` and a copy of every image and thumbnail it shows.
+ * Images that cannot be copied, e.g. because their file is missing, are reported and skipped.
+ * @param {ImageSet} imageSet - The image set
+ * @param {string} outDir - The directory to write to
+ * @returns {Promise<GalleryData>} - The data of the written gallery
+ */
+async function writeGallery(imageSet, outDir) {
+  const { data, files } = createGalleryData(imageSet);
+  const { imagesDir } = imageSet.getImageSetPaths();
+
+  for (const file of files) {
+    const target = path.join(outDir, 'images', file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.copyFile(path.join(imagesDir, file), target);
+    } catch (error) {
+      console.error(`Cannot copy ${file}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+  await fs.writeFile(path.join(outDir, 'index.html'), renderGallery(data));
+  return data;
+}
+
+/**
+ * Serves the files of a directory over HTTP, e.g. a written gallery. Only files inside the directory are served.
+ * @param {string} dir - The directory to serve
+ * @param {Object} [options]
+ * @param {number} [options.port] - The port to listen on; 0 picks a free port
+ * @param {string} [options.host] - The host to listen on (defaults to localhost only)
+ * @returns {Promise<http.Server>} - The listening server
+ */
+function serveDirectory(dir, { port = 8080, host = '127.0.0.1' } = {}) {
+  const root = path.resolve(dir);
+  const server = http.createServer(async (request, response) => {
+    let file;
+    try {
+      const urlPath = decodeURIComponent(new URL(request.url || '/', 'http://localhost').pathname);
+      file = path.join(root, urlPath.endsWith('/') ? `${urlPath}index.html` : urlPath);
+    } catch (error) {
+      file = null;
+    }
+
+    if (!file || !file.startsWith(root + path.sep)) {
+      response.writeHead(400).end();
+      return;
+    }
+    try {
+      const body = await fs.readFile(file);
+      response.writeHead(200, { 'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream' }).end(body);
+    } catch (error) {
+      response.writeHead(404).end('Not found');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  THUMBNAIL_WIDTH,
+  createGalleryData,
+  renderGallery,
+  writeGallery,
+  serveDirectory,
+};
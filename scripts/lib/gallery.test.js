@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createImageSet } = require('../../src/index');
+const { createGalleryData, renderGallery, writeGallery, serveDirectory } = require('./gallery');
+
+describe('gallery', () => {
+  let root;
+  let imageSet;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-gallery-'));
+    const imagesDir = path.join(root, 'public', 'images');
+    fs.mkdirSync(path.join(imagesDir, '_variants', 'hero.webp'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(imagesDir, 'hero.webp'), 'hero');
+    fs.writeFileSync(path.join(imagesDir, 'plain.webp'), 'plain');
+    for (const width of [160, 320, 640]) {
+      fs.writeFileSync(path.join(imagesDir, '_variants', 'hero.webp', `${width}w.webp`), `hero-${width}`);
+    }
+    const variant = width => ({ filename: path.join('_variants', 'hero.webp', `${width}w.webp`), width, height: width / 2, format: 'webp', bytes: 1 });
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename: 'hero.webp', label: 'Hero </script>', tags: ['people'], width: 1280, height: 640, variants: [variant(160), variant(320), variant(640)] },
+      { filename: 'plain.webp', label: '', tags: [] },
+    ]));
+    fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify({
+      subject: [{ name: 'people', title: 'People', description: 'People' }],
+    }));
+    imageSet = createImageSet({ root, name: 'my-images' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('uses the smallest variant at least 320 pixels wide as thumbnail', () => {
+    const { data, files } = createGalleryData(imageSet);
+
+    expect(data.images.map(image => image.thumbnail)).toEqual(['images/_variants/hero.webp/320w.webp', 'images/plain.webp']);
+    expect(data.categories).toEqual([{ name: 'subject', title: 'Subject', tags: [{ name: 'people', title: 'People', description: 'People' }] }]);
+    expect(files.sort()).toEqual(['hero.webp', path.join('_variants', 'hero.webp', '320w.webp'), 'plain.webp'].sort());
+  });
+
+  test('embeds the data without letting labels end the script element', () => {
+    const html = renderGallery(createGalleryData(imageSet).data);
+
+    expect(html.match(/<\/script>/g)).toHaveLength(2);
+    const json = /<script type="application\/json" id="gallery-data">(.*)<\/script>/.exec(html)[1];
+    expect(JSON.parse(json).images[0].label).toBe('Hero </script>');
+  });
+
+  test('writes the page and copies the shown images', async () => {
+    const outDir = path.join(root, 'gallery');
+    await writeGallery(imageSet, outDir);
+
+    expect(fs.readFileSync(path.join(outDir, 'index.html'), 'utf8')).toContain('<title>my-images gallery</title>');
+    expect(fs.readFileSync(path.join(outDir, 'images', '_variants', 'hero.webp', '320w.webp'), 'utf8')).toBe('hero-320');
+    expect(fs.existsSync(path.join(outDir, 'images', '_variants', 'hero.webp', '640w.webp'))).toBe(false);
+  });
+
+  test('serves the files of the gallery directory only', async () => {
+    const outDir = path.join(root, 'gallery');
+    await writeGallery(imageSet, outDir);
+    const server = await serveDirectory(outDir, { port: 0 });
+    const { port } = server.address();
+    const get = urlPath => new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: urlPath }, response => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, type: response.headers['content-type'], body }));
+      }).on('error', reject);
+    });
+
+    try {
+      expect(await get('/')).toMatchObject({ status: 200, type: 'text/html; charset=utf-8' });
+      expect(await get('/images/plain.webp')).toEqual({ status: 200, type: 'image/webp', body: 'plain' });
+      expect((await get('/images/missing.webp')).status).toBe(404);
+      expect((await get('/..%2F..%2Fsrc%2Ftag-config.json')).status).toBe(400);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,46 @@
+// @ts-check
+const path = require('path');
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * Supports `*` (any characters except `/`), `**` (any number of directories) and `?` (a single character).
+ * @param {string} pattern - The glob pattern, using `/` as separator.
+ * @returns {RegExp} The regular expression matching the whole path.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a relative file path matches a glob pattern.
+ * @param {string} filePath - The relative path, using the separator of the platform.
+ * @param {string} pattern - The glob pattern, using `/` as separator.
+ * @returns {boolean} True if the path matches.
+ */
+function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(filePath.split(path.sep).join('/'));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+const { matchesGlob } = require('./glob');
+
+describe('matchesGlob', () => {
+  test('* matches within a single directory', () => {
+    expect(matchesGlob('hero.webp', '*.webp')).toBe(true);
+    expect(matchesGlob(path.join('mecha', 'mecha1.webp'), '*.webp')).toBe(false);
+    expect(matchesGlob(path.join('mecha', 'mecha1.webp'), 'mecha/*')).toBe(true);
+  });
+
+  test('** matches any number of directories', () => {
+    expect(matchesGlob('hero.webp', '**/*.webp')).toBe(true);
+    expect(matchesGlob(path.join('mecha', 'old', 'mecha1.webp'), 'mecha/**')).toBe(true);
+    expect(matchesGlob(path.join('mecha', 'old', 'mecha1.webp'), '**/old/*.webp')).toBe(true);
+    expect(matchesGlob('hero.webp', 'mecha/**')).toBe(false);
+  });
+
+  test('? matches a single character and other characters match literally', () => {
+    expect(matchesGlob('hero1.webp', 'hero?.webp')).toBe(true);
+    expect(matchesGlob('hero12.webp', 'hero?.webp')).toBe(false);
+    expect(matchesGlob('hero1xwebp', 'hero1.webp')).toBe(false);
+  });
+});
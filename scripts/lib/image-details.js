@@ -0,0 +1,53 @@
+/**
+ * @typedef {'alt'|'description'|'credit'|'license'|'prompt'|'model'|'seed'} ImageDetailField
+ */
+
+/**
+ * The optional descriptive fields of an image, in the order the tagging prompt asks for them
+ * @type {{ field: ImageDetailField, title: string, message: string }[]}
+ */
+const IMAGE_DETAILS = [
+  { field: 'alt', title: 'Alt text', message: 'Alt text, describing the image for screen readers:' },
+  { field: 'description', title: 'Description', message: 'Long description or caption:' },
+  { field: 'credit', title: 'Credit', message: 'Author or credit:' },
+  { field: 'license', title: 'License', message: 'License (e.g. CC-BY-4.0):' },
+  { field: 'prompt', title: 'Prompt', message: 'Generation prompt:' },
+  { field: 'model', title: 'Model', message: 'Model and version (e.g. Midjourney v6):' },
+  { field: 'seed', title: 'Seed', message: 'Seed:' },
+];
+
+/**
+ * The names of the descriptive fields
+ * @type {ImageDetailField[]}
+ */
+const IMAGE_DETAIL_FIELDS = IMAGE_DETAILS.map(({ field }) => field);
+
+/**
+ * Parses the text entered for a descriptive field
+ * @param {ImageDetailField} field - The field
+ * @param {string} text - The entered text
+ * @returns {string|number|undefined} - The value to store, or undefined to remove the field if the text is empty
+ * @throws {Error} If the field is unknown, or the seed is not a whole number
+ */
+function parseImageDetail(field, text) {
+  if (!IMAGE_DETAIL_FIELDS.includes(field)) {
+    throw new Error(`Unknown field "${field}". Expected one of ${IMAGE_DETAIL_FIELDS.join(', ')}.`);
+  }
+
+  const value = text.trim();
+  if (value === '') return undefined;
+  if (field === 'seed') {
+    const seed = Number(value);
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(seed)) {
+      throw new Error(`The seed must be a whole number, got "${value}".`);
+    }
+    return seed;
+  }
+  return value;
+}
+
+module.exports = {
+  IMAGE_DETAILS,
+  IMAGE_DETAIL_FIELDS,
+  parseImageDetail,
+};
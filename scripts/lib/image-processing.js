@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { computePerceptualHash } = require('./perceptual-hash');
+const { resolveProfile } = require('./profiles');
+const { readEmbeddedMetadata, getPngTextExif, applyEmbeddedMetadata } = require('./embedded-metadata');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').ImageMetadata} ImageMetadata
+ * @typedef {import('./store').ImageVariant} ImageVariant
+ * @typedef {import('./store').OriginalFile} OriginalFile
+ * @typedef {import('./store').EncodingSettings} EncodingSettings
+ * @typedef {import('./profiles').ResolvedProfile} ResolvedProfile
+ */
+
+/**
+ * @typedef {Pick<ImageMetadata, 'width' | 'height' | 'aspectRatio' | 'bytes' | 'dominantColor' | 'blurDataURL' | 'perceptualHash' | 'format' | 'frames'>} ImageInfo
+ */
+
+/** Extensions of the files that make up the image set. SVGs are kept as they are. */
+const IMAGE_EXTENSIONS = ['.webp', '.avif', '.svg'];
+
+/**
+ * Extensions of the files that are converted to the format of their compression profile. AVIF files
+ * are only converted while they have no metadata yet.
+ */
+const INPUT_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff', '.heic', '.heif', '.avif'];
+
+/**
+ * Encoding settings that override the configured settings of every format
+ * @typedef {Partial<Pick<EncodingSettings, 'quality' | 'effort' | 'lossless'>>} EncodingOverrides
+ */
+
+/**
+ * Reads the dimensions, file size, dominant color, a blur placeholder, the perceptual hash, the format
+ * and the number of frames of an image. The dimensions of an animated image are those of one frame.
+ * @param {string} fullPath - The absolute path of the image
+ * @returns {Promise<ImageInfo>} - The image information
+ */
+async function getImageInfo(fullPath) {
+  const [{ width = 0, height = 0, pages = 1 }, { dominant }, { size }, placeholder, perceptualHash] = await Promise.all([
+    sharp(fullPath).metadata(),
+    sharp(fullPath).stats(),
+    fs.stat(fullPath),
+    sharp(fullPath).resize(16, 16, { fit: 'inside' }).webp({ quality: 20 }).toBuffer(),
+    computePerceptualHash(fullPath)
+  ]);
+  const dominantColor = '#' + [dominant.r, dominant.g, dominant.b]
+    .map(channel => channel.toString(16).padStart(2, '0'))
+    .join('');
+
+  return {
+    width,
+    height,
+    aspectRatio: height ? Math.round((width / height) * 10000) / 10000 : 0,
+    bytes: size,
+    dominantColor,
+    blurDataURL: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    perceptualHash,
+    format: /** @type {'webp'|'avif'|'svg'} */ (path.extname(fullPath).slice(1).toLowerCase()),
+    frames: pages > 1 ? pages : undefined
+  };
+}
+
+/**
+ * Checks whether an image is an animated GIF or WebP
+ * @param {string} fullPath - The absolute path of the image
+ * @returns {Promise<boolean>} - True if the image has more than one frame
+ */
+async function isAnimated(fullPath) {
+  const { format, pages = 1 } = await sharp(fullPath).metadata();
+  return pages > 1 && (format === 'gif' || format === 'webp');
+}
+
+/**
+ * Finds the compression profile of an image. Animated images are encoded to WebP whatever the format
+ * of their profile, as their frames would be lost in AVIF.
+ * @param {Store} store - The store holding the image set configuration
+ * @param {{ filename: string, tags?: string[] }} image - The relative path and tags of the image
+ * @param {string} source - The absolute path of the image to encode
+ * @returns {Promise<ResolvedProfile>} - The profile with every setting filled in
+ */
+async function resolveImageProfile(store, image, source) {
+  const profile = resolveProfile(store.config, image);
+  if (profile.format === 'webp' || !(await isAnimated(source))) return profile;
+  return { ...profile, format: 'webp', encoding: store.config.encoding.webp };
+}
+
+/**
+ * Records the image information for a given image in its metadata
+ * @param {Store} store - The store holding the metadata
+ * @param {string} imagePath - The relative path of the image
+ * @returns {Promise<void>}
+ */
+async function updateImageInfo(store, imagePath) {
+  const image = store.findImage(imagePath);
+  if (!image) return;
+
+  Object.assign(image, await getImageInfo(path.join(store.paths.imagesDir, imagePath)));
+}
+
+/**
+ * Sharpens and encodes an image according to a compression profile. The encoder settings of the profile
+ * are used for its own format; other formats use the configured settings of that format.
+ * @param {Store} store - The store holding the image set configuration
+ * @param {sharp.Sharp} pipeline - The sharp pipeline of the image
+ * @param {ResolvedProfile} profile - The compression profile of the image
+ * @param {'webp'|'avif'} format - The format to encode to
+ * @param {EncodingOverrides} [overrides] - Settings that take precedence over the profile
+ * @returns {sharp.Sharp} - The pipeline with the encoder applied
+ */
+function encode(store, pipeline, profile, format, overrides = {}) {
+  if (profile.sharpen !== false) {
+    pipeline = profile.sharpen === true ? pipeline.sharpen() : pipeline.sharpen({ sigma: profile.sharpen });
+  }
+  if (!profile.stripMetadata) {
+    pipeline = pipeline.withMetadata();
+  }
+
+  const settings = { ...(format === profile.format ? profile.encoding : store.config.encoding[format]), ...overrides };
+  return format === 'avif' ? pipeline.avif(settings) : pipeline.webp(settings);
+}
+
+/**
+ * Converts a relative path to the form recorded in the metadata, with `/` as separator on every platform, so
+ * it can be used in URLs as is
+ * @param {string} relativePath - The relative path, with the separators of the platform
+ * @returns {string} - The path with `/` as separator
+ */
+function toMetadataPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Gets the path an image is encoded to in the format of its profile
+ * @param {string} imagePath - The path of the source or current image
+ * @param {ResolvedProfile} profile - The compression profile of the image
+ * @returns {string} - The path with the extension of the profile's format, with `/` as separator
+ */
+function getOutputPath(imagePath, profile) {
+  const { dir, name } = path.parse(imagePath);
+  return path.posix.join(toMetadataPath(dir), `${name}.${profile.format}`);
+}
+
+/**
+ * Encodes an image according to its compression profile, scaling it down to the profile's maximum
+ * dimensions. All frames of an animated image are kept when encoding to WebP. Profiles that keep metadata
+ * also keep the text chunks of PNGs, as EXIF. The output is written atomically.
+ * @param {Store} store - The store holding the image set configuration
+ * @param {string} source - The absolute path of the image to encode
+ * @param {string} outputPath - The absolute path to write the encoded image to
+ * @param {ResolvedProfile} profile - The compression profile of the image
+ * @param {EncodingOverrides} [overrides] - Settings that take precedence over the profile
+ * @returns {Promise<number>} - The size of the encoded image in bytes
+ */
+async function encodeImage(store, source, outputPath, profile, overrides = {}) {
+  let pipeline = sharp(source, { animated: profile.format === 'webp' && await isAnimated(source) });
+  if (profile.maxWidth || profile.maxHeight) {
+    pipeline = pipeline.resize({ width: profile.maxWidth, height: profile.maxHeight, fit: 'inside', withoutEnlargement: true });
+  }
+
+  pipeline = encode(store, pipeline, profile, profile.format, overrides);
+  const exif = profile.stripMetadata ? null : await getPngTextExif(source);
+  if (exif) pipeline = pipeline.withExifMerge(exif);
+
+  const tempPath = `${outputPath}.${process.pid}.tmp`;
+  try {
+    const info = await pipeline.toFile(tempPath);
+    await fs.rename(tempPath, outputPath);
+    return info.size;
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Gets the source to encode an image and its variants from: the archived original if there is one,
+ * or the image itself
+ * @param {Store} store - The store holding the metadata
+ * @param {ImageMetadata} image - The metadata of the image
+ * @returns {string} - The absolute path of the source
+ */
+function getEncodingSource(store, image) {
+  return image.original
+    ? path.join(store.getOriginalsDir(), image.original.filename)
+    : path.join(store.paths.imagesDir, image.filename);
+}
+
+/**
+ * Gets the directory holding the variants of an image. It is named after the image including its extension, so
+ * images that differ only in their extension, such as `hero.webp` and `hero.avif`, keep their variants apart.
+ * @param {Store} store - The store holding the image set configuration
+ * @param {string} imagePath - The relative path of the image
+ * @returns {string} - The absolute path of the directory
+ */
+function getVariantsDir(store, imagePath) {
+  return path.join(store.paths.variantsDir, imagePath);
+}
+
+/**
+ * Lists the variants an image should have according to the image set configuration. SVGs have no variants.
+ * @param {Store} store - The store holding the image set configuration
+ * @param {ImageMetadata} image - The metadata of the image
+ * @returns {{ filename: string, width: number, format: 'webp'|'avif' }[]} - The planned variants
+ */
+function getPlannedVariants(store, image) {
+  const { imagesDir } = store.paths;
+  const { ext } = path.parse(image.filename);
+  if (ext.toLowerCase() === '.svg') return [];
+  const originalWidth = image.width || 0;
+  const widths = store.config.variants.widths.filter(width => width < originalWidth);
+
+  return store.config.variants.formats.flatMap(format =>
+    (format === 'webp' ? widths : [...widths, originalWidth]).map(width => ({
+      filename: path.posix.join(toMetadataPath(path.relative(imagesDir, getVariantsDir(store, image.filename))), `${width}w.${format}`),
+      width,
+      format
+    }))
+  );
+}
+
+/**
+ * Generates the responsive variants of an image unless they are already up to date. WebP variants
+ * of an animated image keep all frames; AVIF variants only show the first frame.
+ * @param {Store} store - The store holding the metadata and image set configuration
+ * @param {string} imagePath - The relative path of the image
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Regenerate the variants even if they are up to date
+ * @param {EncodingOverrides} [options.overrides] - Settings that take precedence over the configuration
+ * @returns {Promise<void>}
+ */
+async function updateImageVariants(store, imagePath, { force = false, overrides = {} } = {}) {
+  const { imagesDir } = store.paths;
+  const image = store.findImage(imagePath);
+  if (!image) return;
+
+  const profile = resolveProfile(store.config, image);
+  const planned = getPlannedVariants(store, image);
+  const current = image.variants || [];
+  const upToDate = planned.length === current.length
+    && planned.every(variant => current.some(existing => existing.filename === variant.filename));
+  if (upToDate && !force) return;
+
+  await fs.rm(getVariantsDir(store, imagePath), { recursive: true, force: true });
+
+  const source = getEncodingSource(store, image);
+  const animated = planned.length > 0 && await isAnimated(source);
+
+  /** @type {ImageVariant[]} */
+  const variants = [];
+  for (const variant of planned) {
+    const outputPath = path.join(imagesDir, variant.filename);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+    const resized = sharp(source, { animated: animated && variant.format === 'webp' }).resize({ width: variant.width });
+    const info = await encode(store, resized, profile, variant.format, overrides).toFile(outputPath);
+    variants.push({
+      filename: variant.filename,
+      width: info.width,
+      height: info.pageHeight || info.height,
+      format: variant.format,
+      bytes: info.size
+    });
+  }
+
+  console.log(`Generated ${variants.length} variant(s) for: ${imagePath}`);
+  if (variants.length > 0) {
+    image.variants = variants;
+  } else {
+    delete image.variants;
+  }
+}
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} fullPath - The absolute path of the file
+ * @returns {Promise<string>} - The checksum as `sha256-<hex digest>`
+ */
+async function computeChecksum(fullPath) {
+  const data = await fs.readFile(fullPath);
+  return `sha256-${crypto.createHash('sha256').update(data).digest('hex')}`;
+}
+
+/**
+ * Moves a file, copying it when the target is on another device
+ * @param {string} from - The current path
+ * @param {string} to - The new path
+ * @returns {Promise<void>}
+ */
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+/**
+ * Moves the original file of a compressed image into the originals archive
+ * @param {Store} store - The store holding the image set configuration
+ * @param {string} fullPath - The absolute path of the original file in the image directory
+ * @returns {Promise<OriginalFile>} - The archived file, to record in the metadata of the image
+ * @throws {Error} If an original with the same name but different contents is already archived
+ */
+async function archiveOriginal(store, fullPath) {
+  const filename = toMetadataPath(path.relative(store.paths.imagesDir, fullPath));
+  const archivedPath = path.join(store.getOriginalsDir(), filename);
+  const checksum = await computeChecksum(fullPath);
+  const { size } = await fs.stat(fullPath);
+
+  const existingChecksum = await computeChecksum(archivedPath).catch(() => null);
+  if (existingChecksum && existingChecksum !== checksum) {
+    throw new Error(`A different original is already archived at ${archivedPath}.`);
+  }
+
+  await moveFile(fullPath, archivedPath);
+  return { filename, checksum, bytes: size };
+}
+
+/**
+ * Converts a new image to the format of its compression profile and adds it to the metadata, with the prompt,
+ * creation date and other data embedded in the original unless the image set configuration turns that off.
+ * The original is archived if the image set configuration asks for it, and removed otherwise. Animated GIFs
+ * and WebPs stay animated.
+ * @param {Store} store - The store holding the metadata and image set configuration
+ * @param {string} fullPath - The absolute path of the image in the image directory
+ * @returns {Promise<{ filename: string, profile: string, before: number, after: number }>} - The path of the
+ * converted image, the name of its profile and the sizes of the image before and after
+ * @throws {Error} If the image cannot be decoded, or the converted image would replace another image;
+ * the original is left in place in that case
+ */
+async function convertImage(store, fullPath) {
+  const relativePath = toMetadataPath(path.relative(store.paths.imagesDir, fullPath));
+  const profile = await resolveImageProfile(store, { filename: relativePath }, fullPath);
+
+  const filename = getOutputPath(relativePath, profile);
+  const outputPath = path.join(store.paths.imagesDir, filename);
+  if (filename !== relativePath && store.findImage(filename)) {
+    throw new Error(`Cannot convert ${relativePath} to ${filename}: that image already exists.`);
+  }
+
+  const { size: before } = await fs.stat(fullPath);
+  const embedded = store.config.embeddedMetadata.extract ? await readEmbeddedMetadata(fullPath).catch(() => ({})) : {};
+  const original = store.config.originals.archive ? await archiveOriginal(store, fullPath) : null;
+  const source = original ? path.join(store.getOriginalsDir(), original.filename) : fullPath;
+  let after;
+  try {
+    after = await encodeImage(store, source, outputPath, profile);
+  } catch (error) {
+    if (original) await moveFile(source, fullPath);
+    throw error;
+  }
+  if (!original && filename !== relativePath) {
+    await fs.unlink(fullPath);
+  }
+
+  store.updateImageMetadata(filename, [], '');
+  const image = /** @type {ImageMetadata} */ (store.findImage(filename));
+  if (original) image.original = original;
+  applyEmbeddedMetadata(store, image, embedded);
+  await updateImageInfo(store, filename);
+  await updateImageVariants(store, filename);
+  return { filename, profile: profile.name, before, after };
+}
+
+/**
+ * Encodes an image again from its archived original with its compression profile, and regenerates its variants.
+ * If the format of the profile changed, the image is renamed to the new extension.
+ * @param {Store} store - The store holding the metadata and image set configuration
+ * @param {string} imagePath - The relative path of the image
+ * @param {EncodingOverrides} [overrides] - Settings that take precedence over the profile
+ * @returns {Promise<{ filename: string, profile: string, before: number, after: number }>} - The new path,
+ * the name of the profile and the sizes of the image before and after
+ * @throws {Error} If the image has no archived original, or the original is missing or was changed
+ */
+async function reencodeImage(store, imagePath, overrides = {}) {
+  const image = store.findImage(imagePath);
+  if (!image || !image.original) {
+    throw new Error(`${imagePath} has no archived original.`);
+  }
+
+  const source = getEncodingSource(store, image);
+  const checksum = await computeChecksum(source).catch(() => null);
+  if (checksum === null) {
+    throw new Error(`The original of ${imagePath} is missing: ${source}`);
+  }
+  if (checksum !== image.original.checksum) {
+    throw new Error(`The original of ${imagePath} does not match its recorded checksum: ${source}`);
+  }
+
+  const profile = await resolveImageProfile(store, image, source);
+  const filename = getOutputPath(imagePath, profile);
+  const currentPath = path.join(store.paths.imagesDir, imagePath);
+  const outputPath = path.join(store.paths.imagesDir, filename);
+  if (filename !== imagePath && store.findImage(filename)) {
+    throw new Error(`Cannot re-encode ${imagePath} as ${filename}: that image already exists.`);
+  }
+
+  const before = (await fs.stat(currentPath)).size;
+  const after = await encodeImage(store, source, outputPath, profile, overrides);
+  if (filename !== imagePath) {
+    await fs.unlink(currentPath);
+    await fs.rm(getVariantsDir(store, imagePath), { recursive: true, force: true });
+    image.filename = filename;
+  }
+
+  await updateImageInfo(store, filename);
+  await updateImageVariants(store, filename, { force: true, overrides });
+  return { filename, profile: profile.name, before, after };
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  INPUT_EXTENSIONS,
+  getImageInfo,
+  updateImageInfo,
+  encode,
+  encodeImage,
+  toMetadataPath,
+  getOutputPath,
+  getPlannedVariants,
+  updateImageVariants,
+  computeChecksum,
+  archiveOriginal,
+  convertImage,
+  reencodeImage,
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createStore } = require('./store');
+const {
+  archiveOriginal,
+  computeChecksum,
+  convertImage,
+  getImageInfo,
+  getPlannedVariants,
+  reencodeImage,
+  updateImageInfo,
+  updateImageVariants,
+} = require('./image-processing');
+const { readExifTags } = require('./embedded-metadata');
+
+const fixturesDir = path.join(__dirname, '__fixtures__');
+
+describe('image processing', () => {
+  let root;
+  let store;
+  let imagesDir;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-processing-'));
+    imagesDir = path.join(root, 'public', 'images');
+    fs.mkdirSync(path.join(imagesDir, 'mecha'), { recursive: true });
+    await sharp({ create: { width: 400, height: 200, channels: 3, background: '#336699' } })
+      .png()
+      .toFile(path.join(imagesDir, 'mecha', 'mecha1.png'));
+
+    store = createStore({
+      root,
+      imagesDir,
+      variantsDir: path.join(imagesDir, '_variants'),
+      metadataPath: path.join(root, 'image-metadata.json'),
+      tagConfigPath: path.join(root, 'tag-config.json'),
+      configPath: path.join(root, 'image-set.config.json'),
+      backupsDir: path.join(root, '.backups'),
+    });
+    store.config.variants.widths = [100];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Compresses the fixture like process-images does with the originals archive enabled.
+   */
+  const compressWithArchive = async () => {
+    const fullPath = path.join(imagesDir, 'mecha', 'mecha1.png');
+    await sharp(fullPath).webp({ quality: 80 }).toFile(path.join(imagesDir, 'mecha', 'mecha1.webp'));
+    const original = await archiveOriginal(store, fullPath);
+    store.updateImageMetadata('mecha/mecha1.webp', [], '');
+    store.findImage('mecha/mecha1.webp').original = original;
+    return original;
+  };
+
+  test('archiveOriginal moves the original into the archive and records its checksum', async () => {
+    const checksum = await computeChecksum(path.join(imagesDir, 'mecha', 'mecha1.png'));
+    const original = await compressWithArchive();
+
+    expect(original).toEqual({ filename: 'mecha/mecha1.png', checksum, bytes: expect.any(Number) });
+    expect(checksum).toMatch(/^sha256-[0-9a-f]{64}$/);
+    expect(fs.existsSync(path.join(imagesDir, 'mecha', 'mecha1.png'))).toBe(false);
+    expect(fs.existsSync(path.join(root, 'originals', 'mecha', 'mecha1.png'))).toBe(true);
+  });
+
+  test('convertImage records paths with / separators on platforms that use \\', async () => {
+    const { relative } = path;
+    jest.replaceProperty(path, 'sep', '\\');
+    jest.spyOn(path, 'relative').mockImplementation((from, to) => relative(from, to).split('/').join('\\'));
+    const fullPath = path.join(imagesDir, 'mecha', 'mecha1.png');
+    store.config.originals.archive = true;
+
+    store.updateImageMetadata('mecha/mecha1.webp', [], '');
+    await expect(convertImage(store, fullPath)).rejects.toThrow('that image already exists');
+    store.metadata = [];
+
+    const result = await convertImage(store, fullPath);
+    expect(result.filename).toBe('mecha/mecha1.webp');
+    expect(store.metadata).toHaveLength(1);
+    expect(store.findImage('mecha/mecha1.webp')).toMatchObject({
+      original: { filename: 'mecha/mecha1.png' },
+      variants: [{ filename: '_variants/mecha/mecha1.webp/100w.webp' }],
+    });
+  });
+
+  test('updateImageVariants keeps the variants of images that differ only in their extension apart', async () => {
+    const source = path.join(imagesDir, 'mecha', 'mecha1.png');
+    await sharp(source).webp().toFile(path.join(imagesDir, 'mecha', 'mecha1.webp'));
+    await sharp(source).avif().toFile(path.join(imagesDir, 'mecha', 'mecha1.avif'));
+    for (const filename of ['mecha/mecha1.webp', 'mecha/mecha1.avif']) {
+      store.updateImageMetadata(filename, [], '');
+      await updateImageInfo(store, filename);
+      await updateImageVariants(store, filename);
+    }
+
+    await updateImageVariants(store, 'mecha/mecha1.webp', { force: true });
+    expect(store.findImage('mecha/mecha1.avif').variants).toEqual([
+      { filename: '_variants/mecha/mecha1.avif/100w.webp', width: 100, height: 50, format: 'webp', bytes: expect.any(Number) },
+    ]);
+    for (const image of store.metadata) {
+      expect(fs.existsSync(path.join(imagesDir, image.variants[0].filename))).toBe(true);
+    }
+  });
+
+  test('reencodeImage encodes the image and its variants again from the original', async () => {
+    await compressWithArchive();
+    const filename = 'mecha/mecha1.webp';
+
+    await reencodeImage(store, filename, { lossless: true });
+    const image = store.findImage(filename);
+    expect(image).toMatchObject({ width: 400, height: 200, bytes: fs.statSync(path.join(imagesDir, filename)).size });
+    expect(image.variants).toEqual([
+      { filename: '_variants/mecha/mecha1.webp/100w.webp', width: 100, height: 50, format: 'webp', bytes: expect.any(Number) },
+    ]);
+    expect(fs.readdirSync(path.join(imagesDir, 'mecha'))).toEqual(['mecha1.webp']);
+  });
+
+  test('reencodeImage applies the compression profile of the image', async () => {
+    await compressWithArchive();
+    store.config.profiles = { small: { format: 'avif', maxWidth: 200 } };
+    store.config.profileRules = [{ glob: 'mecha/**', profile: 'small' }];
+
+    const result = await reencodeImage(store, 'mecha/mecha1.webp');
+    const filename = 'mecha/mecha1.avif';
+    expect(result).toEqual({ filename, profile: 'small', before: expect.any(Number), after: fs.statSync(path.join(imagesDir, filename)).size });
+    expect(store.findImage(filename)).toMatchObject({ width: 200, height: 100 });
+    expect(store.findImage('mecha/mecha1.webp')).toBeUndefined();
+    expect(fs.readdirSync(path.join(imagesDir, 'mecha'))).toEqual(['mecha1.avif']);
+  });
+
+  test('reencodeImage refuses originals that are missing or were changed', async () => {
+    await compressWithArchive();
+    const filename = 'mecha/mecha1.webp';
+    const before = fs.readFileSync(path.join(imagesDir, filename));
+
+    fs.appendFileSync(path.join(root, 'originals', 'mecha', 'mecha1.png'), 'changed');
+    await expect(reencodeImage(store, filename)).rejects.toThrow('does not match its recorded checksum');
+    fs.rmSync(path.join(root, 'originals'), { recursive: true });
+    await expect(reencodeImage(store, filename)).rejects.toThrow('is missing');
+    await expect(reencodeImage(store, 'hero.webp')).rejects.toThrow('has no archived original');
+    expect(fs.readFileSync(path.join(imagesDir, filename))).toEqual(before);
+  });
+
+  describe('input formats', () => {
+    /**
+     * Copies a fixture into the image directory.
+     */
+    const addFixture = (name, target = name) => {
+      fs.copyFileSync(path.join(fixturesDir, name), path.join(imagesDir, target));
+      return path.join(imagesDir, target);
+    };
+
+    test('convertImage converts a TIFF to the format of its profile and removes it', async () => {
+      const result = await convertImage(store, addFixture('photo.tiff'));
+
+      expect(result).toEqual({ filename: 'photo.webp', profile: 'default', before: 318, after: expect.any(Number) });
+      expect(store.findImage('photo.webp')).toMatchObject({ width: 12, height: 8, format: 'webp', frames: undefined });
+      expect(fs.existsSync(path.join(imagesDir, 'photo.tiff'))).toBe(false);
+    });
+
+    test('convertImage encodes an AVIF without metadata in place when its profile is AVIF', async () => {
+      store.config.profiles = { default: { format: 'avif' } };
+      store.config.originals.archive = true;
+      const fullPath = addFixture('photo.avif');
+      const checksum = await computeChecksum(fullPath);
+
+      const result = await convertImage(store, fullPath);
+      expect(result.filename).toBe('photo.avif');
+      expect(store.findImage('photo.avif')).toMatchObject({
+        format: 'avif',
+        original: { filename: 'photo.avif', checksum, bytes: 491 },
+      });
+      expect(fs.existsSync(fullPath)).toBe(true);
+      expect(fs.existsSync(path.join(root, 'originals', 'photo.avif'))).toBe(true);
+    });
+
+    test('convertImage keeps the frames of an animated GIF, even if its profile is AVIF', async () => {
+      store.config.profiles = { default: { format: 'avif' } };
+      store.config.variants = { widths: [4], formats: ['webp', 'avif'] };
+
+      const result = await convertImage(store, addFixture('animated.gif'));
+      expect(result.filename).toBe('animated.webp');
+      const image = store.findImage('animated.webp');
+      expect(image).toMatchObject({ width: 8, height: 6, format: 'webp', frames: 3 });
+      expect(await sharp(path.join(imagesDir, 'animated.webp')).metadata()).toMatchObject({ format: 'webp', pages: 3 });
+      expect(image.variants).toEqual([
+        { filename: '_variants/animated.webp/4w.webp', width: 4, height: 3, format: 'webp', bytes: expect.any(Number) },
+        { filename: '_variants/animated.webp/4w.avif', width: 4, height: 3, format: 'avif', bytes: expect.any(Number) },
+        { filename: '_variants/animated.webp/8w.avif', width: 8, height: 6, format: 'avif', bytes: expect.any(Number) },
+      ]);
+      expect((await sharp(path.join(imagesDir, '_variants', 'animated.webp', '4w.webp')).metadata()).pages).toBe(3);
+    });
+
+    test('convertImage leaves files it cannot decode in place', async () => {
+      fs.writeFileSync(path.join(imagesDir, 'photo.heic'), 'not an image');
+      store.config.originals.archive = true;
+
+      await expect(convertImage(store, path.join(imagesDir, 'photo.heic'))).rejects.toThrow();
+      expect(fs.readFileSync(path.join(imagesDir, 'photo.heic'), 'utf8')).toBe('not an image');
+      expect(store.metadata).toEqual([]);
+    });
+
+    test('convertImage records the embedded metadata and keeps it in the output only if the profile does', async () => {
+      store.config.embeddedMetadata.suggestTags = true;
+      store.tagConfig = { subject: [{ name: 'mecha', title: 'Mecha', description: '' }] };
+      store.config.profiles = { archive: { stripMetadata: false } };
+      store.config.profileRules = [{ glob: 'kept.*', profile: 'archive' }];
+
+      await convertImage(store, addFixture('midjourney.png', 'kept.png'));
+      await convertImage(store, addFixture('midjourney.png', 'stripped.png'));
+      for (const filename of ['kept.webp', 'stripped.webp']) {
+        expect(store.findImage(filename)).toMatchObject({
+          prompt: expect.stringContaining('a robot pilot in a mecha hangar'),
+          jobId: '0f3a6c2e-1b2d-4e5f-8a9b-0c1d2e3f4a5b',
+          suggestedTags: ['mecha'],
+        });
+      }
+      const { exif } = await sharp(path.join(imagesDir, 'kept.webp')).metadata();
+      expect(readExifTags(/** @type {Buffer} */ (exif)).ImageDescription).toMatch(/^a robot pilot .* Job ID: 0f3a6c2e/);
+      expect((await sharp(path.join(imagesDir, 'stripped.webp')).metadata()).exif).toBeUndefined();
+
+      store.config.embeddedMetadata.extract = false;
+      await convertImage(store, addFixture('stable-diffusion.png'));
+      expect(store.findImage('stable-diffusion.webp')).not.toHaveProperty('prompt');
+    });
+
+    test('SVGs are read as they are and get no variants', async () => {
+      const info = await getImageInfo(addFixture('vector.svg'));
+      expect(info).toMatchObject({ width: 40, height: 20, aspectRatio: 2, format: 'svg', bytes: 188 });
+
+      store.updateImageMetadata('vector.svg', [], '');
+      Object.assign(store.findImage('vector.svg'), info);
+      expect(getPlannedVariants(store, store.findImage('vector.svg'))).toEqual([]);
+    });
+  });
+});
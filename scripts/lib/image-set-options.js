@@ -0,0 +1,56 @@
+// @ts-check
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createImageSet } = require('../../src/index');
+
+const packageRoot = path.join(__dirname, '..', '..');
+
+/**
+ * The `util.parseArgs` option definitions shared by all scripts.
+ * @type {{ root: { type: 'string' }, set: { type: 'string' } }}
+ */
+const imageSetOptions = {
+  root: { type: 'string' },
+  set: { type: 'string' }
+};
+
+/**
+ * Creates the image set selected by the `--root` and `--set` command line options.
+ * - `--root <dir>` uses the image set in `<dir>` (relative to the working directory)
+ * - `--set <name>` uses the image set in `sets/<name>` of this package, named `<name>`
+ * Without either option, the image set at the root of this package is used.
+ * Exits the process if the image directory of the selected set does not exist.
+ * @param {string[]} [args] - The command line arguments (defaults to process.argv without node and the script).
+ * @returns {import('../../src/index').ImageSet} The selected image set.
+ */
+function getImageSetFromArgs(args = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args,
+    options: imageSetOptions,
+    strict: false,
+    allowPositionals: true
+  });
+  const set = typeof values.set === 'string' ? values.set : undefined;
+
+  let root = packageRoot;
+  if (typeof values.root === 'string') {
+    root = path.resolve(values.root);
+  } else if (set) {
+    root = path.join(packageRoot, 'sets', set);
+  }
+
+  const imageSet = createImageSet({ root, name: set });
+  const { imagesDir } = imageSet.getImageSetPaths();
+  if (!fs.existsSync(imagesDir)) {
+    console.error(`Image directory not found: ${imagesDir}`);
+    process.exit(1);
+  }
+
+  return imageSet;
+}
+
+module.exports = {
+  imageSetOptions,
+  getImageSetFromArgs,
+};
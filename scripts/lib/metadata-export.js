@@ -0,0 +1,206 @@
+const { formatCsv, parseCsv } = require('./csv');
+const { checkCategoryRules } = require('../../src/tag-categories');
+const { MANIFEST_VERSION, createManifest } = require('../../src/manifest');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('../../src/index').ResolvedImageMetadata} ResolvedImageMetadata
+ */
+
+/**
+ * A change to the metadata of an image read from an imported CSV
+ * @typedef {Object} ImportChange
+ * @property {string} filename - The relative path of the image
+ * @property {string} label - The new label
+ * @property {string[]} tags - The new tag names
+ * @property {string} [previousLabel] - The previous label, if the label changed
+ * @property {string[]} addedTags - The tags the image gains
+ * @property {string[]} removedTags - The tags the image loses
+ */
+
+/** The formats the export command writes */
+const EXPORT_FORMATS = ['csv', 'yaml', 'manifest'];
+
+/** The columns of the exported CSV. Only `filename`, `label` and `tags` are read back by the import. */
+const CSV_COLUMNS = [
+  'filename', 'label', 'tags', 'tagTitles', 'tagDescriptions',
+  'width', 'height', 'aspectRatio', 'bytes', 'format', 'dominantColor', 'addedIn'
+];
+
+/** Plain scalars that YAML 1.1 readers turn into booleans or null, so keys spelled like them are quoted */
+const YAML_RESERVED_WORDS = ['y', 'yes', 'n', 'no', 'true', 'false', 'on', 'off', 'null'];
+
+/** The separator of the tags, tag titles and tag descriptions within a CSV field */
+const LIST_SEPARATOR = '; ';
+
+/**
+ * Formats the metadata of images as CSV, one row per image, with the names, titles and descriptions
+ * of its tags joined into one field each
+ * @param {ResolvedImageMetadata[]} images - The metadata of the images, with full tags
+ * @returns {string} - The CSV text
+ */
+function toCsv(images) {
+  return formatCsv([
+    CSV_COLUMNS,
+    ...images.map(image => [
+      image.filename,
+      image.label,
+      image.tags.map(tag => tag.name).join(LIST_SEPARATOR),
+      image.tags.map(tag => tag.title).join(LIST_SEPARATOR),
+      image.tags.map(tag => tag.description).join(LIST_SEPARATOR),
+      image.width,
+      image.height,
+      image.aspectRatio,
+      image.bytes,
+      image.format,
+      image.dominantColor,
+      image.addedIn,
+    ])
+  ]);
+}
+
+/**
+ * Formats a value that fits on the line of its key or list item
+ * @param {unknown} value - A string, number, boolean, null, or an empty array or object
+ * @returns {string} - The YAML scalar; strings are double-quoted
+ */
+function formatYamlScalar(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return '{}';
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Checks whether a value is an array or object with at least one entry, and so needs a block of its own
+ * @param {unknown} value - The value
+ * @returns {boolean} - True for non-empty arrays and objects
+ */
+function isBlock(value) {
+  return typeof value === 'object' && value !== null && Object.keys(value).length > 0;
+}
+
+/**
+ * Formats an array or object as a YAML block. Keys with undefined values are left out.
+ * @param {unknown[]|Record<string, unknown>} value - The array or object
+ * @param {string} [indent] - The indentation of the block
+ * @returns {string} - The YAML lines, each ending with a line break
+ */
+function formatYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => (isBlock(item)
+      ? `${indent}- ${formatYaml(/** @type {any} */ (item), `${indent}  `).slice(indent.length + 2)}`
+      : `${indent}- ${formatYamlScalar(item)}\n`)).join('');
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => {
+      const isPlain = /^[A-Za-z_][\w-]*$/.test(key) && !YAML_RESERVED_WORDS.includes(key.toLowerCase());
+      const formattedKey = isPlain ? key : JSON.stringify(key);
+      return isBlock(item)
+        ? `${indent}${formattedKey}:\n${formatYaml(/** @type {any} */ (item), `${indent}  `)}`
+        : `${indent}${formattedKey}: ${formatYamlScalar(item)}\n`;
+    })
+    .join('');
+}
+
+/**
+ * Formats the metadata of images as YAML, a list with the full tags of every image
+ * @param {ResolvedImageMetadata[]} images - The metadata of the images, with full tags
+ * @returns {string} - The YAML text
+ */
+function toYaml(images) {
+  return images.length > 0 ? formatYaml(images) : '[]\n';
+}
+
+/**
+ * Reads the labels and tags of a CSV, e.g. an export edited in a spreadsheet, and compares them with the
+ * metadata. Images missing from the CSV are left unchanged. Nothing is changed in the store.
+ * @param {Store} store - The store holding the metadata and tag configuration
+ * @param {string} text - The CSV text, with a header row containing `filename`, `label` and `tags`
+ * @returns {{ changes: ImportChange[], errors: string[] }} - The changes to apply, and the problems found;
+ * the changes must not be applied if there are any errors
+ */
+function planCsvImport(store, text) {
+  /** @type {string[][]} */
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    return { changes: [], errors: [error instanceof Error ? error.message : String(error)] };
+  }
+
+  const [header = [], ...records] = rows;
+  const columns = Object.fromEntries(['filename', 'label', 'tags'].map(name => [name, header.indexOf(name)]));
+  const missingColumns = Object.keys(columns).filter(name => columns[name] === -1);
+  if (missingColumns.length > 0) {
+    return { changes: [], errors: [`The CSV has no ${missingColumns.join(', ')} column(s).`] };
+  }
+
+  const knownTags = store.getAllTags().map(tag => tag.name);
+  const categories = store.getTagCategories();
+  /** @type {ImportChange[]} */
+  const changes = [];
+  /** @type {string[]} */
+  const errors = [];
+  /** @type {Set<string>} */
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const row = `Row ${index + 2}`;
+    const filename = (record[columns.filename] || '').trim();
+    const label = record[columns.label] || '';
+    const tags = (record[columns.tags] || '').split(';').map(tag => tag.trim()).filter(Boolean);
+
+    if (!filename) {
+      errors.push(`${row}: the filename is empty.`);
+      return;
+    }
+    if (seen.has(filename)) {
+      errors.push(`${row}: ${filename} appears more than once.`);
+      return;
+    }
+    seen.add(filename);
+    const image = store.findImage(filename);
+    if (!image) {
+      errors.push(`${row}: ${filename} has no metadata.`);
+      return;
+    }
+
+    const unknownTags = tags.filter(tag => !knownTags.includes(tag));
+    if (unknownTags.length > 0) {
+      errors.push(`${row}: unknown tag(s) ${unknownTags.join(', ')} on ${filename}.`);
+      return;
+    }
+    const violation = checkCategoryRules(tags, categories).find(v => v.rule === 'single-select');
+    if (violation) {
+      errors.push(`${row}: category "${violation.category}" allows only one tag on ${filename}, got ${violation.tags.join(', ')}.`);
+      return;
+    }
+
+    const addedTags = tags.filter(tag => !image.tags.includes(tag));
+    const removedTags = image.tags.filter(tag => !tags.includes(tag));
+    if (label === image.label && addedTags.length === 0 && removedTags.length === 0) return;
+
+    changes.push({
+      filename,
+      label,
+      tags,
+      ...(label !== image.label ? { previousLabel: image.label } : {}),
+      addedTags,
+      removedTags,
+    });
+  });
+
+  return { changes, errors };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MANIFEST_VERSION,
+  toCsv,
+  toYaml,
+  createManifest,
+  planCsvImport,
+};
@@ -0,0 +1,123 @@
+const { createStore } = require('./store');
+const { toCsv, toYaml, planCsvImport } = require('./metadata-export');
+const { parseCsv } = require('./csv');
+
+describe('metadata export', () => {
+  const images = [
+    {
+      filename: 'hero.webp',
+      label: 'Hero, "the" first',
+      tags: [
+        { name: 'people', title: 'People', description: 'Images of people' },
+        { name: 'hq', title: 'High Quality', description: 'High quality' },
+      ],
+      width: 400,
+      height: 200,
+      format: 'webp',
+      variants: [],
+    },
+    { filename: 'mecha/mecha1.webp', label: '', tags: [] },
+  ];
+
+  test('toCsv writes one row per image with the tags joined into fields', () => {
+    const [header, hero, mecha] = parseCsv(toCsv(images));
+    const row = Object.fromEntries(header.map((column, i) => [column, hero[i]]));
+    expect(row).toMatchObject({
+      filename: 'hero.webp',
+      label: 'Hero, "the" first',
+      tags: 'people; hq',
+      tagTitles: 'People; High Quality',
+      tagDescriptions: 'Images of people; High quality',
+      width: '400',
+      format: 'webp',
+      addedIn: '',
+    });
+    expect(mecha.slice(0, 3)).toEqual(['mecha/mecha1.webp', '', '']);
+  });
+
+  test('toYaml writes a list of images with their full tags', () => {
+    expect(toYaml(images)).toBe([
+      '- filename: "hero.webp"',
+      '  label: "Hero, \\"the\\" first"',
+      '  tags:',
+      '    - name: "people"',
+      '      title: "People"',
+      '      description: "Images of people"',
+      '    - name: "hq"',
+      '      title: "High Quality"',
+      '      description: "High quality"',
+      '  width: 400',
+      '  height: 200',
+      '  format: "webp"',
+      '  variants: []',
+      '- filename: "mecha/mecha1.webp"',
+      '  label: ""',
+      '  tags: []',
+      '',
+    ].join('\n'));
+    expect(toYaml([])).toBe('[]\n');
+  });
+
+  test('toYaml quotes keys that YAML 1.1 reads as booleans or null', () => {
+    const translations = { no: { label: 'Helt' }, ON: { label: 'Hero' }, nl: { label: 'Held' }, 'pt-BR': { label: 'Herói' } };
+    expect(toYaml([{ filename: 'hero.webp', label: 'Hero', tags: [], translations }])).toBe([
+      '- filename: "hero.webp"',
+      '  label: "Hero"',
+      '  tags: []',
+      '  translations:',
+      '    "no":',
+      '      label: "Helt"',
+      '    "ON":',
+      '      label: "Hero"',
+      '    nl:',
+      '      label: "Held"',
+      '    pt-BR:',
+      '      label: "Herói"',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('planCsvImport', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({ metadataPath: 'unused', tagConfigPath: 'unused', configPath: 'unused' });
+    store.tagConfig = {
+      subject: [
+        { name: 'people', title: 'People', description: '' },
+        { name: 'tech', title: 'Technology', description: '' },
+      ],
+      general: [{ name: 'hq', title: 'High Quality', description: '' }],
+    };
+    store.metadata = [
+      { filename: 'hero.webp', label: 'Hero', tags: ['people'] },
+      { filename: 'mecha.webp', label: '', tags: ['tech', 'hq'] },
+      { filename: 'sky.webp', label: 'Sky', tags: [] },
+    ];
+  });
+
+  test('lists the label and tag changes without changing the store', () => {
+    const csv = 'filename,label,tags,tagTitles\nhero.webp,Hero shot,people; hq,ignored\nmecha.webp,,tech\nsky.webp,Sky,\n';
+    expect(planCsvImport(store, csv)).toEqual({
+      changes: [
+        { filename: 'hero.webp', label: 'Hero shot', tags: ['people', 'hq'], previousLabel: 'Hero', addedTags: ['hq'], removedTags: [] },
+        { filename: 'mecha.webp', label: '', tags: ['tech'], addedTags: [], removedTags: ['hq'] },
+      ],
+      errors: [],
+    });
+    expect(store.findImage('hero.webp')).toEqual({ filename: 'hero.webp', label: 'Hero', tags: ['people'] });
+  });
+
+  test('reports unknown images and tags, duplicate rows and missing columns', () => {
+    const csv = 'filename,label,tags\nhero.webp,Hero,heroic\nnew.webp,New,\nsky.webp,Sky,\nsky.webp,Sky 2,\n,Empty,\n';
+    expect(planCsvImport(store, csv).errors).toEqual([
+      'Row 2: unknown tag(s) heroic on hero.webp.',
+      'Row 3: new.webp has no metadata.',
+      'Row 5: sky.webp appears more than once.',
+      'Row 6: the filename is empty.',
+    ]);
+    expect(planCsvImport(store, 'filename,title\nhero.webp,Hero\n').errors).toEqual(['The CSV has no label, tags column(s).']);
+    expect(planCsvImport(store, 'filename,label,tags\n"hero.webp').errors).toEqual(['The CSV ends inside a quoted field.']);
+  });
+});
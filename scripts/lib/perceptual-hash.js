@@ -0,0 +1,34 @@
+const sharp = require('sharp');
+
+/**
+ * Computes the difference hash (dHash) of an image: the image is shrunk to 9x8 grayscale pixels,
+ * and each bit records whether a pixel is darker than its right neighbour. Resized, re-encoded
+ * or slightly edited copies of an image get hashes that differ in only a few bits.
+ * Transparency is flattened first, so the raw pixels always have a single channel.
+ * @param {string|Buffer} input - The path or contents of the image
+ * @returns {Promise<string>} - The 64-bit hash as 16 hex digits
+ */
+async function computePerceptualHash(input) {
+  const pixels = await sharp(input)
+    .flatten()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let column = 0; column < 8; column++) {
+      const left = pixels[row * 9 + column];
+      const right = pixels[row * 9 + column + 1];
+      byte = (byte << 1) | (left < right ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+module.exports = {
+  computePerceptualHash,
+};
@@ -0,0 +1,43 @@
+const sharp = require('sharp');
+const { computePerceptualHash } = require('./perceptual-hash');
+const { hammingDistance } = require('../../src/similarity');
+
+/**
+ * Creates a grayscale PNG with a horizontal gradient and a dark square.
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} [invert]
+ */
+async function createImage(width, height, invert = false) {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dark = x > width / 4 && x < width / 2 && y > height / 4 && y < height / 2;
+      const value = dark ? 10 : Math.round((x / width) * 255);
+      pixels[y * width + x] = invert ? 255 - value : value;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+describe('computePerceptualHash', () => {
+  test('returns 16 hex digits', async () => {
+    expect(await computePerceptualHash(await createImage(64, 64))).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('gives resized and re-encoded copies nearly the same hash', async () => {
+    const original = await createImage(256, 256);
+    const copy = await sharp(await createImage(128, 128)).webp({ quality: 50 }).toBuffer();
+    const different = await createImage(256, 256, true);
+
+    const hash = await computePerceptualHash(original);
+    expect(hammingDistance(hash, await computePerceptualHash(copy))).toBeLessThanOrEqual(4);
+    expect(hammingDistance(hash, await computePerceptualHash(different))).toBeGreaterThan(20);
+  });
+
+  test('hashes images with an alpha channel like their opaque copies', async () => {
+    const opaque = await createImage(64, 64);
+    const withAlpha = await sharp(opaque).ensureAlpha().png().toBuffer();
+    expect(await computePerceptualHash(withAlpha)).toBe(await computePerceptualHash(opaque));
+  });
+});
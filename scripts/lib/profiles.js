@@ -0,0 +1,59 @@
+const { matchesGlob } = require('./glob');
+
+/**
+ * @typedef {import('./store').ImageSetConfig} ImageSetConfig
+ * @typedef {import('./store').CompressionProfile} CompressionProfile
+ * @typedef {import('./store').EncodingSettings} EncodingSettings
+ */
+
+/**
+ * A compression profile with every setting filled in
+ * @typedef {Object} ResolvedProfile
+ * @property {string} name - The name of the profile, `default` if no rule matched
+ * @property {'webp'|'avif'} format - The format to encode the image to
+ * @property {EncodingSettings} encoding - The encoder settings
+ * @property {number} [maxWidth] - The maximum width in pixels; larger images are scaled down
+ * @property {number} [maxHeight] - The maximum height in pixels; larger images are scaled down
+ * @property {boolean} stripMetadata - Remove EXIF, ICC and other metadata from the output
+ * @property {boolean|number} sharpen - Sharpen the image after resizing; a number sets the sigma of the sharpening mask
+ */
+
+/**
+ * Finds the profile of an image: the profile of the first rule in `profileRules` whose glob matches
+ * the path of the image, or whose tag the image has. Images matching no rule use the `default` profile,
+ * which can itself be defined in `profiles`.
+ * @param {ImageSetConfig} config - The image set configuration
+ * @param {{ filename: string, tags?: string[] }} image - The relative path and tags of the image
+ * @returns {ResolvedProfile} - The profile with every setting filled in
+ * @throws {Error} If the matching rule refers to a profile that is not defined
+ */
+function resolveProfile(config, { filename, tags = [] }) {
+  const rule = config.profileRules.find(r => (r.glob !== undefined && matchesGlob(filename, r.glob))
+    || (r.tag !== undefined && tags.includes(r.tag)));
+  const name = rule ? rule.profile : 'default';
+  const profile = config.profiles[name];
+  if (!profile && name !== 'default') {
+    throw new Error(`Compression profile "${name}" is not defined in "profiles" of image-set.config.json.`);
+  }
+
+  const { format = 'webp', quality, effort, lossless, maxWidth, maxHeight, stripMetadata = true, sharpen = false } = profile || {};
+  /** @type {Partial<EncodingSettings>} */
+  const encoding = {};
+  if (quality !== undefined) encoding.quality = quality;
+  if (effort !== undefined) encoding.effort = effort;
+  if (lossless !== undefined) encoding.lossless = lossless;
+
+  return {
+    name,
+    format,
+    encoding: { ...config.encoding[format], ...encoding },
+    maxWidth,
+    maxHeight,
+    stripMetadata,
+    sharpen
+  };
+}
+
+module.exports = {
+  resolveProfile,
+};
@@ -0,0 +1,61 @@
+const { createStore } = require('./store');
+const { resolveProfile } = require('./profiles');
+
+describe('resolveProfile', () => {
+  let config;
+
+  beforeEach(() => {
+    config = createStore({}).config;
+    config.profiles = {
+      hero: { quality: 92, effort: 6, sharpen: true },
+      thumbnail: { format: 'avif', quality: 40, maxWidth: 512, maxHeight: 512, stripMetadata: false },
+    };
+    config.profileRules = [
+      { glob: 'heroes/**', profile: 'hero' },
+      { tag: 'thumbnail', profile: 'thumbnail' },
+      { glob: 'mecha/**', profile: 'thumbnail' },
+    ];
+  });
+
+  test('uses the profile of the first rule matching the path or a tag', () => {
+    expect(resolveProfile(config, { filename: 'heroes/alonzo.png', tags: ['thumbnail'] })).toEqual({
+      name: 'hero',
+      format: 'webp',
+      encoding: { quality: 92, effort: 6, lossless: false },
+      maxWidth: undefined,
+      maxHeight: undefined,
+      stripMetadata: true,
+      sharpen: true,
+    });
+    expect(resolveProfile(config, { filename: 'alonzo.webp', tags: ['thumbnail'] }).name).toBe('thumbnail');
+    expect(resolveProfile(config, { filename: 'mecha/mecha1.png' })).toEqual({
+      name: 'thumbnail',
+      format: 'avif',
+      encoding: { quality: 40, effort: 4, lossless: false },
+      maxWidth: 512,
+      maxHeight: 512,
+      stripMetadata: false,
+      sharpen: false,
+    });
+  });
+
+  test('falls back to the default profile and the encoding settings', () => {
+    expect(resolveProfile(config, { filename: 'alonzo.png' })).toEqual({
+      name: 'default',
+      format: 'webp',
+      encoding: { quality: 80, effort: 4, lossless: false },
+      maxWidth: undefined,
+      maxHeight: undefined,
+      stripMetadata: true,
+      sharpen: false,
+    });
+
+    config.profiles.default = { quality: 70 };
+    expect(resolveProfile(config, { filename: 'alonzo.png' }).encoding.quality).toBe(70);
+  });
+
+  test('throws for rules referring to undefined profiles', () => {
+    config.profileRules = [{ glob: '**', profile: 'poster' }];
+    expect(() => resolveProfile(config, { filename: 'alonzo.png' })).toThrow('Compression profile "poster" is not defined');
+  });
+});
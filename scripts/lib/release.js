@@ -0,0 +1,162 @@
+// @ts-check
+const { parseVersion, getVersionTagName } = require('../../src/versions');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').ImageMetadata} ImageMetadata
+ */
+
+/**
+ * @typedef {{ filename: string, tags: string[] }} ReleasedImage
+ */
+
+/**
+ * @typedef {Object} RetaggedImage
+ * @property {string} filename - The relative path of the image
+ * @property {string[]} added - The tags the image gained
+ * @property {string[]} removed - The tags the image lost
+ */
+
+/**
+ * @typedef {Object} MetadataDiff
+ * @property {string[]} added - Images that are new since the last release
+ * @property {string[]} removed - Images that were removed since the last release
+ * @property {RetaggedImage[]} retagged - Images whose tags changed since the last release
+ */
+
+/** The version bump types accepted by the publish script */
+const BUMP_TYPES = ['patch', 'minor', 'major'];
+
+/**
+ * Computes the next version of the package
+ * @param {string} version - The current version, e.g. `2.1.0`
+ * @param {string} bumpType - `patch`, `minor` or `major`
+ * @returns {string} - The next version, e.g. `2.2.0` for a minor bump
+ * @throws {Error} If the bump type is unknown or the current version is not a plain `MAJOR.MINOR.PATCH` version
+ */
+function bumpVersion(version, bumpType) {
+  if (!BUMP_TYPES.includes(bumpType)) {
+    throw new Error(`Invalid version bump type "${bumpType}". Expected one of: ${BUMP_TYPES.join(', ')}.`);
+  }
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    throw new Error(`Cannot bump version "${version}": expected MAJOR.MINOR.PATCH.`);
+  }
+
+  const [major, minor, patch] = parsed;
+  if (bumpType === 'major') return `${major + 1}.0.0`;
+  if (bumpType === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Compares the metadata of the last release with the current metadata
+ * @param {ReleasedImage[]} previous - The metadata of the last release
+ * @param {ReleasedImage[]} current - The current metadata
+ * @returns {MetadataDiff} - The added, removed and retagged images, each sorted by filename
+ */
+function diffMetadata(previous, current) {
+  const previousByFilename = new Map(previous.map(image => [image.filename, image]));
+  const currentFilenames = new Set(current.map(image => image.filename));
+
+  /** @type {MetadataDiff} */
+  const diff = { added: [], removed: [], retagged: [] };
+  for (const image of current) {
+    const before = previousByFilename.get(image.filename);
+    if (!before) {
+      diff.added.push(image.filename);
+      continue;
+    }
+    const added = image.tags.filter(tag => !before.tags.includes(tag));
+    const removed = before.tags.filter(tag => !image.tags.includes(tag));
+    if (added.length > 0 || removed.length > 0) {
+      diff.retagged.push({ filename: image.filename, added, removed });
+    }
+  }
+  diff.removed = previous.filter(image => !currentFilenames.has(image.filename)).map(image => image.filename);
+
+  diff.added.sort();
+  diff.removed.sort();
+  diff.retagged.sort((a, b) => a.filename.localeCompare(b.filename));
+  return diff;
+}
+
+/**
+ * Formats the image changes of a release as a changelog section
+ * @param {MetadataDiff} diff - The changes since the last release
+ * @returns {string} - The `### Images` section, or an empty string if no image changed
+ */
+function formatImageChanges(diff) {
+  const lines = [
+    ...diff.added.map(filename => `- Added \`${filename}\``),
+    ...diff.removed.map(filename => `- Removed \`${filename}\``),
+    ...diff.retagged.map(({ filename, added, removed }) => `- Retagged \`${filename}\`: `
+      + [...added.map(tag => `+${tag}`), ...removed.map(tag => `-${tag}`)].join(', ')),
+  ];
+  return lines.length > 0 ? `### Images\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Turns the `[Unreleased]` section of a Keep a Changelog file into a section for the new version,
+ * appending the image changes to it, and leaves an empty `[Unreleased]` section above it.
+ * If there is no `[Unreleased]` section, the new section is inserted above the first version.
+ * @param {string} changelog - The contents of `CHANGELOG.md`
+ * @param {string} version - The new version
+ * @param {string} date - The release date as `YYYY-MM-DD`
+ * @param {string} imageChanges - The `### Images` section, see {@link formatImageChanges}
+ * @returns {string} - The new contents of `CHANGELOG.md`
+ */
+function updateChangelog(changelog, version, date, imageChanges) {
+  const heading = /^## \[Unreleased\].*\n/m.exec(changelog);
+  const bodyStart = heading ? heading.index + heading[0].length : 0;
+  const nextHeading = /^## /m.exec(changelog.slice(bodyStart));
+  const bodyEnd = nextHeading ? bodyStart + nextHeading.index : changelog.length;
+
+  const unreleased = heading ? changelog.slice(bodyStart, bodyEnd).trim() : '';
+  const body = [unreleased, imageChanges].filter(Boolean).join('\n\n') || 'No changes.';
+  const before = heading ? `${changelog.slice(0, bodyStart)}\n` : `${changelog.slice(0, bodyEnd).trimEnd()}\n\n`;
+  const after = bodyEnd < changelog.length ? `\n${changelog.slice(bodyEnd)}` : '';
+  return `${before}## [${version}] - ${date}\n\n${body}\n${after}`;
+}
+
+/**
+ * Marks images as first released in a version: records the version in their `addedIn` field and adds
+ * the version tag (e.g. `2_1_0`), which is created in the `version` category if no category has it yet.
+ * Images that already have an `addedIn` version keep it and are not tagged again.
+ * @param {Store} store - The store holding the metadata and tag configuration
+ * @param {string[]} filenames - The relative paths of the images added since the last release
+ * @param {string} version - The version being released
+ * @returns {{ tag: string, createdTag: boolean, changedImages: string[] }} - The version tag, whether it was
+ * created, and the images that were marked
+ */
+function tagReleasedImages(store, filenames, version) {
+  const tag = getVersionTagName(version);
+  const changedImages = filenames.filter(filename => {
+    const image = store.findImage(filename);
+    return image !== undefined && image.addedIn === undefined;
+  });
+
+  const createdTag = changedImages.length > 0 && !store.findTagCategory(tag);
+  if (createdTag) {
+    store.tagConfig.version = [
+      ...(store.tagConfig.version || []),
+      { name: tag, title: `Version ${version}`, description: `Images first released in version ${version}` }
+    ];
+  }
+
+  for (const filename of changedImages) {
+    const image = /** @type {ImageMetadata} */ (store.findImage(filename));
+    image.addedIn = version;
+    if (!image.tags.includes(tag)) image.tags.push(tag);
+  }
+  return { tag, createdTag, changedImages };
+}
+
+module.exports = {
+  BUMP_TYPES,
+  bumpVersion,
+  diffMetadata,
+  formatImageChanges,
+  updateChangelog,
+  tagReleasedImages,
+};
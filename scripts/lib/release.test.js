@@ -0,0 +1,107 @@
+const { createStore } = require('./store');
+const { bumpVersion, diffMetadata, formatImageChanges, updateChangelog, tagReleasedImages } = require('./release');
+
+describe('bumpVersion', () => {
+  test('bumps the patch, minor or major version', () => {
+    expect(bumpVersion('2.1.3', 'patch')).toBe('2.1.4');
+    expect(bumpVersion('2.1.3', 'minor')).toBe('2.2.0');
+    expect(bumpVersion('2.1.3', 'major')).toBe('3.0.0');
+  });
+
+  test('rejects unknown bump types and versions', () => {
+    expect(() => bumpVersion('2.1.3', 'pacth')).toThrow('Invalid version bump type "pacth"');
+    expect(() => bumpVersion('2.1.3', '1.0.0 && rm -rf')).toThrow('Invalid version bump type');
+    expect(() => bumpVersion('2.1.3-beta.1', 'patch')).toThrow('expected MAJOR.MINOR.PATCH');
+  });
+});
+
+describe('diffMetadata', () => {
+  test('lists added, removed and retagged images', () => {
+    const previous = [
+      { filename: 'a.webp', tags: ['hero', 'hq'] },
+      { filename: 'b.webp', tags: ['hero'] },
+      { filename: 'c.webp', tags: [] },
+    ];
+    const current = [
+      { filename: 'd.webp', tags: [] },
+      { filename: 'a.webp', tags: ['hq', 'outdoor'] },
+      { filename: 'c.webp', tags: [] },
+    ];
+
+    const diff = diffMetadata(previous, current);
+    expect(diff).toEqual({
+      added: ['d.webp'],
+      removed: ['b.webp'],
+      retagged: [{ filename: 'a.webp', added: ['outdoor'], removed: ['hero'] }],
+    });
+    expect(formatImageChanges(diff)).toBe([
+      '### Images',
+      '- Added `d.webp`',
+      '- Removed `b.webp`',
+      '- Retagged `a.webp`: +outdoor, -hero',
+    ].join('\n'));
+  });
+
+  test('formats no changes as an empty string', () => {
+    const metadata = [{ filename: 'a.webp', tags: ['hero'] }];
+    expect(formatImageChanges(diffMetadata(metadata, metadata))).toBe('');
+  });
+});
+
+describe('updateChangelog', () => {
+  const intro = '# Changelog\n\nAll notable changes.\n\n';
+
+  test('turns the unreleased changes into a section for the new version', () => {
+    const changelog = `${intro}## [Unreleased]\n\n### Added\n- Feature\n\n## [1.0.0] - 2024-01-01\n\n- First\n`;
+
+    expect(updateChangelog(changelog, '1.1.0', '2024-02-01', '### Images\n- Added `a.webp`')).toBe(
+      `${intro}## [Unreleased]\n\n## [1.1.0] - 2024-02-01\n\n### Added\n- Feature\n\n### Images\n- Added \`a.webp\`\n\n`
+      + '## [1.0.0] - 2024-01-01\n\n- First\n'
+    );
+  });
+
+  test('inserts the section above the first version without an unreleased section', () => {
+    expect(updateChangelog(`${intro}## [1.0.0] - 2024-01-01\n`, '1.0.1', '2024-02-01', ''))
+      .toBe(`${intro}## [1.0.1] - 2024-02-01\n\nNo changes.\n\n## [1.0.0] - 2024-01-01\n`);
+    expect(updateChangelog('# Changelog\n', '1.0.0', '2024-02-01', '### Images\n- Added `a.webp`'))
+      .toBe('# Changelog\n\n## [1.0.0] - 2024-02-01\n\n### Images\n- Added `a.webp`\n');
+  });
+});
+
+describe('tagReleasedImages', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({ metadataPath: 'unused', tagConfigPath: 'unused', configPath: 'unused' });
+    store.tagConfig = {
+      version: [{ name: '1_0_0', title: 'Version 1', description: 'Version 1' }],
+      general: [{ name: 'hq', title: 'High Quality', description: 'High quality' }],
+    };
+    store.metadata = [
+      { filename: 'old.webp', label: '', tags: ['1_0_0'], addedIn: '1.0.0' },
+      { filename: 'new.webp', label: '', tags: ['hq'] },
+      { filename: 'readded.webp', label: '', tags: [], addedIn: '1.0.0' },
+    ];
+  });
+
+  test('records the version and adds the version tag, creating it if missing', () => {
+    const result = tagReleasedImages(store, ['new.webp', 'readded.webp', 'missing.webp'], '1.1.0');
+
+    expect(result).toEqual({ tag: '1_1_0', createdTag: true, changedImages: ['new.webp'] });
+    expect(store.findImage('new.webp')).toEqual({ filename: 'new.webp', label: '', tags: ['hq', '1_1_0'], addedIn: '1.1.0' });
+    expect(store.findImage('readded.webp')).toEqual({ filename: 'readded.webp', label: '', tags: [], addedIn: '1.0.0' });
+    expect(store.tagConfig.version[1]).toEqual({ name: '1_1_0', title: 'Version 1.1.0', description: 'Images first released in version 1.1.0' });
+  });
+
+  test('uses an existing tag and creates the version category if needed', () => {
+    store.tagConfig = { general: [{ name: '1_1_0', title: 'Custom', description: '' }] };
+    expect(tagReleasedImages(store, ['new.webp'], '1.1.0').createdTag).toBe(false);
+    expect(store.tagConfig.version).toBeUndefined();
+
+    store.tagConfig = { general: [] };
+    store.findImage('new.webp').addedIn = undefined;
+    expect(tagReleasedImages(store, ['new.webp'], '1.1.0').createdTag).toBe(true);
+    expect(store.tagConfig.version.map(tag => tag.name)).toEqual(['1_1_0']);
+    expect(store.findImage('new.webp').tags).toEqual(['hq', '1_1_0']);
+  });
+});
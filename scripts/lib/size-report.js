@@ -0,0 +1,67 @@
+/**
+ * Formats a number of bytes for humans, e.g. `1.5 MB`
+ * @param {number} bytes - The number of bytes
+ * @returns {string} - The formatted size
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (Math.abs(value) >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Formats the change from one size to another as a percentage, e.g. `-87.2%`
+ * @param {number} before - The size before
+ * @param {number} after - The size after
+ * @returns {string} - The formatted change
+ */
+function formatChange(before, after) {
+  if (before === 0) return 'n/a';
+  const change = ((after - before) / before) * 100;
+  return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+/**
+ * Creates a report of the file sizes before and after compressing images, printing a line per image
+ * as it is added and a total at the end
+ */
+function createSizeReport() {
+  /** @type {{ label: string, before: number, after: number }[]} */
+  const entries = [];
+
+  return {
+    entries,
+
+    /**
+     * Records and prints the sizes of one image
+     * @param {string} label - What was compressed, e.g. `hero.png -> hero.webp [hero]`
+     * @param {number} before - The size in bytes before compressing
+     * @param {number} after - The size in bytes after compressing
+     */
+    add(label, before, after) {
+      entries.push({ label, before, after });
+      console.log(`  ${label}: ${formatBytes(before)} -> ${formatBytes(after)} (${formatChange(before, after)})`);
+    },
+
+    /**
+     * Prints the total sizes and savings of all recorded images, if any
+     */
+    printSummary() {
+      if (entries.length === 0) return;
+      const before = entries.reduce((total, entry) => total + entry.before, 0);
+      const after = entries.reduce((total, entry) => total + entry.after, 0);
+      console.log(`Total for ${entries.length} image(s): ${formatBytes(before)} -> ${formatBytes(after)}, `
+        + `saved ${formatBytes(before - after)} (${formatChange(before, after)})`);
+    }
+  };
+}
+
+module.exports = {
+  formatBytes,
+  createSizeReport,
+};
@@ -0,0 +1,38 @@
+const { formatBytes, createSizeReport } = require('./size-report');
+
+describe('size report', () => {
+  let output;
+
+  beforeEach(() => {
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('formatBytes uses the largest fitting unit', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+
+  test('prints a line per image and the total savings', () => {
+    const report = createSizeReport();
+    report.add('hero.png -> hero.webp [hero]', 4096, 1024);
+    report.add('thumb.png -> thumb.webp [default]', 1024, 1024);
+    report.printSummary();
+
+    expect(output).toEqual([
+      '  hero.png -> hero.webp [hero]: 4.0 KB -> 1.0 KB (-75.0%)',
+      '  thumb.png -> thumb.webp [default]: 1.0 KB -> 1.0 KB (0.0%)',
+      'Total for 2 image(s): 5.0 KB -> 2.0 KB, saved 3.0 KB (-60.0%)',
+    ]);
+  });
+
+  test('prints no summary without images', () => {
+    createSizeReport().printSummary();
+    expect(output).toEqual([]);
+  });
+});
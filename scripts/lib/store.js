@@ -0,0 +1,472 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { splitTagConfig, joinTagConfig, buildTagCategories } = require('../../src/tag-categories');
+const { DEFAULT_DUPLICATE_THRESHOLD } = require('../../src/similarity');
+const {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  parseMetadataFile,
+  parseTagConfigFile,
+  formatMetadataFile,
+  formatTagConfigFile,
+} = require('../../src/schema');
+const { writeFileAtomic, backupFile } = require('./backups');
+const { parseImageDetail } = require('./image-details');
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {string} filename - The name of the image file
+ * @property {string} label - User-defined label for the image
+ * @property {string[]} tags - Array of tag names associated with the image
+ * @property {number} [width] - Width of the image in pixels
+ * @property {number} [height] - Height of the image in pixels
+ * @property {number} [aspectRatio] - Width divided by height
+ * @property {number} [bytes] - Size of the image file in bytes
+ * @property {string} [dominantColor] - Dominant color of the image as a hex string
+ * @property {string} [blurDataURL] - Tiny base64 encoded WebP placeholder of the image
+ * @property {ImageVariant[]} [variants] - Resized and re-encoded copies of the image
+ * @property {string} [perceptualHash] - 64-bit difference hash of the image as 16 hex digits
+ * @property {OriginalFile} [original] - The archived original the image was compressed from
+ * @property {'webp'|'avif'|'svg'} [format] - The format of the image file
+ * @property {number} [frames] - The number of frames of an animated image
+ * @property {string} [addedIn] - The package version the image was first released in, set by the publish script
+ * @property {'needs-review'} [status] - Set on images added by watch mode until they are tagged
+ * @property {string} [alt] - Alternative text describing the image for screen readers
+ * @property {string} [description] - Long description of the image, e.g. for a caption
+ * @property {string} [credit] - The author or credit line of the image
+ * @property {string} [license] - The license of the image
+ * @property {string} [prompt] - The prompt the image was generated from
+ * @property {string} [model] - The model and version the image was generated with, e.g. `Midjourney v6`
+ * @property {number} [seed] - The seed the image was generated with
+ * @property {string} [jobId] - The ID of the job that generated the image, read from its embedded metadata
+ * @property {string} [createdAt] - When the image was created or taken as an ISO 8601 date, read from its embedded metadata
+ * @property {string[]} [suggestedTags] - Tags suggested from the prompt, pre-selected when tagging the image
+ * @property {Record<string, import('../../src/locales').ImageTranslation>} [translations] - The label, alt text and description by locale
+ */
+
+/**
+ * @typedef {Object} OriginalFile
+ * @property {string} filename - The relative path of the original in the originals archive, with `/` as separator
+ * @property {string} checksum - The SHA-256 checksum of the original as `sha256-<hex digest>`
+ * @property {number} bytes - Size of the original in bytes
+ */
+
+/**
+ * @typedef {Object} ImageVariant
+ * @property {string} filename - The relative path of the variant file
+ * @property {number} width - Width of the variant in pixels
+ * @property {number} height - Height of the variant in pixels
+ * @property {'webp'|'avif'} format - The encoding of the variant
+ * @property {number} bytes - Size of the variant file in bytes
+ */
+
+/**
+ * @typedef {Object} Tag
+ * @property {string} name - The name of the tag (used as identifier)
+ * @property {string} title - The display title of the tag
+ * @property {string} description - User-defined description of the tag
+ * @property {Record<string, import('../../src/locales').TagTranslation>} [translations] - The title and description by locale
+ */
+
+/**
+ * The tags of every category, by category name
+ * @typedef {Record<string, Tag[]>} TagConfig
+ */
+
+/**
+ * @typedef {import('../../src/tag-categories').TagCategoryDefinition} TagCategoryDefinition
+ * @typedef {import('../../src/tag-categories').TagCategory} TagCategory
+ */
+
+/**
+ * @typedef {Object} VariantConfig
+ * @property {number[]} widths - Widths to generate smaller copies of every image at
+ * @property {('webp'|'avif')[]} formats - Formats to generate; AVIF also gets a copy at the original width
+ */
+
+/**
+ * @typedef {Object} DuplicateConfig
+ * @property {number} threshold - The maximum Hamming distance between the perceptual hashes of near-duplicates
+ * @property {'warn'|'skip'|'off'} onCompress - What to do when a new image is a near-duplicate of an existing one
+ */
+
+/**
+ * @typedef {Object} EncodingSettings
+ * @property {number} quality - Quality from 1 to 100
+ * @property {number} effort - CPU effort spent on compression, from 0 (fastest) to 6 for WebP and 9 for AVIF
+ * @property {boolean} lossless - Use lossless compression
+ */
+
+/**
+ * A named set of compression settings. Unset encoder settings fall back to `encoding` of the format.
+ * @typedef {Object} CompressionProfile
+ * @property {'webp'|'avif'} [format] - The format to encode images to (defaults to webp)
+ * @property {number} [quality] - Quality from 1 to 100
+ * @property {number} [effort] - CPU effort spent on compression
+ * @property {boolean} [lossless] - Use lossless compression
+ * @property {number} [maxWidth] - The maximum width in pixels; larger images are scaled down
+ * @property {number} [maxHeight] - The maximum height in pixels; larger images are scaled down
+ * @property {boolean} [stripMetadata] - Remove EXIF, ICC and other metadata (defaults to true)
+ * @property {boolean|number} [sharpen] - Sharpen after resizing; a number sets the sigma of the sharpening mask
+ */
+
+/**
+ * Assigns a compression profile to the images matching a glob or having a tag
+ * @typedef {Object} ProfileRule
+ * @property {string} [glob] - Glob matched against the relative path of the image, e.g. `mecha/**`
+ * @property {string} [tag] - Tag name the image must have
+ * @property {string} profile - The name of the profile in `profiles`
+ */
+
+/**
+ * @typedef {Object} OriginalsConfig
+ * @property {boolean} archive - Move the originals of compressed images into the archive instead of deleting them
+ * @property {string} dir - The directory of the archive, relative to the image set root
+ */
+
+/**
+ * @typedef {Object} BackupConfig
+ * @property {number} keep - The number of previous versions to keep of each file, 0 to disable backups
+ */
+
+/**
+ * @typedef {Object} EmbeddedMetadataConfig
+ * @property {boolean} extract - Record the prompt, job ID, creation date and other data embedded in new images
+ * @property {boolean} suggestTags - Suggest the tags whose name or title appears in the prompt of new images
+ */
+
+/**
+ * @typedef {Object} LocaleConfig
+ * @property {string} default - The locale of the labels, tag titles and descriptions, which other locales fall back to
+ * @property {string[]} supported - The locales the image set is translated to, e.g. `["en", "ja", "fr"]`
+ */
+
+/**
+ * @typedef {Object} ImageSetConfig
+ * @property {VariantConfig} variants - Responsive variant generation settings
+ * @property {DuplicateConfig} duplicates - Near-duplicate detection settings
+ * @property {BackupConfig} backups - Backup settings for the metadata and tag configuration
+ * @property {{ webp: EncodingSettings, avif: EncodingSettings }} encoding - Encoder settings of each format
+ * @property {OriginalsConfig} originals - Originals archive settings
+ * @property {Record<string, CompressionProfile>} profiles - Named compression profiles
+ * @property {ProfileRule[]} profileRules - Rules assigning profiles to images; the first matching rule wins
+ * @property {LocaleConfig} locales - The fallback locale and the translations of the image set
+ * @property {EmbeddedMetadataConfig} embeddedMetadata - Embedded metadata extraction settings
+ */
+
+/**
+ * @typedef {ReturnType<typeof createStore>} Store
+ */
+
+/**
+ * The categories of newly created tag configurations. `subject` and `version` are only defaults;
+ * any category can be added to or removed from `tag-config.json`.
+ * @type {TagConfig}
+ */
+const defaultTagConfig = {
+  subject: [
+    { name: 'nature', title: 'Nature', description: 'Images of natural landscapes, flora, or fauna' },
+    { name: 'tech', title: 'Technology', description: 'Images related to technological devices or concepts' },
+    { name: 'people', title: 'People', description: 'Images featuring individuals or groups of people' }
+  ],
+  version: [
+    { name: '1_0_0', title: 'Image set Version 1', description: 'Images from Version 1' },
+    { name: '1_1_0', title: 'Image set Version 1.1', description: 'Images from Version 1.1' },
+    { name: '2_0_0', title: 'Image set Version 2.0', description: 'Images from Version 2' }
+  ],
+  general: [
+    { name: 'hq', title: 'High Quality', description: 'Images with exceptional clarity and detail' },
+    { name: 'colorful', title: 'Colorful', description: 'Images with a vibrant color palette' },
+    { name: 'monochrome', title: 'Black and White', description: 'Monochrome images' }
+  ],
+};
+
+/**
+ * Creates a store that holds the metadata, tag configuration and config of an image set in memory
+ * and reads and writes them from and to their files
+ * @param {import('../../src/index').ImageSetPaths} paths - The paths of the image set
+ */
+function createStore(paths) {
+  const { metadataPath, tagConfigPath, configPath, backupsDir } = paths;
+
+  /**
+   * Writes a JSON file atomically after backing up its previous version. Refuses to write
+   * if the file could not be loaded, as that would overwrite its contents with an empty state.
+   * Does nothing if the file already holds the data, so unchanged saves do not fill the backups.
+   * @param {string} filePath - The path of the file
+   * @param {unknown} data - The data to write
+   * @param {Error|null} loadError - The error that occurred while loading the file, if any
+   * @returns {Promise<void>}
+   * @throws {Error} If the file could not be loaded or written
+   */
+  async function saveJson(filePath, data, loadError) {
+    if (loadError) {
+      throw new Error(`Refusing to save ${path.basename(filePath)}: it could not be loaded (${loadError.message}). `
+        + 'Fix the file by hand or roll it back with the "restore" command.');
+    }
+    const json = JSON.stringify(data, null, 2);
+    const current = await fs.readFile(filePath, 'utf8').catch(() => null);
+    if (current === json) return;
+
+    await backupFile(filePath, backupsDir, store.config.backups.keep);
+    await writeFileAtomic(filePath, json);
+  }
+
+  const store = {
+    paths,
+
+    /** @type {ImageMetadata[]} */
+    metadata: [],
+
+    /** @type {TagConfig} */
+    tagConfig: {
+      general: []
+    },
+
+    /** @type {Record<string, TagCategoryDefinition>} */
+    categoryDefinitions: {},
+
+    /**
+     * The errors that occurred while loading the files. A file that failed to load is never saved.
+     * @type {{ metadata: Error|null, tagConfig: Error|null }}
+     */
+    loadErrors: {
+      metadata: null,
+      tagConfig: null
+    },
+
+    /**
+     * The schema versions of the files as they were loaded, before they were upgraded in memory.
+     * Saving a file writes it at the current schema version.
+     * @type {{ metadata: number|null, tagConfig: number|null }}
+     */
+    schemaVersions: {
+      metadata: null,
+      tagConfig: null
+    },
+
+    /** @type {ImageSetConfig} */
+    config: {
+      variants: {
+        widths: [],
+        formats: ['webp']
+      },
+      duplicates: {
+        threshold: DEFAULT_DUPLICATE_THRESHOLD,
+        onCompress: 'warn'
+      },
+      backups: {
+        keep: 10
+      },
+      encoding: {
+        webp: { quality: 80, effort: 4, lossless: false },
+        avif: { quality: 50, effort: 4, lossless: false }
+      },
+      originals: {
+        archive: false,
+        dir: 'originals'
+      },
+      profiles: {},
+      profileRules: [],
+      locales: {
+        default: 'en',
+        supported: []
+      },
+      embeddedMetadata: {
+        extract: true,
+        suggestTags: false
+      }
+    },
+
+    /**
+     * Loads the image metadata from the JSON file, upgrading older schema versions in memory,
+     * or creates it if it doesn't exist
+     * @returns {Promise<void>}
+     */
+    async loadMetadata() {
+      store.loadErrors.metadata = null;
+      try {
+        const data = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+        store.metadata = parseMetadataFile(data);
+        store.schemaVersions.metadata = getSchemaVersion('metadata', data);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          console.log('Metadata file not found. Creating a new one.');
+          store.metadata = [];
+          store.schemaVersions.metadata = SCHEMA_VERSION;
+          await store.saveMetadata();
+        } else {
+          store.loadErrors.metadata = error;
+          console.error(`Error loading metadata: ${error.message}. Metadata changes will not be saved.`);
+        }
+      }
+    },
+
+    /**
+     * Saves the image metadata to the JSON file, keeping a backup of the previous version
+     * @returns {Promise<void>}
+     * @throws {Error} If the metadata failed to load or could not be written
+     */
+    async saveMetadata() {
+      await saveJson(metadataPath, formatMetadataFile(store.metadata), store.loadErrors.metadata);
+    },
+
+    /**
+     * Loads the tag configuration, upgrading older schema versions in memory, or creates it if it doesn't exist
+     * @returns {Promise<void>}
+     */
+    async loadTagConfig() {
+      store.loadErrors.tagConfig = null;
+      try {
+        const data = JSON.parse(await fs.readFile(tagConfigPath, 'utf8'));
+        const { tagConfig, definitions } = splitTagConfig(parseTagConfigFile(data));
+        store.tagConfig = tagConfig;
+        store.categoryDefinitions = definitions;
+        store.schemaVersions.tagConfig = getSchemaVersion('tagConfig', data);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          console.log('Tag config file not found. Creating a new one with default categories.');
+          store.tagConfig = JSON.parse(JSON.stringify(defaultTagConfig));
+          store.categoryDefinitions = {};
+          store.schemaVersions.tagConfig = SCHEMA_VERSION;
+          await store.saveTagConfig();
+        } else {
+          store.loadErrors.tagConfig = error;
+          console.error(`Error loading tag config: ${error.message}. Tag config changes will not be saved.`);
+        }
+      }
+    },
+
+    /**
+     * Saves the tag configuration, keeping the definitions of its categories and a backup of the previous version
+     * @returns {Promise<void>}
+     * @throws {Error} If the tag configuration failed to load or could not be written
+     */
+    async saveTagConfig() {
+      const file = formatTagConfigFile(joinTagConfig(store.tagConfig, store.categoryDefinitions));
+      await saveJson(tagConfigPath, file, store.loadErrors.tagConfig);
+    },
+
+    /**
+     * Loads the image set configuration, falling back to the defaults if it doesn't exist
+     * @returns {Promise<void>}
+     */
+    async loadConfig() {
+      try {
+        const data = await fs.readFile(configPath, 'utf8');
+        const userConfig = JSON.parse(data);
+        store.config = {
+          ...store.config,
+          ...userConfig,
+          variants: { ...store.config.variants, ...userConfig.variants },
+          duplicates: { ...store.config.duplicates, ...userConfig.duplicates },
+          backups: { ...store.config.backups, ...userConfig.backups },
+          encoding: {
+            webp: { ...store.config.encoding.webp, ...(userConfig.encoding || {}).webp },
+            avif: { ...store.config.encoding.avif, ...(userConfig.encoding || {}).avif }
+          },
+          originals: { ...store.config.originals, ...userConfig.originals },
+          profiles: { ...userConfig.profiles },
+          profileRules: userConfig.profileRules || [],
+          locales: { ...store.config.locales, ...userConfig.locales },
+          embeddedMetadata: { ...store.config.embeddedMetadata, ...userConfig.embeddedMetadata }
+        };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error loading image set config:', error);
+        }
+      }
+    },
+
+    /**
+     * Gets the directory of the originals archive
+     * @returns {string} - The absolute path of the directory
+     */
+    getOriginalsDir() {
+      return path.resolve(paths.root, store.config.originals.dir);
+    },
+
+    /**
+     * Gets all available tags
+     * @returns {Tag[]} - Array of all tags
+     */
+    getAllTags() {
+      return Object.values(store.tagConfig).flat();
+    },
+
+    /**
+     * Gets the tag categories with their definitions, in configuration order
+     * @returns {TagCategory[]} - Array of all categories
+     */
+    getTagCategories() {
+      return buildTagCategories(store.tagConfig, store.categoryDefinitions);
+    },
+
+    /**
+     * Finds the category a tag belongs to
+     * @param {string} tagName - The name of the tag
+     * @returns {TagCategory|undefined} - The category, or undefined if the tag does not exist
+     */
+    findTagCategory(tagName) {
+      return store.getTagCategories().find(category => category.tags.some(tag => tag.name === tagName));
+    },
+
+    /**
+     * Finds the metadata of an image
+     * @param {string} imagePath - The relative path of the image
+     * @returns {ImageMetadata|undefined} - The metadata, or undefined if the image has none
+     */
+    findImage(imagePath) {
+      return store.metadata.find(img => img.filename === imagePath);
+    },
+
+    /**
+     * Updates metadata for a given image
+     * @param {string} imagePath - The relative path of the image
+     * @param {string[]} tags - The tag names to set for the image
+     * @param {string} label - The label for the image
+     */
+    updateImageMetadata(imagePath, tags, label) {
+      const index = store.metadata.findIndex(img => img.filename === imagePath);
+      const safeLabel = label || '';
+      const safeTags = Array.isArray(tags) ? tags : [];
+
+      if (index !== -1) {
+        store.metadata[index].tags = safeTags;
+        store.metadata[index].label = safeLabel;
+      } else {
+        store.metadata.push({ filename: imagePath, tags: safeTags, label: safeLabel });
+      }
+    },
+
+    /**
+     * Sets the descriptive fields of an image, such as its alt text and credits, adding metadata if it has none
+     * @param {string} imagePath - The relative path of the image
+     * @param {Partial<Record<import('./image-details').ImageDetailField, string>>} details - The entered text by field;
+     * an empty text removes the field, and fields not given are left unchanged
+     * @throws {Error} If a field is unknown or its text is invalid; nothing is changed then
+     */
+    updateImageDetails(imagePath, details) {
+      const values = Object.entries(details).map(([field, text]) => {
+        const detailField = /** @type {import('./image-details').ImageDetailField} */ (field);
+        return /** @type {const} */ ([detailField, parseImageDetail(detailField, text || '')]);
+      });
+
+      if (!store.findImage(imagePath)) store.updateImageMetadata(imagePath, [], '');
+      const image = /** @type {Record<string, unknown>} */ (store.findImage(imagePath));
+      for (const [field, value] of values) {
+        if (value === undefined) {
+          delete image[field];
+        } else {
+          image[field] = value;
+        }
+      }
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  createStore,
+};
@@ -0,0 +1,170 @@
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').Tag} Tag
+ */
+
+/**
+ * @typedef {Object} TagOperationResult
+ * @property {string} description - What was changed in the tag configuration
+ * @property {string[]} changedImages - The filenames of the images whose tags were changed
+ */
+
+/**
+ * Finds the category and position of a tag in the tag configuration
+ * @param {Store} store - The store holding the tag configuration
+ * @param {string} name - The name of the tag
+ * @returns {{ category: string, index: number, tag: Tag }} - The location of the tag
+ * @throws {Error} If the tag does not exist
+ */
+function findTag(store, name) {
+  for (const [category, tags] of Object.entries(store.tagConfig)) {
+    const index = tags.findIndex(tag => tag.name === name);
+    if (index !== -1) {
+      return { category, index, tag: tags[index] };
+    }
+  }
+  throw new Error(`Tag "${name}" does not exist.`);
+}
+
+/**
+ * Throws if a tag with the given name already exists
+ * @param {Store} store - The store holding the tag configuration
+ * @param {string} name - The name of the tag
+ * @throws {Error} If the tag exists
+ */
+function assertTagDoesNotExist(store, name) {
+  if (store.getAllTags().some(tag => tag.name === name)) {
+    throw new Error(`Tag "${name}" already exists.`);
+  }
+}
+
+/**
+ * Rewrites the tags of every image, removing duplicates created by the rewrite
+ * @param {Store} store - The store holding the metadata
+ * @param {(tagName: string) => string|null} rewrite - Returns the new name of a tag, or null to remove it
+ * @returns {string[]} - The filenames of the changed images
+ */
+function rewriteImageTags(store, rewrite) {
+  /** @type {string[]} */
+  const changedImages = [];
+  for (const image of store.metadata) {
+    /** @type {string[]} */
+    const tags = [];
+    for (const tagName of image.tags) {
+      const newName = rewrite(tagName);
+      if (newName !== null && !tags.includes(newName)) tags.push(newName);
+    }
+
+    if (tags.length !== image.tags.length || tags.some((tagName, i) => tagName !== image.tags[i])) {
+      image.tags = tags;
+      changedImages.push(image.filename);
+    }
+  }
+  return changedImages;
+}
+
+/**
+ * Renames a tag in the tag configuration and on every image
+ * @param {Store} store - The store to change
+ * @param {string} name - The current name of the tag
+ * @param {string} newName - The new name of the tag
+ * @returns {TagOperationResult} - What was changed
+ * @throws {Error} If the tag does not exist or the new name is taken; nothing is changed in that case
+ */
+function renameTag(store, name, newName) {
+  const { tag } = findTag(store, name);
+  assertTagDoesNotExist(store, newName);
+
+  tag.name = newName;
+  return {
+    description: `Renamed tag "${name}" to "${newName}".`,
+    changedImages: rewriteImageTags(store, tagName => (tagName === name ? newName : tagName))
+  };
+}
+
+/**
+ * Merges tags into another tag: images with any of the source tags get the target tag instead,
+ * and the source tags are removed from the tag configuration
+ * @param {Store} store - The store to change
+ * @param {string[]} sourceNames - The names of the tags to merge
+ * @param {string} targetName - The name of the tag to merge into
+ * @returns {TagOperationResult} - What was changed
+ * @throws {Error} If any of the tags do not exist; nothing is changed in that case
+ */
+function mergeTags(store, sourceNames, targetName) {
+  findTag(store, targetName);
+  if (sourceNames.includes(targetName)) {
+    throw new Error(`Cannot merge tag "${targetName}" into itself.`);
+  }
+  const sources = sourceNames.map(name => findTag(store, name));
+
+  for (const { category, tag } of sources) {
+    store.tagConfig[category] = store.tagConfig[category].filter(t => t !== tag);
+  }
+  return {
+    description: `Merged tag(s) ${sourceNames.map(name => `"${name}"`).join(', ')} into "${targetName}".`,
+    changedImages: rewriteImageTags(store, tagName => (sourceNames.includes(tagName) ? targetName : tagName))
+  };
+}
+
+/**
+ * Deletes a tag from the tag configuration and from every image
+ * @param {Store} store - The store to change
+ * @param {string} name - The name of the tag
+ * @returns {TagOperationResult} - What was changed
+ * @throws {Error} If the tag does not exist
+ */
+function deleteTag(store, name) {
+  const { category, index } = findTag(store, name);
+
+  store.tagConfig[category].splice(index, 1);
+  return {
+    description: `Deleted tag "${name}" from ${category}.`,
+    changedImages: rewriteImageTags(store, tagName => (tagName === name ? null : tagName))
+  };
+}
+
+/**
+ * Moves a tag to another category. Images keep the tag.
+ * @param {Store} store - The store to change
+ * @param {string} name - The name of the tag
+ * @param {string} targetCategory - The category to move the tag to
+ * @returns {TagOperationResult} - What was changed
+ * @throws {Error} If the tag or the category does not exist
+ */
+function moveTag(store, name, targetCategory) {
+  if (!Object.prototype.hasOwnProperty.call(store.tagConfig, targetCategory)) {
+    throw new Error(`Category "${targetCategory}" does not exist. Available categories: ${Object.keys(store.tagConfig).join(', ')}`);
+  }
+  const { category, index, tag } = findTag(store, name);
+  if (category === targetCategory) {
+    return { description: `Tag "${name}" is already in ${category}.`, changedImages: [] };
+  }
+
+  store.tagConfig[category].splice(index, 1);
+  store.tagConfig[targetCategory].push(tag);
+  return {
+    description: `Moved tag "${name}" from ${category} to ${targetCategory}.`,
+    changedImages: []
+  };
+}
+
+/**
+ * Prints the result of a tag operation
+ * @param {TagOperationResult} result - The result to print
+ */
+function printTagOperationResult({ description, changedImages }) {
+  console.log(description);
+  console.log(`Updated ${changedImages.length} image(s)${changedImages.length > 0 ? ':' : '.'}`);
+  for (const filename of changedImages) {
+    console.log(`  - ${filename}`);
+  }
+}
+
+module.exports = {
+  renameTag,
+  mergeTags,
+  deleteTag,
+  moveTag,
+  printTagOperationResult,
+};
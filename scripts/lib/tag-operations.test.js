@@ -0,0 +1,97 @@
+const { createStore } = require('./store');
+const { renameTag, mergeTags, deleteTag, moveTag } = require('./tag-operations');
+
+describe('tag operations', () => {
+  let store;
+  const tagNames = (category) => store.tagConfig[category].map(tag => tag.name);
+  const imageTags = (filename) => store.findImage(filename).tags;
+
+  beforeEach(() => {
+    store = createStore({ metadataPath: 'unused', tagConfigPath: 'unused', configPath: 'unused' });
+    store.tagConfig = {
+      subject: [
+        { name: 'people', title: 'People', description: 'People' },
+        { name: 'person', title: 'Person', description: 'A person' },
+        { name: 'tech', title: 'Technology', description: 'Technology' },
+      ],
+      version: [{ name: '1_0_0', title: 'Version 1', description: 'Version 1' }],
+      general: [{ name: 'hq', title: 'High Quality', description: 'High quality' }],
+    };
+    store.metadata = [
+      { filename: 'hero.webp', tags: ['people', 'hq'], label: 'Hero' },
+      { filename: 'crowd.webp', tags: ['person', 'people'], label: 'Crowd' },
+      { filename: 'mecha.webp', tags: ['tech', '1_0_0'], label: 'Mecha' },
+    ];
+  });
+
+  describe('renameTag', () => {
+    test('renames the tag in its category and on every image', () => {
+      const result = renameTag(store, 'people', 'humans');
+      expect(tagNames('subject')).toEqual(['humans', 'person', 'tech']);
+      expect(store.tagConfig.subject[0]).toEqual({ name: 'humans', title: 'People', description: 'People' });
+      expect(imageTags('hero.webp')).toEqual(['humans', 'hq']);
+      expect(imageTags('crowd.webp')).toEqual(['person', 'humans']);
+      expect(result.changedImages).toEqual(['hero.webp', 'crowd.webp']);
+    });
+
+    test('changes nothing if the new name is taken', () => {
+      expect(() => renameTag(store, 'people', 'hq')).toThrow('Tag "hq" already exists.');
+      expect(tagNames('subject')).toEqual(['people', 'person', 'tech']);
+      expect(imageTags('hero.webp')).toEqual(['people', 'hq']);
+    });
+
+    test('throws for unknown tags', () => {
+      expect(() => renameTag(store, 'robots', 'robot')).toThrow('Tag "robots" does not exist.');
+    });
+  });
+
+  describe('mergeTags', () => {
+    test('replaces the source tags with the target tag without duplicates', () => {
+      const result = mergeTags(store, ['person', 'hq'], 'people');
+      expect(tagNames('subject')).toEqual(['people', 'tech']);
+      expect(tagNames('general')).toEqual([]);
+      expect(imageTags('hero.webp')).toEqual(['people']);
+      expect(imageTags('crowd.webp')).toEqual(['people']);
+      expect(imageTags('mecha.webp')).toEqual(['tech', '1_0_0']);
+      expect(result.changedImages).toEqual(['hero.webp', 'crowd.webp']);
+    });
+
+    test('changes nothing if any tag does not exist', () => {
+      expect(() => mergeTags(store, ['person', 'robots'], 'people')).toThrow('Tag "robots" does not exist.');
+      expect(() => mergeTags(store, ['person'], 'robots')).toThrow('Tag "robots" does not exist.');
+      expect(() => mergeTags(store, ['people'], 'people')).toThrow('Cannot merge tag "people" into itself.');
+      expect(tagNames('subject')).toEqual(['people', 'person', 'tech']);
+      expect(imageTags('crowd.webp')).toEqual(['person', 'people']);
+    });
+  });
+
+  describe('deleteTag', () => {
+    test('removes the tag from its category and from every image', () => {
+      const result = deleteTag(store, 'people');
+      expect(tagNames('subject')).toEqual(['person', 'tech']);
+      expect(imageTags('hero.webp')).toEqual(['hq']);
+      expect(imageTags('crowd.webp')).toEqual(['person']);
+      expect(result.changedImages).toEqual(['hero.webp', 'crowd.webp']);
+    });
+
+    test('throws for unknown tags', () => {
+      expect(() => deleteTag(store, 'robots')).toThrow('Tag "robots" does not exist.');
+    });
+  });
+
+  describe('moveTag', () => {
+    test('moves the tag to the end of another category and keeps it on images', () => {
+      const result = moveTag(store, 'hq', 'subject');
+      expect(tagNames('subject')).toEqual(['people', 'person', 'tech', 'hq']);
+      expect(tagNames('general')).toEqual([]);
+      expect(imageTags('hero.webp')).toEqual(['people', 'hq']);
+      expect(result.changedImages).toEqual([]);
+    });
+
+    test('throws for unknown categories and tags', () => {
+      expect(() => moveTag(store, 'hq', 'mood')).toThrow('Category "mood" does not exist.');
+      expect(() => moveTag(store, 'robots', 'general')).toThrow('Tag "robots" does not exist.');
+      expect(tagNames('general')).toEqual(['hq']);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const { IMAGE_TRANSLATION_FIELDS, TAG_TRANSLATION_FIELDS } = require('../../src/locales');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').ImageMetadata} ImageMetadata
+ * @typedef {import('./store').Tag} Tag
+ */
+
+/**
+ * The translations of an image set in one locale, as exported for translators. Every text of the image set is listed,
+ * with an empty string where it has no translation yet.
+ * @typedef {Object} TranslationFile
+ * @property {string} locale - The locale of the translations
+ * @property {Record<string, Record<string, string>>} images - The label, alt text and description by image filename
+ * @property {Record<string, Record<string, string>>} tags - The title and description by tag name
+ */
+
+/**
+ * The texts missing a translation in one locale
+ * @typedef {Object} MissingTranslations
+ * @property {string} locale - The locale
+ * @property {{ filename: string, fields: string[] }[]} images - The images with untranslated fields
+ * @property {{ name: string, fields: string[] }[]} tags - The tags with untranslated fields
+ */
+
+/**
+ * A text changed by an imported translation file
+ * @typedef {Object} TranslationChange
+ * @property {'image'|'tag'} kind - Whether the text belongs to an image or a tag
+ * @property {string} key - The filename of the image or the name of the tag
+ * @property {string} field - The translated field
+ * @property {string} value - The new text
+ * @property {string} [previous] - The previous text, if there was one
+ */
+
+/**
+ * Lists the images and tags with the texts that can be translated, i.e. their non-empty translatable fields
+ * @param {Store} store - The store holding the metadata and tag configuration
+ * @returns {{ kind: 'image'|'tag', key: string, item: ImageMetadata|Tag, fields: string[] }[]} - The items with their fields
+ */
+function listTranslatableTexts(store) {
+  /**
+   * @param {Record<string, unknown>} item
+   * @param {readonly string[]} fields
+   * @returns {string[]}
+   */
+  const textFields = (item, fields) => fields.filter(field => typeof item[field] === 'string' && item[field] !== '');
+
+  return [
+    ...store.metadata.map(image => ({
+      kind: /** @type {const} */ ('image'), key: image.filename, item: image, fields: textFields(image, IMAGE_TRANSLATION_FIELDS)
+    })),
+    ...store.getAllTags().map(tag => ({
+      kind: /** @type {const} */ ('tag'), key: tag.name, item: tag, fields: textFields(tag, TAG_TRANSLATION_FIELDS)
+    })),
+  ].filter(({ fields }) => fields.length > 0);
+}
+
+/**
+ * Gets the text of a field in a locale. The texts of the fallback locale are the fields of the item itself.
+ * @param {Store} store - The store, whose config holds the fallback locale
+ * @param {ImageMetadata|Tag} item - The image or tag
+ * @param {string} field - The field
+ * @param {string} locale - The locale
+ * @returns {string} - The text, or an empty string if it is not translated
+ */
+function getText(store, item, field, locale) {
+  const source = locale === store.config.locales.default
+    ? /** @type {Record<string, unknown>} */ (item)
+    : /** @type {Record<string, unknown>} */ ((item.translations || {})[locale] || {});
+  return typeof source[field] === 'string' ? /** @type {string} */ (source[field]) : '';
+}
+
+/**
+ * Creates the translation file of a locale
+ * @param {Store} store - The store holding the metadata, tag configuration and config
+ * @param {string} locale - The locale
+ * @returns {TranslationFile} - Every text of the image set in the locale, empty where it is not translated
+ */
+function createTranslationFile(store, locale) {
+  /** @type {TranslationFile} */
+  const file = { locale, images: {}, tags: {} };
+  for (const { kind, key, item, fields } of listTranslatableTexts(store)) {
+    file[kind === 'image' ? 'images' : 'tags'][key] = Object.fromEntries(fields.map(field => [field, getText(store, item, field, locale)]));
+  }
+  return file;
+}
+
+/**
+ * Finds the texts that have no translation in a locale
+ * @param {Store} store - The store holding the metadata, tag configuration and config
+ * @param {string} locale - The locale
+ * @returns {MissingTranslations} - The untranslated fields of every image and tag
+ */
+function findMissingTranslations(store, locale) {
+  /** @type {MissingTranslations} */
+  const missing = { locale, images: [], tags: [] };
+  for (const { kind, key, item, fields } of listTranslatableTexts(store)) {
+    const untranslated = fields.filter(field => !getText(store, item, field, locale).trim());
+    if (untranslated.length === 0) continue;
+    if (kind === 'image') {
+      missing.images.push({ filename: key, fields: untranslated });
+    } else {
+      missing.tags.push({ name: key, fields: untranslated });
+    }
+  }
+  return missing;
+}
+
+/**
+ * Reads an edited translation file and compares it with the current translations. Empty texts are skipped,
+ * as they are not translated yet. Nothing is changed in the store.
+ * @param {Store} store - The store holding the metadata, tag configuration and config
+ * @param {unknown} data - The parsed translation file
+ * @returns {{ locale: string, changes: TranslationChange[], errors: string[] }} - The locale, the changes to apply,
+ * and the problems found; the changes must not be applied if there are any errors
+ */
+function planTranslationImport(store, data) {
+  const file = /** @type {Partial<TranslationFile>} */ (data && typeof data === 'object' ? data : {});
+  const locale = typeof file.locale === 'string' ? file.locale.trim() : '';
+  if (!locale) return { locale, changes: [], errors: ['The translation file has no locale.'] };
+
+  const allTags = store.getAllTags();
+  /** @type {TranslationChange[]} */
+  const changes = [];
+  /** @type {string[]} */
+  const errors = [];
+
+  /** @type {{ kind: 'image'|'tag', section: 'images'|'tags', fields: readonly string[], find: (key: string) => ImageMetadata|Tag|undefined }[]} */
+  const sections = [
+    { kind: 'image', section: 'images', fields: IMAGE_TRANSLATION_FIELDS, find: key => store.findImage(key) },
+    { kind: 'tag', section: 'tags', fields: TAG_TRANSLATION_FIELDS, find: key => allTags.find(tag => tag.name === key) },
+  ];
+  for (const { kind, section, fields, find } of sections) {
+    const entries = file[section] || {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`"${section}" must be an object.`);
+      continue;
+    }
+
+    for (const [key, texts] of Object.entries(entries)) {
+      const item = find(key);
+      if (!item) {
+        errors.push(`Unknown ${kind}: ${key}.`);
+        continue;
+      }
+      if (!texts || typeof texts !== 'object' || Array.isArray(texts)) {
+        errors.push(`The texts of ${kind} ${key} must be an object.`);
+        continue;
+      }
+
+      for (const [field, value] of Object.entries(texts)) {
+        if (!fields.includes(field)) {
+          errors.push(`Unknown field "${field}" of ${kind} ${key}. Expected one of ${fields.join(', ')}.`);
+        } else if (typeof value !== 'string') {
+          errors.push(`The ${field} of ${kind} ${key} must be a string.`);
+        } else {
+          const text = value.trim();
+          const previous = getText(store, item, field, locale);
+          if (text && text !== previous) {
+            changes.push({ kind, key, field, value: text, ...(previous ? { previous } : {}) });
+          }
+        }
+      }
+    }
+  }
+
+  return { locale, changes, errors };
+}
+
+/**
+ * Applies the changes of an imported translation file. The texts of the fallback locale replace
+ * the fields of the images and tags themselves.
+ * @param {Store} store - The store holding the metadata, tag configuration and config
+ * @param {string} locale - The locale of the translations
+ * @param {TranslationChange[]} changes - The changes, see {@link planTranslationImport}
+ */
+function applyTranslationChanges(store, locale, changes) {
+  const allTags = store.getAllTags();
+  for (const { kind, key, field, value } of changes) {
+    const item = kind === 'image' ? store.findImage(key) : allTags.find(tag => tag.name === key);
+    if (!item) continue;
+
+    if (locale === store.config.locales.default) {
+      /** @type {Record<string, unknown>} */ (item)[field] = value;
+    } else {
+      const translations = item.translations || (item.translations = {});
+      translations[locale] = { ...translations[locale], [field]: value };
+    }
+  }
+}
+
+module.exports = {
+  createTranslationFile,
+  findMissingTranslations,
+  planTranslationImport,
+  applyTranslationChanges,
+};
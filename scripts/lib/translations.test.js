@@ -0,0 +1,71 @@
+const { createStore } = require('./store');
+const { createTranslationFile, findMissingTranslations, planTranslationImport, applyTranslationChanges } = require('./translations');
+
+describe('translations', () => {
+  /**
+   * Creates a store with two images and one tag, translated to Japanese in parts.
+   * @returns {import('./store').Store} The store.
+   */
+  const createTestStore = () => {
+    const store = createStore({ metadataPath: 'unused', tagConfigPath: 'unused', configPath: 'unused' });
+    store.config.locales = { default: 'en', supported: ['en', 'ja'] };
+    store.tagConfig = {
+      general: [{ name: 'tech', title: 'Technology', description: 'Machines', translations: { ja: { title: 'テクノロジー' } } }],
+    };
+    store.metadata = [
+      { filename: 'hero.webp', label: 'Hero', alt: 'A hero in armor', tags: ['tech'], translations: { ja: { label: 'ヒーロー' } } },
+      { filename: 'mecha.webp', label: '', tags: [] },
+    ];
+    return store;
+  };
+
+  test('createTranslationFile lists every text, empty where it is not translated', () => {
+    const store = createTestStore();
+    expect(createTranslationFile(store, 'ja')).toEqual({
+      locale: 'ja',
+      images: { 'hero.webp': { label: 'ヒーロー', alt: '' } },
+      tags: { tech: { title: 'テクノロジー', description: '' } },
+    });
+    expect(createTranslationFile(store, 'en').images['hero.webp']).toEqual({ label: 'Hero', alt: 'A hero in armor' });
+  });
+
+  test('findMissingTranslations lists the untranslated fields of every image and tag', () => {
+    expect(findMissingTranslations(createTestStore(), 'ja')).toEqual({
+      locale: 'ja',
+      images: [{ filename: 'hero.webp', fields: ['alt'] }],
+      tags: [{ name: 'tech', fields: ['description'] }],
+    });
+  });
+
+  test('planTranslationImport skips empty and unchanged texts and reports problems', () => {
+    const store = createTestStore();
+    const { locale, changes, errors } = planTranslationImport(store, {
+      locale: 'ja',
+      images: { 'hero.webp': { label: 'ヒーロー', alt: ' 鎧のヒーロー ' } },
+      tags: { tech: { title: '技術', description: '' } },
+    });
+    expect(locale).toBe('ja');
+    expect(errors).toEqual([]);
+    expect(changes).toEqual([
+      { kind: 'image', key: 'hero.webp', field: 'alt', value: '鎧のヒーロー' },
+      { kind: 'tag', key: 'tech', field: 'title', value: '技術', previous: 'テクノロジー' },
+    ]);
+
+    expect(planTranslationImport(store, { locale: 'ja', images: { 'missing.webp': {} }, tags: { tech: { name: 'x', title: 1 } } }).errors)
+      .toEqual(['Unknown image: missing.webp.', 'Unknown field "name" of tag tech. Expected one of title, description.', 'The title of tag tech must be a string.']);
+    expect(planTranslationImport(store, {}).errors).toEqual(['The translation file has no locale.']);
+  });
+
+  test('applyTranslationChanges writes translations, and the texts of the fallback locale to the items themselves', () => {
+    const store = createTestStore();
+    applyTranslationChanges(store, 'ja', [{ kind: 'image', key: 'hero.webp', field: 'alt', value: '鎧のヒーロー' }]);
+    applyTranslationChanges(store, 'fr', [{ kind: 'tag', key: 'tech', field: 'title', value: 'Technologie' }]);
+    applyTranslationChanges(store, 'en', [{ kind: 'image', key: 'hero.webp', field: 'label', value: 'The Hero' }]);
+
+    expect(store.findImage('hero.webp')).toEqual(expect.objectContaining({
+      label: 'The Hero',
+      translations: { ja: { label: 'ヒーロー', alt: '鎧のヒーロー' } },
+    }));
+    expect(store.getAllTags()[0].translations).toEqual({ ja: { title: 'テクノロジー' }, fr: { title: 'Technologie' } });
+  });
+});
@@ -0,0 +1,209 @@
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { IMAGE_EXTENSIONS, INPUT_EXTENSIONS, toMetadataPath } = require('./image-processing');
+const { compressImage } = require('./compress');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./compress').SizeReport} SizeReport
+ */
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {number} [debounce] - Milliseconds without changes to wait for before calling back (defaults to 1000)
+ * @property {(file: string) => boolean} [filter] - Only files for which this returns true are collected
+ * @property {boolean} [existing] - Include the files already in the directory in the first batch
+ */
+
+/**
+ * Watches a directory and its subdirectories, and calls back with the files that were added or changed once no
+ * file changed for the debounce delay, so files still being copied are not picked up half-written.
+ * Batches never overlap: files that change while a batch runs are collected for the next one.
+ * @param {string} dir - The directory to watch
+ * @param {(files: string[]) => Promise<void>} onBatch - Called with the absolute paths of the changed files that still exist
+ * @param {WatchOptions} [options] - The debounce delay, the files to collect and whether to include existing files
+ * @returns {() => void} - A function that stops watching
+ */
+function watchDirectory(dir, onBatch, { debounce = 1000, filter = () => true, existing = false } = {}) {
+  /** @type {Set<string>} */
+  const pending = new Set();
+  /** @type {NodeJS.Timeout|undefined} */
+  let timer;
+  let running = false;
+  let closed = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(runBatch, debounce);
+  };
+
+  const runBatch = async () => {
+    if (running || closed) return;
+    running = true;
+    const candidates = [...pending];
+    pending.clear();
+
+    const files = [];
+    for (const file of candidates) {
+      const stats = await fs.stat(file).catch(() => null);
+      if (stats && stats.isFile()) files.push(file);
+    }
+    try {
+      if (files.length > 0) await onBatch(files);
+    } catch (error) {
+      console.error('Error processing changed files:', error);
+    }
+
+    running = false;
+    if (pending.size > 0) schedule();
+  };
+
+  /** @type {Map<string, fsSync.FSWatcher>} */
+  const watchers = new Map();
+
+  /**
+   * Stops watching a directory that was removed, and its subdirectories
+   * @param {string} removed - The removed directory
+   */
+  const unwatch = (removed) => {
+    for (const [watched, watcher] of watchers) {
+      if (watched !== removed && !watched.startsWith(removed + path.sep)) continue;
+      watcher.close();
+      watchers.delete(watched);
+    }
+  };
+
+  /**
+   * Collects a changed file, and starts watching it if it is a new directory
+   * @param {string} file - The absolute path of the changed file or directory
+   */
+  const onChange = (file) => {
+    if (filter(file)) {
+      pending.add(file);
+      schedule();
+    }
+    fs.stat(file).then(stats => {
+      if (stats.isDirectory()) watchTree(file, true);
+    }, () => unwatch(file));
+  };
+
+  /**
+   * Watches a directory and its subdirectories with one watcher each, since `fs.watch` only supports `recursive`
+   * on Linux from Node 20
+   * @param {string} subdir - The directory to watch
+   * @param {boolean} collect - Collect the files already in the directory, which for a new directory may have been
+   * added before its watcher
+   */
+  const watchTree = (subdir, collect) => {
+    if (closed || watchers.has(subdir)) return;
+    let watcher;
+    try {
+      watcher = fsSync.watch(subdir, (eventType, filename) => {
+        if (filename) onChange(path.join(subdir, filename.toString()));
+      });
+    } catch (error) {
+      // A new subdirectory may be removed again before it is watched
+      if (subdir === dir) throw error;
+      return;
+    }
+    watcher.on('error', () => unwatch(subdir));
+    watchers.set(subdir, watcher);
+
+    fs.readdir(subdir, { withFileTypes: true }).then(entries => {
+      for (const entry of entries) {
+        const fullPath = path.join(subdir, entry.name);
+        if (entry.isDirectory()) {
+          watchTree(fullPath, collect);
+        } else if (collect && entry.isFile() && filter(fullPath)) {
+          pending.add(fullPath);
+          schedule();
+        }
+      }
+    }).catch(error => {
+      if (error.code !== 'ENOENT') console.error(`Error listing ${subdir}:`, error);
+    });
+  };
+
+  watchTree(dir, existing);
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+  };
+}
+
+/**
+ * Moves a file from the inbox to the same relative path in the image directory
+ * @param {Store} store - The store holding the paths of the image set
+ * @param {string} file - The absolute path of the file in the inbox
+ * @param {string} inboxDir - The inbox directory
+ * @returns {Promise<string|null>} - The new absolute path, or null if a file with that path already exists
+ */
+async function moveFromInbox(store, file, inboxDir) {
+  const target = path.join(store.paths.imagesDir, path.relative(inboxDir, file));
+  if (await fs.stat(target).catch(() => null)) {
+    console.warn(`Skipping ${file}: ${path.relative(store.paths.imagesDir, target)} already exists in the image set.`);
+    return null;
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.rename(file, target);
+  } catch (error) {
+    // The inbox may be on another device, which rename cannot move across
+    await fs.copyFile(file, target);
+    await fs.unlink(file);
+  }
+  return target;
+}
+
+/**
+ * Checks whether a file should be ingested: an image or input format, and not a generated variant
+ * @param {Store} store - The store holding the paths of the image set
+ * @param {string} file - The absolute path of the file
+ * @returns {boolean} - True if the file may be ingested
+ */
+function isIngestible(store, file) {
+  const ext = path.extname(file).toLowerCase();
+  return (INPUT_EXTENSIONS.includes(ext) || IMAGE_EXTENSIONS.includes(ext))
+    && !file.startsWith(store.paths.variantsDir + path.sep);
+}
+
+/**
+ * Ingests new image files: moves them out of the inbox, if any, compresses them like `compress-images` and adds
+ * their metadata with the status `needs-review`, so they can be picked in "Tag Images". Files that already have
+ * metadata, such as the output of an earlier conversion, are skipped.
+ * @param {Store} store - The store holding the metadata and image set config
+ * @param {string[]} files - The absolute paths of the new files
+ * @param {Object} options
+ * @param {string|null} [options.inboxDir] - The inbox the files are in, or null if they are in the image directory
+ * @param {SizeReport} options.report - The report to add the sizes of compressed images to
+ * @returns {Promise<string[]>} - The relative paths of the ingested images
+ */
+async function ingestFiles(store, files, { inboxDir = null, report }) {
+  /** @type {string[]} */
+  const ingested = [];
+  for (const file of files) {
+    if (!isIngestible(store, file)) continue;
+    const fullPath = inboxDir ? await moveFromInbox(store, file, inboxDir) : file;
+    if (!fullPath || store.findImage(toMetadataPath(path.relative(store.paths.imagesDir, fullPath)))) continue;
+
+    const filename = await compressImage(store, fullPath, report, { status: 'needs-review' });
+    if (filename) ingested.push(filename);
+  }
+
+  if (ingested.length > 0) {
+    await store.saveMetadata();
+    console.log(`Queued ${ingested.length} image(s) for review: ${ingested.join(', ')}`);
+  }
+  return ingested;
+}
+
+module.exports = {
+  watchDirectory,
+  isIngestible,
+  ingestFiles,
+};
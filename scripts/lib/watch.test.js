@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createStore } = require('./store');
+const { createSizeReport } = require('./size-report');
+const { watchDirectory, isIngestible, ingestFiles } = require('./watch');
+
+/**
+ * Resolves after the given number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watch mode', () => {
+  let root;
+  let imagesDir;
+  let inboxDir;
+  let store;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-watch-'));
+    imagesDir = path.join(root, 'public', 'images');
+    inboxDir = path.join(root, 'inbox');
+    fs.mkdirSync(imagesDir, { recursive: true });
+    fs.mkdirSync(inboxDir);
+
+    store = createStore({
+      root,
+      imagesDir,
+      variantsDir: path.join(imagesDir, '_variants'),
+      metadataPath: path.join(root, 'image-metadata.json'),
+      tagConfigPath: path.join(root, 'tag-config.json'),
+      configPath: path.join(root, 'image-set.config.json'),
+      backupsDir: path.join(root, '.backups'),
+    });
+    store.config.variants.widths = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('watchDirectory', () => {
+    test('collects changes into one batch after the debounce delay', async () => {
+      const batches = [];
+      const close = watchDirectory(inboxDir, async files => { batches.push(files.sort()); }, {
+        debounce: 300,
+        filter: file => file.endsWith('.png'),
+      });
+      try {
+        fs.writeFileSync(path.join(inboxDir, 'a.png'), 'a');
+        fs.mkdirSync(path.join(inboxDir, 'mecha'));
+        fs.writeFileSync(path.join(inboxDir, 'mecha', 'b.png'), 'b');
+        fs.writeFileSync(path.join(inboxDir, 'notes.txt'), 'ignored');
+        await delay(50);
+        fs.appendFileSync(path.join(inboxDir, 'a.png'), 'more');
+        await delay(1000);
+      } finally {
+        close();
+      }
+
+      expect(batches).toEqual([[path.join(inboxDir, 'a.png'), path.join(inboxDir, 'mecha', 'b.png')]]);
+    });
+
+    test('watches existing subdirectories and directories nested in new ones', async () => {
+      fs.mkdirSync(path.join(inboxDir, 'mecha'));
+      const batches = [];
+      const close = watchDirectory(inboxDir, async files => { batches.push(files.sort()); }, { debounce: 300 });
+      try {
+        await delay(20);
+        fs.writeFileSync(path.join(inboxDir, 'mecha', 'a.png'), 'a');
+        fs.mkdirSync(path.join(inboxDir, 'robots', 'heavy'), { recursive: true });
+        await delay(20);
+        fs.writeFileSync(path.join(inboxDir, 'robots', 'heavy', 'b.png'), 'b');
+        await delay(1000);
+      } finally {
+        close();
+      }
+
+      expect(batches).toEqual([[path.join(inboxDir, 'mecha', 'a.png'), path.join(inboxDir, 'robots', 'heavy', 'b.png')]]);
+    });
+
+    test('includes existing files and skips files deleted before the batch runs', async () => {
+      fs.writeFileSync(path.join(inboxDir, 'existing.png'), 'a');
+      const batches = [];
+      const close = watchDirectory(inboxDir, async files => { batches.push(files); }, { debounce: 300, existing: true });
+      try {
+        await delay(20);
+        fs.writeFileSync(path.join(inboxDir, 'temporary.png'), 'b');
+        fs.unlinkSync(path.join(inboxDir, 'temporary.png'));
+        await delay(1000);
+      } finally {
+        close();
+      }
+
+      expect(batches).toEqual([[path.join(inboxDir, 'existing.png')]]);
+    });
+  });
+
+  test('isIngestible accepts inputs and images outside the variants directory', () => {
+    expect(isIngestible(store, path.join(imagesDir, 'photo.JPG'))).toBe(true);
+    expect(isIngestible(store, path.join(imagesDir, 'photo.webp'))).toBe(true);
+    expect(isIngestible(store, path.join(imagesDir, 'notes.txt'))).toBe(false);
+    expect(isIngestible(store, path.join(imagesDir, '_variants', 'photo-100.webp'))).toBe(false);
+  });
+
+  test('ingestFiles moves new images out of the inbox, compresses them and queues them for review', async () => {
+    fs.mkdirSync(path.join(inboxDir, 'mecha'));
+    const source = path.join(inboxDir, 'mecha', 'mecha1.png');
+    await sharp({ create: { width: 40, height: 20, channels: 3, background: '#336699' } }).png().toFile(source);
+
+    const ingested = await ingestFiles(store, [source], { inboxDir, report: createSizeReport() });
+
+    const filename = 'mecha/mecha1.webp';
+    expect(ingested).toEqual([filename]);
+    expect(fs.existsSync(source)).toBe(false);
+    expect(fs.existsSync(path.join(imagesDir, filename))).toBe(true);
+    const saved = JSON.parse(fs.readFileSync(store.paths.metadataPath, 'utf8')).images;
+    expect(saved).toEqual([expect.objectContaining({ filename, status: 'needs-review', tags: [], width: 40 })]);
+
+    expect(await ingestFiles(store, [path.join(imagesDir, filename)], { report: createSizeReport() })).toEqual([]);
+  });
+});
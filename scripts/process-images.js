@@ -1,132 +1,26 @@
 const fs = require('fs').promises;
 const path = require('path');
-const sharp = require('sharp');
-const { checkbox, input, select } = require('@inquirer/prompts');
-
-const baseImageDir = path.join(__dirname, '..', 'public', 'images');
-const metadataPath = path.join(__dirname, '..', 'src/image-metadata.json');
-const tagConfigPath = path.join(__dirname, '..', 'src/tag-config.json');
-
-/**
- * @typedef {Object} ImageMetadata
- * @property {string} filename - The name of the image file
- * @property {string} label - User-defined label for the image
- * @property {string[]} tags - Array of tag names associated with the image
- */
-
-/** @type {ImageMetadata[]} */
-let imageMetadata = [];
-
-/**
- * @typedef {Object} Tag
- * @property {string} name - The name of the tag (used as identifier)
- * @property {string} title - The display title of the tag
- * @property {string} description - User-defined description of the tag
- */
-
-/**
- * @typedef {Object} TagConfig
- * @property {Tag[]} subject - Tags related to the subject of the image
- * @property {Tag[]} version - Tags related to the version of the image set
- * @property {Tag[]} general - General tags and newly added tags
- */
-
-/** @type {TagConfig} */
-let tagConfig = {
-  subject: [],
-  version: [],
-  general: []
-};
+const { parseArgs } = require('util');
+const { checkbox, confirm, input, select, Separator } = require('@inquirer/prompts');
+const { getImageSetFromArgs, imageSetOptions } = require('./lib/image-set-options');
+const { runCommand } = require('./lib/commands');
+const { renameTag, mergeTags, deleteTag, moveTag, printTagOperationResult } = require('./lib/tag-operations');
+const { createStore } = require('./lib/store');
+const { IMAGE_DETAILS, parseImageDetail } = require('./lib/image-details');
+const { listBackups, restoreBackup } = require('./lib/backups');
+const { checkCategoryRules } = require('../src/tag-categories');
+const { IMAGE_EXTENSIONS, toMetadataPath } = require('./lib/image-processing');
+const { compressImages } = require('./lib/compress');
+const { createSizeReport } = require('./lib/size-report');
+
+const imageSet = getImageSetFromArgs();
+const { imagesDir: baseImageDir, variantsDir } = imageSet.getImageSetPaths();
+const store = createStore(imageSet.getImageSetPaths());
 
 /**
- * Loads the image metadata from the JSON file or creates it if it doesn't exist
- * @returns {Promise<void>}
+ * @typedef {import('./lib/store').ImageMetadata} ImageMetadata
+ * @typedef {import('./lib/store').Tag} Tag
  */
-async function loadMetadata() {
-  try {
-    const data = await fs.readFile(metadataPath, 'utf8');
-    imageMetadata = JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('Metadata file not found. Creating a new one.');
-      imageMetadata = [];
-      await saveMetadata();
-    } else {
-      console.error('Error loading metadata:', error);
-    }
-  }
-}
-
-/**
- * Saves the image metadata to the JSON file
- * @returns {Promise<void>}
- */
-async function saveMetadata() {
-  try {
-    await fs.writeFile(metadataPath, JSON.stringify(imageMetadata, null, 2));
-  } catch (error) {
-    console.error('Error saving metadata:', error);
-  }
-}
-
-/**
- * Loads the tag configuration or creates it if it doesn't exist
- * @returns {Promise<void>}
- */
-async function loadTagConfig() {
-  try {
-    const data = await fs.readFile(tagConfigPath, 'utf8');
-    tagConfig = JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('Tag config file not found. Creating a new one with default categories.');
-      tagConfig = {
-        subject: [
-          { name: 'nature', title: 'Nature', description: 'Images of natural landscapes, flora, or fauna' },
-          { name: 'tech', title: 'Technology', description: 'Images related to technological devices or concepts' },
-          { name: 'people', title: 'People', description: 'Images featuring individuals or groups of people' }
-        ],
-        version: [
-          { name: '1_0_0', title: 'Image set Version 1', description: 'Images from Version 1' },
-          { name: '1_1_0', title: 'Image set Version 1.1', description: 'Images from Version 1.1' },
-          { name: '2_0_0', title: 'Image set Version 2.0', description: 'Images from Version 2' }
-        ],
-        general: [
-          { name: 'hq', title: 'High Quality', description: 'Images with exceptional clarity and detail' },
-          { name: 'colorful', title: 'Colorful', description: 'Images with a vibrant color palette' },
-          { name: 'monochrome', title: 'Black and White', description: 'Monochrome images' }
-        ],
-      };
-      await saveTagConfig();
-    } else {
-      console.error('Error loading tag config:', error);
-    }
-  }
-}
-
-/**
- * Saves the tag configuration
- * @returns {Promise<void>}
- */
-async function saveTagConfig() {
-  try {
-    await fs.writeFile(tagConfigPath, JSON.stringify(tagConfig, null, 2));
-  } catch (error) {
-    console.error('Error saving tag config:', error);
-  }
-}
-
-/**
- * Gets all available tags
- * @returns {Tag[]} - Array of all tags
- */
-function getAllTags() {
-  return [
-    ...tagConfig.subject,
-    ...tagConfig.version,
-    ...tagConfig.general
-  ];
-}
 
 /**
  * Ensures that the input is an array of tag names
@@ -144,51 +38,84 @@ function ensureTagArray(input) {
 }
 
 /**
- * Updates metadata for a given image
- * @param {string} imagePath - The relative path of the image
- * @param {string[]} tags - The tag names to set for the image
- * @param {string} label - The label for the image
- */
-function updateImageMetadata(imagePath, tags, label) {
-  const index = imageMetadata.findIndex(img => img.filename === imagePath);
-  const safeLabel = label || '';
-  const safeTags = Array.isArray(tags) ? tags : [];
-
-  if (index !== -1) {
-    imageMetadata[index].tags = safeTags;
-    imageMetadata[index].label = safeLabel;
-  } else {
-    imageMetadata.push({ filename: imagePath, tags: safeTags, label: safeLabel });
-  }
-}
-
-/**
- * Prompts user to select tags using checkboxes
+ * Prompts user to select tags using checkboxes, grouped by category
+ * and checked against the single-select and required rules of the categories
  * @param {string} imageName - Name of the image being tagged
  * @param {string[]} currentTags - Current tag names of the image
+ * @param {string[]} [suggestedTags] - Tag names suggested from the prompt of the image, selected like the current tags
  * @returns {Promise<string[]>} - Array of selected tag names
  */
-async function promptForTags(imageName, currentTags) {
+async function promptForTags(imageName, currentTags, suggestedTags = []) {
   console.log(`Selecting tags for ${imageName}`);
-  const allTags = getAllTags();
+  const categories = store.getTagCategories();
   const safeCurrentTags = ensureTagArray(currentTags);
 
-  const choices = allTags.map(tag => ({
-    name: `${tag.name} - ${tag.description}`,
-    value: tag.name,
-    checked: safeCurrentTags.includes(tag.name)
-  }));
+  const choices = categories.flatMap(category => {
+    const rules = [category.singleSelect && 'pick one', category.required && 'required'].filter(Boolean);
+    return [
+      new Separator(`-- ${category.title}${rules.length > 0 ? ` (${rules.join(', ')})` : ''} --`),
+      ...category.tags.map(tag => ({
+        name: `${tag.name} - ${tag.description}${suggestedTags.includes(tag.name) ? ' (suggested)' : ''}`,
+        value: tag.name,
+        checked: safeCurrentTags.includes(tag.name) || suggestedTags.includes(tag.name)
+      }))
+    ];
+  });
 
   console.log(`Preparing to show tag selection menu for ${imageName}`);
   const selectedTags = await checkbox({
     message: `Select tags for ${imageName}:`,
-    choices: choices
+    choices: choices,
+    validate: (selected) => {
+      const violation = checkCategoryRules(selected.map(choice => choice.value), categories)[0];
+      if (!violation) return true;
+      const { title } = categories.find(category => category.name === violation.category) || { title: violation.category };
+      return violation.rule === 'required' ? `Select a tag from ${title}.` : `Select only one tag from ${title}.`;
+    }
   });
 
   console.log(`Tag selection completed for ${imageName}`);
   return selectedTags;
 }
 
+/**
+ * Prompts user for the optional descriptive fields of an image, such as its alt text, credits and prompt
+ * @param {string} imageName - Name of the image being tagged
+ * @returns {Promise<void>}
+ */
+async function promptForDetails(imageName) {
+  const current = store.findImage(imageName) || {};
+  /** @type {Record<string, string>} */
+  const details = {};
+  for (const { field, message } of IMAGE_DETAILS) {
+    details[field] = await input({
+      message: `${message} (optional)`,
+      default: current[field] === undefined ? '' : String(current[field]),
+      validate: (text) => {
+        try {
+          parseImageDetail(field, text);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      }
+    });
+  }
+  store.updateImageDetails(imageName, details);
+}
+
+/**
+ * Prompts user to pick a tag category
+ * @param {string} message - The prompt message
+ * @returns {Promise<string>} - The name of the selected category
+ */
+async function promptForCategory(message) {
+  return select({
+    message,
+    choices: store.getTagCategories().map(category => ({ name: category.title, value: category.name, description: category.description }))
+  });
+}
+
 /**
  * Prompts user to add a new tag
  * @returns {Promise<Tag|null>} - Newly created tag or null if cancelled
@@ -205,76 +132,122 @@ async function promptForNewTag() {
 }
 
 /**
- * Recursively gets all image files from a directory
- * @param {string} dir - The directory to search
- * @returns {Promise<string[]>} - Array of relative paths to image files
+ * Prompts user to pick one of the existing tags
+ * @param {string} message - The prompt message
+ * @param {string[]} [exclude] - Names of tags that cannot be picked
+ * @returns {Promise<string>} - The name of the selected tag
  */
-async function getImageFiles(dir) {
-  let results = [];
-  const entries = await fs.readdir(dir, { withFileTypes: true });
+async function promptForExistingTag(message, exclude = []) {
+  return select({
+    message,
+    choices: store.getAllTags()
+      .filter(tag => !exclude.includes(tag.name))
+      .map(tag => ({ name: `${tag.name} - ${tag.title}`, value: tag.name }))
+  });
+}
 
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      results = results.concat(await getImageFiles(fullPath));
-    } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === '.webp') {
-      results.push(path.relative(baseImageDir, fullPath));
+/**
+ * Prompts user for a tag lifecycle operation and runs it
+ * @param {'rename'|'merge'|'delete'|'move'} operation - The operation to run
+ * @returns {Promise<void>}
+ */
+async function promptForTagOperation(operation) {
+  if (store.loadErrors.metadata || store.loadErrors.tagConfig) {
+    console.error('Tag operations change both the metadata and the tag configuration, but one of them could not be loaded.');
+    return;
+  }
+
+  /** @type {import('./lib/tag-operations').TagOperationResult|null} */
+  let result = null;
+
+  try {
+    if (operation === 'rename') {
+      const name = await promptForExistingTag('Select the tag to rename:');
+      const newName = await input({ message: `Enter the new name for "${name}":` });
+      result = renameTag(store, name, newName);
     }
+
+    if (operation === 'merge') {
+      const sourceNames = await checkbox({
+        message: 'Select the tags to merge:',
+        choices: store.getAllTags().map(tag => ({ name: `${tag.name} - ${tag.title}`, value: tag.name }))
+      });
+      if (sourceNames.length === 0) return;
+      const targetName = await promptForExistingTag('Select the tag to merge them into:', sourceNames);
+      result = mergeTags(store, sourceNames, targetName);
+    }
+
+    if (operation === 'delete') {
+      const name = await promptForExistingTag('Select the tag to delete:');
+      if (!await confirm({ message: `Delete "${name}" and remove it from all images?`, default: false })) return;
+      result = deleteTag(store, name);
+    }
+
+    if (operation === 'move') {
+      const name = await promptForExistingTag('Select the tag to move:');
+      const category = await promptForCategory(`Select the new category for "${name}":`);
+      result = moveTag(store, name, category);
+    }
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : String(error));
+    return;
   }
 
-  return results;
+  if (result) {
+    printTagOperationResult(result);
+    await store.saveTagConfig();
+    await store.saveMetadata();
+  }
 }
 
 /**
- * Compresses images in the given directory
- * @param {string} dir - The directory to process
+ * Prompts user to pick a backup of the metadata or tag configuration, restores it and reloads the store
  * @returns {Promise<void>}
  */
-async function compressImages(dir) {
-  try {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      const relativePath = path.relative(baseImageDir, fullPath);
-
-      if (entry.isDirectory()) {
-        await compressImages(fullPath);
-      } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        const existingMetadata = imageMetadata.find(img => img.filename === relativePath);
-
-        if (ext === '.webp') {
-          if (!existingMetadata) {
-            console.log(`Adding metadata for existing WebP file: ${relativePath}`);
-            updateImageMetadata(relativePath, [], '');
-          } else {
-            console.log(`Skipping existing WebP file with metadata: ${relativePath}`);
-          }
-        } else if (['.jpg', '.jpeg', '.png'].includes(ext) && !existingMetadata) {
-          const outputPath = path.join(dir, `${path.parse(entry.name).name}.webp`);
-          const outputRelativePath = path.relative(baseImageDir, outputPath);
+async function promptForRestore() {
+  const { backupsDir, metadataPath, tagConfigPath } = store.paths;
+  const backups = await listBackups(backupsDir, [metadataPath, tagConfigPath]);
+  if (backups.length === 0) {
+    console.log(`No backups found in ${backupsDir}.`);
+    return;
+  }
 
-          console.log(`Compressing: ${relativePath}`);
-          await sharp(fullPath)
-            .webp({ quality: 80 })
-            .toFile(outputPath);
+  const backup = await select({
+    message: 'Select the backup to restore:',
+    choices: [
+      ...backups.map(b => ({ name: `${b.filename} (${b.createdAt.toLocaleString()})`, value: b })),
+      { name: 'Cancel', value: null }
+    ]
+  });
+  if (!backup) return;
+  if (!await confirm({ message: `Replace ${path.basename(backup.targetPath)} with ${backup.filename}?`, default: false })) return;
 
-          console.log(`Compressed and saved: ${outputRelativePath}`);
+  await restoreBackup(backupsDir, backup, store.config.backups.keep);
+  await store.loadMetadata();
+  await store.loadTagConfig();
+  console.log(`Restored ${path.basename(backup.targetPath)} from ${backup.filename}.`);
+}
 
-          // Remove the original file
-          await fs.unlink(fullPath);
+/**
+ * Recursively gets all image files from a directory
+ * @param {string} dir - The directory to search
+ * @returns {Promise<string[]>} - Array of relative paths to image files, with `/` as separator
+ */
+async function getImageFiles(dir) {
+  let results = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
 
-          // Add metadata for the new WebP file
-          updateImageMetadata(outputRelativePath, [], '');
-        } else {
-          console.log(`Skipping: ${relativePath} (already processed or unsupported format)`);
-        }
-      }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (fullPath === variantsDir) continue;
+      results = results.concat(await getImageFiles(fullPath));
+    } else if (entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      results.push(toMetadataPath(path.relative(baseImageDir, fullPath)));
     }
-  } catch (error) {
-    console.error(`Error processing directory ${dir}:`, error);
   }
+
+  return results;
 }
 
 /**
@@ -282,27 +255,24 @@ async function compressImages(dir) {
  * @returns {Promise<void>}
  */
 async function main() {
-  await loadMetadata();
-  await loadTagConfig();
-
-  // Check if metadata needs to be migrated
-  const needsMigration = imageMetadata.some(img => img.tags && img.tags.some(tag => typeof tag === 'object'));
-  if (needsMigration) {
-    console.log('Migrating metadata to new format...');
-    imageMetadata = imageMetadata.map(img => ({
-      ...img,
-      tags: img.tags.map(tag => typeof tag === 'object' ? tag.name : tag)
-    }));
-    await saveMetadata();
-    console.log('Metadata migration completed.');
+  await store.loadMetadata();
+  await store.loadTagConfig();
+  await store.loadConfig();
+
+  const { positionals } = parseArgs({ options: imageSetOptions, strict: false, allowPositionals: true });
+  if (positionals.length > 0) {
+    process.exitCode = await runCommand(process.argv.slice(2), { imageSet, store });
+    return;
   }
 
   if (process.argv.includes('--compress-only')) {
     console.log('Running in compression-only mode');
-    await compressImages(baseImageDir);
+    const report = createSizeReport();
+    await compressImages(store, baseImageDir, report);
     console.log('Image compression completed.');
-    await saveMetadata();
-    await saveTagConfig();
+    report.printSummary();
+    await store.saveMetadata();
+    await store.saveTagConfig();
     return;
   }
 
@@ -313,7 +283,9 @@ async function main() {
         { name: 'Compress Images', value: 'compress' },
         { name: 'Tag Images', value: 'tag' },
         { name: 'View Image Metadata', value: 'view' },
+        { name: 'Generate Gallery', value: 'gallery' },
         { name: 'Manage Tags', value: 'manage' },
+        { name: 'Restore a Backup', value: 'restore' },
         { name: 'Exit', value: 'exit' }
       ]
     });
@@ -321,20 +293,33 @@ async function main() {
     if (action === 'exit') break;
 
     if (action === 'compress') {
-      await compressImages(baseImageDir);
+      const report = createSizeReport();
+      await compressImages(store, baseImageDir, report);
       console.log('Image compression completed.');
+      report.printSummary();
     }
 
     if (action === 'tag') {
-      const images = await getImageFiles(baseImageDir);
+      let images = await getImageFiles(baseImageDir);
+      const pending = images.filter(img => (store.findImage(img) || {}).status === 'needs-review');
+      if (pending.length > 0) {
+        const scope = await select({
+          message: 'Which images would you like to tag?',
+          choices: [
+            { name: `Tag only pending images (${pending.length})`, value: 'pending' },
+            { name: 'Choose from all images', value: 'all' }
+          ]
+        });
+        if (scope === 'pending') images = pending;
+      }
 
       const selectedImages = await checkbox({
         message: 'Select images to tag:',
-        choices: images.map(img => ({ name: img, value: img }))
+        choices: images.map(img => ({ name: img, value: img, checked: images === pending }))
       });
 
       for (const image of selectedImages) {
-        const currentMetadata = imageMetadata.find(img => img.filename === image) || { tags: [], label: '' };
+        const currentMetadata = store.findImage(image) || { tags: [], label: '' };
 
         console.log(`\nTagging image: ${image}`);
 
@@ -343,16 +328,33 @@ async function main() {
           default: currentMetadata.label
         });
 
-        const newTags = await promptForTags(image, currentMetadata.tags);
-        updateImageMetadata(image, newTags, label || currentMetadata.label);
+        const newTags = await promptForTags(image, currentMetadata.tags, currentMetadata.suggestedTags);
+        store.updateImageMetadata(image, newTags, label || currentMetadata.label);
+        const updated = store.findImage(image);
+        if (updated) {
+          delete updated.status;
+          delete updated.suggestedTags;
+        }
+
+        if (await confirm({ message: 'Add alt text, a description, credits or generation details?', default: !(updated && updated.alt) })) {
+          await promptForDetails(image);
+        }
 
         console.log(`Image ${image} tagged successfully.\n`);
       }
     }
 
+    if (action === 'restore') {
+      await promptForRestore();
+    }
+
+    if (action === 'gallery') {
+      await runCommand(['gallery'], { imageSet, store });
+    }
+
     if (action === 'view') {
-      const allTags = getAllTags();
-      for (const image of imageMetadata) {
+      const allTags = store.getAllTags();
+      for (const image of store.metadata) {
         console.log(`${image.filename}:`);
         console.log(`  Label: ${image.label}`);
         console.log(`  Tags: ${image.tags.join(', ')}`);
@@ -364,6 +366,9 @@ async function main() {
             console.log(`    - ${tagName}: Description not found`);
           }
         }
+        for (const { field, title } of IMAGE_DETAILS) {
+          if (image[field] !== undefined) console.log(`  ${title}: ${image[field]}`);
+        }
       }
       await input({ message: 'Press Enter to continue...' });
     }
@@ -375,6 +380,10 @@ async function main() {
           choices: [
             { name: 'Add New Tag', value: 'add' },
             { name: 'View All Tags', value: 'view' },
+            { name: 'Rename Tag', value: 'rename' },
+            { name: 'Merge Tags', value: 'merge' },
+            { name: 'Delete Tag', value: 'delete' },
+            { name: 'Move Tag to Another Category', value: 'move' },
             { name: 'Back to Main Menu', value: 'back' }
           ]
         });
@@ -384,26 +393,33 @@ async function main() {
         if (tagAction === 'add') {
           const newTag = await promptForNewTag();
           if (newTag) {
-            tagConfig.general.push(newTag);
-            await saveTagConfig();
-            console.log(`New tag "${newTag.name}" added successfully.`);
+            const category = await promptForCategory(`Select the category for "${newTag.name}":`);
+            store.tagConfig[category].push(newTag);
+            await store.saveTagConfig();
+            console.log(`New tag "${newTag.name}" added to ${category} successfully.`);
           }
         }
 
         if (tagAction === 'view') {
-          const allTags = getAllTags();
           console.log('All available tags:');
-          for (const tag of allTags) {
-            console.log(`  - ${tag.name}: ${tag.description}`);
+          for (const category of store.getTagCategories()) {
+            console.log(`${category.title}${category.description ? `: ${category.description}` : ''}`);
+            for (const tag of category.tags) {
+              console.log(`  - ${tag.name}: ${tag.description}`);
+            }
           }
           await input({ message: 'Press Enter to continue...' });
         }
+
+        if (['rename', 'merge', 'delete', 'move'].includes(tagAction)) {
+          await promptForTagOperation(tagAction);
+        }
       }
     }
   }
 
-  await saveMetadata();
-  await saveTagConfig();
+  await store.saveMetadata();
+  await store.saveTagConfig();
   console.log('Session completed. Metadata and tag configuration saved.');
 }
 
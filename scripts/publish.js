@@ -3,12 +3,20 @@ const { execSync } = require('child_process');
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { getImageSetFromArgs, imageSetOptions } = require('./lib/image-set-options');
+const { createStore } = require('./lib/store');
+const { migrateFile } = require('../src/schema');
+const { BUMP_TYPES, bumpVersion, diffMetadata, formatImageChanges, updateChangelog, tagReleasedImages } = require('./lib/release');
 
 /**
  * @typedef {Object} PackageJson
  * @property {string} version
  */
 
+const packageRoot = path.join(__dirname, '..');
+const changelogPath = path.join(packageRoot, 'CHANGELOG.md');
+
 /**
  * @type {readline.Interface}
  */
@@ -27,36 +35,177 @@ function question(query) {
 }
 
 /**
- * Publishes the package to npm.
- * @returns {Promise<void>}
+ * Runs a command in the package root and returns its trimmed output.
+ * @param {string} command - The command to run.
+ * @returns {string} The output of the command.
  */
-async function publishPackage() {
+function capture(command) {
+  return execSync(command, { cwd: packageRoot, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+/**
+ * Finds the git tag of the last release: `v<current version>` if it exists, or else the most recent `v*` tag.
+ * @param {string} currentVersion - The version in package.json.
+ * @returns {string|null} The tag, or null if nothing was released yet.
+ */
+function findLastReleaseTag(currentVersion) {
   try {
-    // Check if user is logged in to npm
+    return capture(`git rev-parse --verify --quiet "refs/tags/v${currentVersion}"`) && `v${currentVersion}`;
+  } catch (error) {
     try {
-      execSync('npm whoami', { stdio: 'ignore' });
-    } catch (error) {
-      console.log('You are not logged in to npm. Please log in:');
-      execSync('npm login', { stdio: 'inherit' });
+      return capture('git describe --tags --abbrev=0 --match "v*"') || null;
+    } catch (describeError) {
+      return null;
     }
+  }
+}
+
+/**
+ * Checks that a git ref names a commit, e.g. the release given with `--since`.
+ * @param {string} ref - The tag, branch or commit.
+ * @returns {boolean} True if the ref names a commit.
+ */
+function isCommit(ref) {
+  try {
+    capture(`git rev-parse --verify --quiet ${JSON.stringify(`${ref}^{commit}`)}`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the metadata file as it was in a release.
+ * @param {string} tag - The git tag of the release.
+ * @param {string} metadataPath - The absolute path of the metadata file.
+ * @returns {{ filename: string, tags: string[] }[]} The released metadata, or an empty array if the file did not exist then.
+ */
+function readReleasedMetadata(tag, metadataPath) {
+  const relativePath = path.relative(packageRoot, metadataPath).split(path.sep).join('/');
+  try {
+    // Releases before schema version 3 stored the images as a bare array
+    return migrateFile('metadata', JSON.parse(capture(`git show "${tag}:./${relativePath}"`))).data.images;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Bumps the version, tags the images added since the last release with the new version, updates the changelog
+ * with the image changes, commits and tags the release, and publishes the package.
+ * Usage: `npm run publish-package -- [patch|minor|major] [--dry-run] [--registry <url>] [--since <ref>]`
+ * @returns {Promise<void>}
+ */
+async function publishPackage() {
+  try {
+    const { values, positionals } = parseArgs({
+      options: {
+        ...imageSetOptions,
+        'dry-run': { type: 'boolean' },
+        registry: { type: 'string' },
+        since: { type: 'string' }
+      },
+      allowPositionals: true
+    });
+    const dryRun = values['dry-run'] === true;
+    const registryFlag = values.registry ? ` --registry ${JSON.stringify(values.registry)}` : '';
 
-    // Prompt for version bump
     /** @type {PackageJson} */
-    const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf-8'));
+    const packageJson = JSON.parse(fs.readFileSync(path.join(packageRoot, 'package.json'), 'utf-8'));
     const currentVersion = packageJson.version;
     console.log(`Current version: ${currentVersion}`);
-    const bumpType = await question('Enter version bump type (patch/minor/major): ');
+    const bumpType = positionals[0] || (await question(`Enter version bump type (${BUMP_TYPES.join('/')}): `)).trim();
+    const version = bumpVersion(currentVersion, bumpType);
+    const tag = `v${version}`;
+
+    if (capture('git status --porcelain')) {
+      if (!dryRun) throw new Error('The working tree has uncommitted changes. Commit or stash them before releasing.');
+      console.warn('Warning: the working tree has uncommitted changes.');
+    }
+    if (capture('git tag --list').split('\n').includes(tag)) {
+      throw new Error(`Tag ${tag} already exists.`);
+    }
+    if (values.since && !isCommit(values.since)) {
+      throw new Error(`Unknown git ref "${values.since}" given with --since.`);
+    }
 
-    // Update package.json version
-    execSync(`npm version ${bumpType} --no-git-tag-version`, { stdio: 'inherit' });
+    console.log('Running the tests...');
+    try {
+      execSync('npm test', { cwd: packageRoot, stdio: 'inherit' });
+    } catch (error) {
+      throw new Error('The tests failed; nothing was released.');
+    }
+
+    // Compare the metadata with the last release, or the ref given with --since. Without either, every image
+    // would count as added, so the comparison and the version tags are skipped.
+    const store = createStore(getImageSetFromArgs().getImageSetPaths());
+    await store.loadMetadata();
+    await store.loadTagConfig();
+    const baseline = values.since || findLastReleaseTag(currentVersion);
+    const diff = baseline ? diffMetadata(readReleasedMetadata(baseline, store.paths.metadataPath), store.metadata) : null;
+    const imageChanges = diff ? formatImageChanges(diff) : '';
+    const date = new Date().toISOString().slice(0, 10);
+    const changelog = updateChangelog(fs.readFileSync(changelogPath, 'utf-8'), version, date, imageChanges);
+
+    const sectionStart = changelog.indexOf(`## [${version}]`);
+    const sectionEnd = changelog.indexOf('\n## ', sectionStart);
+    console.log(`\nRelease ${tag} (${bumpType})${baseline ? `, images compared with ${baseline}` : ''}:\n`);
+    console.log(changelog.slice(sectionStart, sectionEnd === -1 ? undefined : sectionEnd).trim());
+
+    // Mark the images first released in this version
+    const { tag: versionTag, createdTag, changedImages } = diff
+      ? tagReleasedImages(store, diff.added, version)
+      : { tag: '', createdTag: false, changedImages: [] };
+    if (!diff) {
+      console.log('\nNo previous release tag (v*) was found, so the image changes are not listed and no images are '
+        + `tagged with the version. Tag the last release, e.g. \`git tag v${currentVersion} <commit>\`, or pass --since <ref>.`);
+    } else if (changedImages.length > 0) {
+      console.log(`\n${dryRun ? 'Would tag' : 'Tagging'} ${changedImages.length} new image(s) with "${versionTag}"`
+        + `${createdTag ? ' (a new tag in the version category)' : ''} and set their addedIn to ${version}.`);
+    }
+
+    if (dryRun) {
+      console.log(`\nDry run: would set the version to ${version}, add the "## [${version}] - ${date}" section to CHANGELOG.md, `
+        + `commit and tag ${tag}, and publish to ${values.registry || 'the configured npm registry'}.`);
+      return;
+    }
+
+    // Check if user is logged in to the registry
+    try {
+      execSync(`npm whoami${registryFlag}`, { stdio: 'ignore' });
+    } catch (error) {
+      console.log('You are not logged in to npm. Please log in:');
+      execSync(`npm login${registryFlag}`, { stdio: 'inherit' });
+    }
+
+    // Update package.json version and the changelog, then commit and tag the release
+    execSync(`npm version ${version} --no-git-tag-version`, { cwd: packageRoot, stdio: 'inherit' });
+    fs.writeFileSync(changelogPath, changelog);
+    if (changedImages.length > 0) {
+      await store.saveMetadata();
+      if (createdTag) await store.saveTagConfig();
+    }
+    // Commit only the tracked files written for the release: the version, the changelog and the version tags of the images
+    const releaseFiles = ['package.json', 'package-lock.json', changelogPath, store.paths.metadataPath, store.paths.tagConfigPath]
+      .map(file => path.relative(packageRoot, path.resolve(packageRoot, file)))
+      .filter(file => !file.startsWith('..') && fs.existsSync(path.join(packageRoot, file)));
+    execSync(`git add --update -- ${releaseFiles.map(file => JSON.stringify(file)).join(' ')}`, { cwd: packageRoot, stdio: 'inherit' });
+    execSync(`git commit -m "Release ${tag}"`, { cwd: packageRoot, stdio: 'inherit' });
+    execSync(`git tag -a ${tag} -m "Release ${tag}"`, { cwd: packageRoot, stdio: 'inherit' });
 
     // Publish to npm
     console.log('Publishing to npm...');
-    execSync('npm publish', { stdio: 'inherit' });
+    try {
+      execSync(`npm publish${registryFlag}`, { cwd: packageRoot, stdio: 'inherit' });
+    } catch (error) {
+      throw new Error(`Publishing failed. The release commit and tag ${tag} were created; fix the problem and run \`npm publish${registryFlag}\`.`);
+    }
 
     console.log('Package published successfully!');
+    console.log('Push the release commit and tag with: git push --follow-tags');
   } catch (error) {
     console.error('Error publishing package:', error instanceof Error ? error.message : String(error));
+    process.exitCode = 1;
   } finally {
     rl.close();
   }
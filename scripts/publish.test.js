@@ -0,0 +1,203 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+const repoRoot = path.join(__dirname, '..');
+
+/**
+ * Runs git in a directory.
+ * @param {string} cwd - The directory.
+ * @param {string[]} args - The git arguments.
+ * @returns {string} The trimmed output.
+ */
+const git = (cwd, args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+/**
+ * Writes a JSON file.
+ * @param {string} file - The path of the file.
+ * @param {unknown} data - The data to write.
+ */
+const writeJson = (file, data) => fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+
+/**
+ * Creates a package in a temporary git repository with a copy of the scripts, a test script that always passes,
+ * and one image in its metadata.
+ * @returns {string} The root of the package.
+ */
+function createPackage() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-publish-'));
+  const skipTests = (/** @type {string} */ source) => !source.endsWith('.test.js') && !source.includes('__fixtures__');
+  fs.cpSync(path.join(repoRoot, 'scripts'), path.join(root, 'scripts'), { recursive: true, filter: skipTests });
+  fs.cpSync(path.join(repoRoot, 'src'), path.join(root, 'src'), { recursive: true, filter: skipTests });
+  fs.symlinkSync(path.join(repoRoot, 'node_modules'), path.join(root, 'node_modules'), 'dir');
+  fs.mkdirSync(path.join(root, 'public', 'images'), { recursive: true });
+
+  writeJson(path.join(root, 'package.json'), {
+    name: 'image-set-publish-test',
+    version: '1.0.0',
+    files: ['src'],
+    scripts: { test: 'node -e ""' },
+  });
+  writeJson(path.join(root, 'src', 'image-metadata.json'), {
+    schemaVersion: 3,
+    images: [{ filename: 'a.webp', label: 'A', tags: [] }],
+  });
+  writeJson(path.join(root, 'src', 'tag-config.json'), { schemaVersion: 3, general: [] });
+  fs.writeFileSync(path.join(root, 'CHANGELOG.md'), '# Changelog\n\n## [Unreleased]\n\n### Added\n- Image A\n');
+  fs.writeFileSync(path.join(root, '.gitignore'), 'node_modules\n.npmrc\n.backups\n');
+
+  git(root, ['init', '--quiet']);
+  git(root, ['config', 'user.name', 'Test']);
+  git(root, ['config', 'user.email', 'test@example.com']);
+  git(root, ['add', '--all']);
+  git(root, ['commit', '--quiet', '-m', 'Initial commit']);
+  return root;
+}
+
+/**
+ * Adds an image to the metadata of the package and commits it.
+ * @param {string} root - The root of the package.
+ * @param {string} filename - The relative path of the image.
+ */
+function commitImage(root, filename) {
+  const metadataPath = path.join(root, 'src', 'image-metadata.json');
+  const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+  metadata.images.push({ filename, label: filename, tags: [] });
+  writeJson(metadataPath, metadata);
+  git(root, ['commit', '--quiet', '--all', '-m', `Add ${filename}`]);
+}
+
+/**
+ * Runs the publish script of the package. The `npm_*` variables of the npm script running the tests are left out,
+ * so the npm commands of the script work on the package and not on this repository.
+ * @param {string} root - The root of the package.
+ * @param {string[]} args - The arguments of the script.
+ * @returns {Promise<string>} The output of the script.
+ */
+async function publish(root, args) {
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.toLowerCase().startsWith('npm_')));
+  const { stdout } = await execFileAsync(process.execPath, [path.join(root, 'scripts', 'publish.js'), ...args], {
+    cwd: root,
+    env: { ...env, npm_config_update_notifier: 'false', npm_config_audit: 'false' },
+  });
+  return stdout;
+}
+
+/**
+ * Starts a stand-in npm registry on localhost that accepts any token and records the published packages.
+ * @returns {Promise<{ url: string, published: any[], close: () => Promise<void> }>} The registry URL, the
+ * published package documents, and a function that stops the registry.
+ */
+async function startRegistry() {
+  /** @type {any[]} */
+  const published = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.method === 'GET' && req.url === '/-/whoami') {
+        res.end(JSON.stringify({ username: 'tester' }));
+      } else if (req.method === 'PUT') {
+        published.push(JSON.parse(body));
+        res.statusCode = 201;
+        res.end(JSON.stringify({ ok: true }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: 'Not found' }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+  return {
+    url: `http://127.0.0.1:${port}/`,
+    published,
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
+
+describe('publish script', () => {
+  let root;
+
+  beforeEach(() => {
+    root = createPackage();
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('skips the image changes and version tags without a previous release tag', async () => {
+    const output = await publish(root, ['patch', '--dry-run']);
+
+    expect(output).toContain('No previous release tag (v*) was found');
+    expect(output).not.toContain('### Images');
+    expect(output).not.toContain('Would tag');
+    expect(git(root, ['status', '--porcelain'])).toBe('');
+  });
+
+  test('compares the images with the ref given with --since', async () => {
+    const initial = git(root, ['rev-parse', 'HEAD']);
+    commitImage(root, 'b.webp');
+
+    const output = await publish(root, ['patch', '--dry-run', '--since', initial]);
+
+    expect(output).toContain(`images compared with ${initial}`);
+    expect(output).toContain('- Added `b.webp`');
+    expect(output).not.toContain('- Added `a.webp`');
+    expect(output).toContain('Would tag 1 new image(s) with "1_0_1"');
+    await expect(publish(root, ['patch', '--dry-run', '--since', 'missing'])).rejects.toThrow('Unknown git ref "missing"');
+  });
+
+  test('stops before changing anything when the tests fail', async () => {
+    const packagePath = path.join(root, 'package.json');
+    writeJson(packagePath, { ...JSON.parse(fs.readFileSync(packagePath, 'utf-8')), scripts: { test: 'node -e "process.exit(1)"' } });
+    git(root, ['commit', '--quiet', '--all', '-m', 'Break the tests']);
+
+    await expect(publish(root, ['patch'])).rejects.toThrow('The tests failed; nothing was released.');
+    expect(git(root, ['status', '--porcelain'])).toBe('');
+    expect(git(root, ['tag', '--list'])).toBe('');
+  });
+
+  test('commits, tags and publishes the release to the registry', async () => {
+    git(root, ['tag', 'v1.0.0']);
+    commitImage(root, 'b.webp');
+    const registry = await startRegistry();
+    try {
+      fs.writeFileSync(path.join(root, '.npmrc'), `${registry.url.replace('http:', '')}:_authToken=test-token\n`);
+
+      const dryRunOutput = await publish(root, ['patch', '--dry-run', '--registry', registry.url]);
+      expect(dryRunOutput).toContain('images compared with v1.0.0');
+      expect(dryRunOutput).toContain(`publish to ${registry.url}`);
+      expect(git(root, ['status', '--porcelain'])).toBe('');
+      expect(registry.published).toEqual([]);
+
+      const output = await publish(root, ['patch', '--registry', registry.url]);
+      expect(output).toContain('Package published successfully!');
+    } finally {
+      await registry.close();
+    }
+
+    expect(registry.published).toHaveLength(1);
+    expect(registry.published[0]).toMatchObject({ name: 'image-set-publish-test', 'dist-tags': { latest: '1.0.1' } });
+    expect(git(root, ['log', '-1', '--format=%s'])).toBe('Release v1.0.1');
+    expect(git(root, ['tag', '--list', '--points-at', 'HEAD'])).toBe('v1.0.1');
+    expect(git(root, ['status', '--porcelain'])).toBe('');
+
+    const metadata = JSON.parse(git(root, ['show', 'HEAD:src/image-metadata.json']));
+    expect(metadata.images).toEqual([
+      { filename: 'a.webp', label: 'A', tags: [] },
+      { filename: 'b.webp', label: 'b.webp', tags: ['1_0_1'], addedIn: '1.0.1' },
+    ]);
+    expect(JSON.parse(git(root, ['show', 'HEAD:src/tag-config.json'])).version).toEqual([
+      { name: '1_0_1', title: 'Version 1.0.1', description: 'Images first released in version 1.0.1' },
+    ]);
+    expect(git(root, ['show', 'HEAD:package.json'])).toContain('"version": "1.0.1"');
+    expect(git(root, ['show', 'HEAD:CHANGELOG.md'])).toMatch(/## \[1\.0\.1\] - \d{4}-\d{2}-\d{2}\n\n### Added\n- Image A\n\n### Images\n- Added `b\.webp`/);
+  }, 60000);
+});
@@ -0,0 +1,76 @@
+// @ts-check
+const fs = require('fs');
+const { getImageSetFromArgs } = require('./lib/image-set-options');
+const { migrateFile, validateFile } = require('../src/schema');
+
+/**
+ * Prints a section of the validation report if it has any entries.
+ * @param {string} title - The heading of the section.
+ * @param {string[]} lines - The entries to print.
+ */
+function printSection(title, lines) {
+  if (lines.length === 0) return;
+  console.log(`${title} (${lines.length}):`);
+  for (const line of lines) {
+    console.log(`  - ${line}`);
+  }
+}
+
+/**
+ * Checks a JSON file of the image set against its schema, after upgrading it to the current schema version.
+ * @param {'metadata'|'tagConfig'} file - The file to check.
+ * @param {string} filePath - The path of the file.
+ * @returns {string[]} The problems found; empty if the file is valid or does not exist.
+ */
+function checkSchema(file, filePath) {
+  try {
+    return validateFile(file, migrateFile(file, JSON.parse(fs.readFileSync(filePath, 'utf8'))).data);
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') return [];
+    return [error instanceof Error ? error.message : String(error)];
+  }
+}
+
+/**
+ * Validates the image set and sets a non-zero exit code if any problems are found.
+ * Images without alt text are a warning, unless `--require-alt-text` is passed.
+ */
+function validate() {
+  const imageSet = getImageSetFromArgs();
+  const { metadataPath, tagConfigPath } = imageSet.getImageSetPaths();
+  const schemaErrors = {
+    metadata: checkSchema('metadata', metadataPath),
+    tagConfig: checkSchema('tagConfig', tagConfigPath),
+  };
+  const imageSetReport = imageSet.validateImageSet();
+  const requireAltText = process.argv.includes('--require-alt-text');
+  const report = {
+    ...imageSetReport,
+    schemaErrors,
+    valid: imageSetReport.valid && schemaErrors.metadata.length === 0 && schemaErrors.tagConfig.length === 0
+      && (!requireAltText || imageSetReport.missingAltText.length === 0),
+  };
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printSection('image-metadata.json does not match its schema', schemaErrors.metadata);
+    printSection('tag-config.json does not match its schema', schemaErrors.tagConfig);
+    printSection('Metadata entries without an image file', report.missingFiles);
+    printSection('Image files without metadata', report.untrackedFiles);
+    printSection('Tags not defined in tag-config.json', report.unknownTags.map(({ filename, tag }) => `${filename}: ${tag}`));
+    printSection('Tag names defined more than once', report.duplicateTags.map(({ name, categories }) => `${name}: ${categories.join(', ')}`));
+    printSection('Duplicate metadata entries', report.duplicateFilenames);
+    printSection('Tag category rules not met', report.ruleViolations.map(({ filename, category, rule, tags }) => (
+      rule === 'required' ? `${filename}: needs a tag from ${category}` : `${filename}: only one tag allowed from ${category}, got ${tags.join(', ')}`
+    )));
+    printSection(requireAltText ? 'Images without alt text' : 'Warning: images without alt text', report.missingAltText);
+    console.log(report.valid ? 'Image set is valid.' : 'Image set validation failed.');
+  }
+
+  if (!report.valid) {
+    process.exitCode = 1;
+  }
+}
+
+validate();
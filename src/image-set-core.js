@@ -0,0 +1,606 @@
+const { splitTagConfig, buildTagCategories, checkCategoryRules } = require('./tag-categories');
+const { hammingDistance, isComparableHash } = require('./similarity');
+const { parseVersion, compareVersions } = require('./versions');
+const { translateTag, translateImage } = require('./locales');
+
+/**
+ * @typedef {Object} ImageSetIndex
+ * @property {TagConfig} tagConfig - The tag configuration
+ * @property {TagCategory[]} categories - The tag categories with their definitions
+ * @property {Tag[]} allTags - All tags across all categories
+ * @property {ResolvedImageMetadata[]} metadata - The metadata of all images
+ * @property {Map<string, ResolvedImageMetadata>} byFilename - Image metadata by filename
+ * @property {Map<string, ResolvedImageMetadata[]>} byTag - Image metadata by tag name
+ */
+
+/** @type {Record<string, string>} */
+const mimeTypes = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+};
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {string} filename - The name of the image file
+ * @property {string} label - User-defined label for the image
+ * @property {string[]} tags - Array of tag names associated with the image
+ * @property {number} [width] - Width of the image in pixels
+ * @property {number} [height] - Height of the image in pixels
+ * @property {number} [aspectRatio] - Width divided by height
+ * @property {number} [bytes] - Size of the image file in bytes
+ * @property {string} [dominantColor] - Dominant color of the image as a hex string (e.g. `#1a2b3c`)
+ * @property {string} [blurDataURL] - Tiny base64 encoded WebP placeholder, usable as `next/image`'s `blurDataURL`
+ * @property {ImageVariant[]} [variants] - Resized and re-encoded copies of the image
+ * @property {string} [perceptualHash] - 64-bit difference hash of the image as 16 hex digits, used to find near-duplicates
+ * @property {OriginalFile} [original] - The archived original the image was compressed from
+ * @property {'webp'|'avif'|'svg'} [format] - The format of the image file; SVGs are served as they are
+ * @property {number} [frames] - The number of frames of an animated image
+ * @property {string} [addedIn] - The package version the image was first released in, set by the publish script
+ * @property {'needs-review'} [status] - Set on images added by watch mode until they are tagged
+ * @property {string} [alt] - Alternative text describing the image for screen readers, used by `getImageProps()` instead of the label
+ * @property {string} [description] - Long description of the image, e.g. for a caption
+ * @property {string} [credit] - The author or credit line of the image
+ * @property {string} [license] - The license of the image, e.g. an SPDX identifier such as `CC-BY-4.0`
+ * @property {string} [prompt] - The prompt the image was generated from
+ * @property {string} [model] - The model and version the image was generated with, e.g. `Midjourney v6`
+ * @property {number} [seed] - The seed the image was generated with
+ * @property {string} [jobId] - The ID of the job that generated the image, e.g. of Midjourney, read from the file when it was compressed
+ * @property {string} [createdAt] - When the image was created or taken as an ISO 8601 date, read from the file when it was compressed
+ * @property {string[]} [suggestedTags] - Tags suggested from the prompt of the image while it is not tagged yet
+ * @property {Translations<ImageTranslation>} [translations] - The label, alt text and description in other locales
+ */
+
+/**
+ * @typedef {Object} OriginalFile
+ * @property {string} filename - The relative path of the original in the originals archive
+ * @property {string} checksum - The SHA-256 checksum of the original as `sha256-<hex digest>`
+ * @property {number} bytes - Size of the original in bytes
+ */
+
+/**
+ * @typedef {Omit<ImageMetadata, 'tags'> & { tags: Tag[] }} ResolvedImageMetadata
+ * Image metadata with tag names replaced by the full tags from the tag configuration
+ */
+
+/**
+ * @typedef {Object} ImageVariant
+ * @property {string} filename - The relative path of the variant file, with `/` as separator on every platform
+ * @property {number} width - Width of the variant in pixels
+ * @property {number} height - Height of the variant in pixels
+ * @property {'webp'|'avif'} format - The encoding of the variant
+ * @property {number} bytes - Size of the variant file in bytes
+ */
+
+/**
+ * @typedef {Object} ImageSource
+ * @property {string} filename - The relative path of the file
+ * @property {number} width - Width of the file in pixels
+ * @property {number} height - Height of the file in pixels
+ * @property {'webp'|'avif'|'svg'} format - The encoding of the file
+ * @property {string} type - The MIME type of the file, usable in a `<source type>` attribute
+ */
+
+/**
+ * @typedef {Object} ImageProps
+ * @property {string} src - The URL of the image
+ * @property {number|undefined} width - Width of the image in pixels, undefined if not recorded yet
+ * @property {number|undefined} height - Height of the image in pixels, undefined if not recorded yet
+ * @property {string} alt - The alternative text of the image, or its label if it has none
+ */
+
+/**
+ * @typedef {Object} SimilarImage
+ * @property {ResolvedImageMetadata} image - The metadata of the similar image
+ * @property {number} distance - The Hamming distance between the perceptual hashes, 0 for identical hashes
+ */
+
+/**
+ * @typedef {Object} Tag
+ * @property {string} name - The name of the tag (used as identifier)
+ * @property {string} title - The display title of the tag
+ * @property {string} description - User-defined description of the tag
+ * @property {Translations<TagTranslation>} [translations] - The title and description in other locales
+ */
+
+/**
+ * @typedef {import('./locales').ImageTranslation} ImageTranslation
+ * @typedef {import('./locales').TagTranslation} TagTranslation
+ */
+
+/**
+ * @template T
+ * @typedef {import('./locales').Translations<T>} Translations
+ */
+
+/**
+ * @typedef {Object} LocaleOptions
+ * @property {string} [locale] - The locale to translate the labels, alt texts, tag titles and descriptions to, e.g. `ja`
+ * or `fr-CA`. Text without a translation in the locale, or in its language, falls back to the text in the metadata and
+ * tag configuration, in the fallback locale of the image set. Without a locale that text is returned as it is.
+ */
+
+/**
+ * Tags by category name. The template defines `subject`, `version` and `general`, but any categories may be used.
+ * @typedef {Record<string, Tag[]>} TagConfig
+ */
+
+/**
+ * @typedef {import('./tag-categories').TagCategory} TagCategory
+ * @typedef {import('./tag-categories').TagCategoryDefinition} TagCategoryDefinition
+ * @typedef {import('./tag-categories').TagConfigFile} TagConfigFile
+ */
+
+/**
+ * @typedef {Object} TagDuplicate
+ * @property {string} name - The duplicated tag name
+ * @property {string[]} categories - Every category the tag name is defined in (repeated if duplicated within one)
+ */
+
+/**
+ * @typedef {Object} UnknownTagReference
+ * @property {string} filename - The image referencing the tag
+ * @property {string} tag - The tag name that is not defined in the tag configuration
+ */
+
+/**
+ * @typedef {Object} CategoryRuleViolation
+ * @property {string} filename - The image breaking the rule
+ * @property {string} category - The category whose rule is broken
+ * @property {'required'|'single-select'} rule - The broken rule
+ * @property {string[]} tags - The tags the image has from the category
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - True when no problems were found
+ * @property {string[]} missingFiles - Metadata entries whose image file does not exist
+ * @property {string[]} untrackedFiles - Image files that have no metadata entry
+ * @property {UnknownTagReference[]} unknownTags - Tag names used in metadata but not defined in the tag configuration
+ * @property {TagDuplicate[]} duplicateTags - Tag names defined more than once in the tag configuration
+ * @property {string[]} duplicateFilenames - Filenames that have more than one metadata entry
+ * @property {CategoryRuleViolation[]} ruleViolations - Images breaking the `required` or `singleSelect` rule of a category
+ * @property {string[]} missingAltText - Images without alt text; a warning that does not make the image set invalid
+ */
+
+/**
+ * @typedef {Object} ImageQuery
+ * @property {string[]} [allTags] - Only include images that have every one of these tags
+ * @property {string[]} [anyTags] - Only include images that have at least one of these tags
+ * @property {string[]} [noneTags] - Exclude images that have any of these tags
+ * @property {string} [category] - Only include images that have at least one tag from this category
+ * @property {string} [label] - Only include images whose label contains this text (case-insensitive)
+ * @property {'filename'|'label'|'width'|'height'|'bytes'} [sortBy] - Field to sort the results by (defaults to metadata order)
+ * @property {'asc'|'desc'} [order] - Sort order (defaults to asc)
+ * @property {number} [offset] - Number of results to skip
+ * @property {number} [limit] - Maximum number of results to return
+ * @property {string} [locale] - The locale to translate the results to, see {@link LocaleOptions}; the label filter and
+ * sorting by label use the translated labels
+ */
+
+/**
+ * Where the queries of an image set read its data from. Node reads the JSON files and the image directory,
+ * browsers read a pre-resolved manifest.
+ * @typedef {Object} ImageSetSource
+ * @property {string} name - The name of the image set
+ * @property {() => TagConfigFile} readTagConfig - Reads the tag configuration
+ * @property {() => ImageMetadata[]} readMetadata - Reads the image metadata, with tag names
+ * @property {() => string[]} listImages - Lists the relative paths of the image files
+ */
+
+/**
+ * @typedef {ReturnType<typeof createImageSetQueries>} ImageSetQueries
+ */
+
+/**
+ * Gets the format of an image from the extension of its filename.
+ * @param {string} filename - The relative path of the image.
+ * @returns {'webp'|'avif'|'svg'} The format.
+ */
+function getFormat(filename) {
+  const match = /\.([^./\\]+)$/.exec(filename);
+  return /** @type {'webp'|'avif'|'svg'} */ (match ? match[1] : '');
+}
+
+/**
+ * Gets the URL of an image file.
+ * @param {string} basePath - The URL the image directory is served from.
+ * @param {string} filename - The relative path of the file, with `/` or `\` as separator.
+ * @returns {string} The URL.
+ */
+function getUrl(basePath, filename) {
+  return `${basePath}/${filename.replace(/\\/g, '/')}`;
+}
+
+/**
+ * Copies the JSON data of the index, such as images and tags, with everything nested in it, so callers changing
+ * the copy cannot change the index.
+ * @template T
+ * @param {T} value - The value to copy.
+ * @returns {T} The copy.
+ */
+function copyData(value) {
+  if (Array.isArray(value)) return /** @type {T} */ (/** @type {unknown} */ (value.map(copyData)));
+  if (!value || typeof value !== 'object') return value;
+
+  /** @type {Record<string, unknown>} */
+  const copy = {};
+  for (const key of Object.keys(value)) {
+    copy[key] = copyData(/** @type {Record<string, unknown>} */ (value)[key]);
+  }
+  return /** @type {T} */ (copy);
+}
+
+/**
+ * Creates the queries of an image set over the given source. This module does not use any Node built-ins,
+ * so it can be bundled for browsers; see `index.js` for the image sets backed by files.
+ * @param {ImageSetSource} source - Where the image set is read from.
+ */
+function createImageSetQueries(source) {
+  /** @type {ImageSetIndex|null} */
+  let index = null;
+
+  /**
+   * Gets the name of the image set.
+   * @returns {string} The name of the image set.
+   */
+  function getImageSetName() {
+    return source.name;
+  }
+
+  /**
+   * Gets the in-memory index of the image set, reading the metadata and tag configuration on first use.
+   * @returns {ImageSetIndex} The loaded index.
+   */
+  function loadIndex() {
+    if (index) return index;
+
+    const { tagConfig, definitions } = splitTagConfig(source.readTagConfig());
+    const categories = buildTagCategories(tagConfig, definitions);
+    const allTags = Object.values(tagConfig).flat();
+    /** @type {Map<string, Tag>} */
+    const tagsByName = new Map();
+    for (const tag of allTags) {
+      if (!tagsByName.has(tag.name)) tagsByName.set(tag.name, tag);
+    }
+
+    const metadata = source.readMetadata().map(item => ({
+      ...item,
+      format: item.format || getFormat(item.filename),
+      tags: item.tags.map(tagName => tagsByName.get(tagName) || { name: tagName, title: tagName, description: '' })
+    }));
+
+    /** @type {Map<string, ResolvedImageMetadata>} */
+    const byFilename = new Map();
+    /** @type {Map<string, ResolvedImageMetadata[]>} */
+    const byTag = new Map();
+    for (const image of metadata) {
+      if (!byFilename.has(image.filename)) byFilename.set(image.filename, image);
+      for (const tag of image.tags) {
+        let tagged = byTag.get(tag.name);
+        if (!tagged) {
+          tagged = [];
+          byTag.set(tag.name, tagged);
+        }
+        tagged.push(image);
+      }
+    }
+
+    index = { tagConfig, categories, allTags, metadata, byFilename, byTag };
+    return index;
+  }
+
+  /**
+   * Discards the in-memory index, so the metadata and tag configuration are read again on next use.
+   * @returns {void}
+   */
+  function discardIndex() {
+    index = null;
+  }
+
+  /**
+   * Discards the in-memory index and reads the metadata and tag configuration again.
+   * Call this after the JSON files were changed while the process is running.
+   * @returns {void}
+   */
+  function reload() {
+    discardIndex();
+    loadIndex();
+  }
+
+  /**
+   * Gets the metadata for all images.
+   * @param {LocaleOptions} [options]
+   * @returns {ResolvedImageMetadata[]} Copies of the image metadata objects.
+   */
+  function getImageMetadata({ locale } = {}) {
+    return loadIndex().metadata.map(image => copyData(translateImage(image, locale)));
+  }
+
+  /**
+   * Gets the tag configuration.
+   * @param {LocaleOptions} [options]
+   * @returns {TagConfig} A copy of the tag configuration object, so changing it does not change later results.
+   */
+  function getTagConfig({ locale } = {}) {
+    return Object.fromEntries(Object.entries(loadIndex().tagConfig)
+      .map(([category, tags]) => [category, tags.map(tag => copyData(translateTag(tag, locale)))]));
+  }
+
+  /**
+   * Gets the tag categories with their titles, descriptions, rules and tags.
+   * @returns {TagCategory[]} Copies of the categories in configuration order.
+   */
+  function getTagCategories() {
+    return copyData(loadIndex().categories);
+  }
+
+  /**
+   * Gets all available tags across all categories.
+   * @param {LocaleOptions} [options]
+   * @returns {Tag[]} Copies of all tags.
+   */
+  function getAllTags({ locale } = {}) {
+    return loadIndex().allTags.map(tag => copyData(translateTag(tag, locale)));
+  }
+
+  /**
+   * Gets metadata for a specific image.
+   * @param {string} imagePath - The relative path of the image.
+   * @param {LocaleOptions} [options]
+   * @returns {ResolvedImageMetadata|undefined} A copy of the metadata for the specified image, or undefined if not found.
+   */
+  function getImageMetadataByPath(imagePath, { locale } = {}) {
+    const image = loadIndex().byFilename.get(imagePath);
+    return image && copyData(translateImage(image, locale));
+  }
+
+  /**
+   * Gets the metadata of all images with a specific tag.
+   * @param {string} tagName - The name of the tag.
+   * @returns {ResolvedImageMetadata[]} Copies of the metadata of the tagged images, in metadata order.
+   */
+  function getImagesByTag(tagName) {
+    return (loadIndex().byTag.get(tagName) || []).map(copyData);
+  }
+
+  /**
+   * Gets the images first released after a version of the package, e.g. to highlight new artwork.
+   * Images without a valid `addedIn` version are never included.
+   * @param {string} version - The version to compare with, e.g. `2.0.0`.
+   * @returns {ResolvedImageMetadata[]} Copies of the metadata of the images added in a later version, in metadata order.
+   * @throws {Error} If the version is not a plain `MAJOR.MINOR.PATCH` version.
+   */
+  function getImagesAddedSince(version) {
+    if (!parseVersion(version)) {
+      throw new Error(`Invalid version "${version}": expected MAJOR.MINOR.PATCH.`);
+    }
+    return loadIndex().metadata.filter(image => image.addedIn !== undefined && parseVersion(image.addedIn) !== null
+      && compareVersions(image.addedIn, version) > 0).map(copyData);
+  }
+
+  /**
+   * Finds images matching the given tag, category and label filters.
+   * @param {ImageQuery} [query] - The filters, sorting and pagination to apply.
+   * @returns {ResolvedImageMetadata[]} The metadata of the matching images.
+   */
+  function queryImages({
+    allTags = [],
+    anyTags = [],
+    noneTags = [],
+    category,
+    label,
+    sortBy,
+    order = 'asc',
+    offset = 0,
+    limit = Infinity,
+    locale,
+  } = {}) {
+    const categoryTags = category ? (getTagConfig()[category] || []).map(tag => tag.name) : [];
+    const labelText = label ? label.toLowerCase() : '';
+
+    const results = getImageMetadata({ locale }).filter(image => {
+      const tagNames = image.tags.map(tag => tag.name);
+      return allTags.every(tag => tagNames.includes(tag))
+        && (anyTags.length === 0 || anyTags.some(tag => tagNames.includes(tag)))
+        && !noneTags.some(tag => tagNames.includes(tag))
+        && (!category || categoryTags.some(tag => tagNames.includes(tag)))
+        && (!labelText || image.label.toLowerCase().includes(labelText));
+    });
+
+    if (sortBy) {
+      const direction = order === 'desc' ? -1 : 1;
+      results.sort((a, b) => {
+        const valueA = a[sortBy];
+        const valueB = b[sortBy];
+        if (valueA === undefined || valueB === undefined) {
+          // Images without the field always go last
+          return Number(valueA === undefined) - Number(valueB === undefined);
+        }
+        return direction * (typeof valueA === 'number' && typeof valueB === 'number'
+          ? valueA - valueB
+          : String(valueA).localeCompare(String(valueB)));
+      });
+    }
+
+    return results.slice(offset, offset + limit);
+  }
+
+  /**
+   * Gets the original file and all generated variants of an image, ordered by format and then by width.
+   * @param {string} imagePath - The relative path of the image.
+   * @returns {ImageSource[]} The available sources, or an empty array if the image has no metadata.
+   */
+  function getImageSources(imagePath) {
+    const image = getImageMetadataByPath(imagePath);
+    if (!image) return [];
+
+    /** @type {Omit<ImageSource, 'type'>[]} */
+    const sources = [...(image.variants || [])];
+    const format = image.format || getFormat(image.filename);
+    if (image.width && image.height && !sources.some(source => source.format === format && source.width === image.width)) {
+      sources.push({ filename: image.filename, width: image.width, height: image.height, format });
+    }
+
+    return sources
+      .map(source => ({
+        filename: source.filename,
+        width: source.width,
+        height: source.height,
+        format: source.format,
+        type: mimeTypes[source.format],
+      }))
+      .sort((a, b) => a.format.localeCompare(b.format) || a.width - b.width);
+  }
+
+  /**
+   * Builds a `srcset` attribute value for an image from its sources of the given format.
+   * @param {string} imagePath - The relative path of the image.
+   * @param {Object} [options]
+   * @param {'webp'|'avif'|'svg'} [options.format] - The format of the sources to include (defaults to webp).
+   * @param {string} [options.basePath] - The URL the image directory is served from (defaults to `/images/<image set name>`).
+   * @returns {string} The srcset value, or an empty string if the image has no sources of that format.
+   */
+  function getSrcSet(imagePath, { format = 'webp', basePath = `/images/${source.name}` } = {}) {
+    return getImageSources(imagePath)
+      .filter(source => source.format === format)
+      .map(source => `${getUrl(basePath, source.filename)} ${source.width}w`)
+      .join(', ');
+  }
+
+  /**
+   * Gets the props to render an image with `next/image` or an `<img>` element.
+   * @param {string} imagePath - The relative path of the image.
+   * @param {Object} [options]
+   * @param {string} [options.basePath] - The URL the image directory is served from (defaults to `/images/<image set name>`,
+   * where `withImageSet()` serves it).
+   * @param {string} [options.locale] - The locale to translate the alternative text to, see {@link LocaleOptions}.
+   * @returns {ImageProps} The `src`, `width`, `height` and `alt` of the image.
+   * @throws {Error} If the image has no metadata.
+   */
+  function getImageProps(imagePath, { basePath = `/images/${source.name}`, locale } = {}) {
+    const image = getImageMetadataByPath(imagePath, { locale });
+    if (!image) throw new Error(`No metadata found for image "${imagePath}".`);
+
+    return {
+      src: getUrl(basePath, image.filename),
+      width: image.width,
+      height: image.height,
+      alt: image.alt || image.label,
+    };
+  }
+
+  /**
+   * Finds the images that look most like the given image, by comparing their perceptual hashes.
+   * @param {string} imagePath - The relative path of the image.
+   * @param {Object} [options]
+   * @param {number} [options.maxDistance] - Only include images within this Hamming distance (defaults to all images).
+   * @param {number} [options.limit] - The maximum number of images to return.
+   * @returns {SimilarImage[]} Copies of the other images with a comparable perceptual hash, most similar first,
+   * or an empty array if the image has no comparable perceptual hash. Hashes of another size are left out.
+   */
+  function findSimilarImages(imagePath, { maxDistance = Infinity, limit = Infinity } = {}) {
+    const image = getImageMetadataByPath(imagePath);
+    if (!image || !isComparableHash(image.perceptualHash)) return [];
+    const { perceptualHash } = image;
+
+    return loadIndex().metadata
+      .filter(other => other.filename !== image.filename && isComparableHash(other.perceptualHash))
+      .map(other => ({ image: other, distance: hammingDistance(perceptualHash, String(other.perceptualHash)) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map(({ image: other, distance }) => ({ image: copyData(other), distance }));
+  }
+
+  /**
+   * Cross-checks the image metadata, the tag configuration and the image directory.
+   * @returns {ValidationReport} A report listing every inconsistency found.
+   */
+  function validateImageSet() {
+    const images = source.listImages();
+    const metadata = getImageMetadata();
+    const tagConfig = getTagConfig();
+    const metadataFilenames = metadata.map(item => item.filename);
+
+    /** @type {Map<string, string[]>} */
+    const tagCategories = new Map();
+    for (const [category, tags] of Object.entries(tagConfig)) {
+      for (const tag of tags) {
+        tagCategories.set(tag.name, [...(tagCategories.get(tag.name) || []), category]);
+      }
+    }
+
+    const missingFiles = metadataFilenames.filter(filename => !images.includes(filename));
+    const untrackedFiles = images.filter(image => !metadataFilenames.includes(image));
+    const duplicateFilenames = metadataFilenames.filter((filename, index) =>
+      metadataFilenames.indexOf(filename) !== index && metadataFilenames.indexOf(filename, index + 1) === -1
+    );
+
+    /** @type {UnknownTagReference[]} */
+    const unknownTags = [];
+    for (const item of metadata) {
+      for (const tag of item.tags) {
+        if (!tagCategories.has(tag.name)) {
+          unknownTags.push({ filename: item.filename, tag: tag.name });
+        }
+      }
+    }
+
+    /** @type {TagDuplicate[]} */
+    const duplicateTags = [];
+    for (const [name, categories] of tagCategories) {
+      if (categories.length > 1) {
+        duplicateTags.push({ name, categories });
+      }
+    }
+
+    const categories = getTagCategories();
+    /** @type {CategoryRuleViolation[]} */
+    const ruleViolations = metadata.flatMap(item => checkCategoryRules(item.tags.map(tag => tag.name), categories)
+      .map(violation => ({ filename: item.filename, ...violation })));
+    const missingAltText = metadata.filter(item => !item.alt || !item.alt.trim()).map(item => item.filename);
+
+    return {
+      valid: missingFiles.length === 0
+        && untrackedFiles.length === 0
+        && unknownTags.length === 0
+        && duplicateTags.length === 0
+        && duplicateFilenames.length === 0
+        && ruleViolations.length === 0,
+      missingFiles,
+      untrackedFiles,
+      unknownTags,
+      duplicateTags,
+      duplicateFilenames,
+      ruleViolations,
+      missingAltText,
+    };
+  }
+
+  return {
+    getImageList: source.listImages,
+    getImageSetName,
+    getImageMetadata,
+    getTagConfig,
+    getTagCategories,
+    getAllTags,
+    getImageMetadataByPath,
+    getImagesByTag,
+    getImagesAddedSince,
+    queryImages,
+    getImageSources,
+    getSrcSet,
+    getImageProps,
+    findSimilarImages,
+    validateImageSet,
+    reload,
+    discardIndex,
+  };
+}
+
+module.exports = {
+  mimeTypes,
+  getFormat,
+  createImageSetQueries,
+};
@@ -1,131 +1,181 @@
 const fs = require('fs');
 const path = require('path');
-const packageJson = require('../package.json');
+const { mimeTypes, createImageSetQueries } = require('./image-set-core');
+const { readMetadataFileLeniently, readTagConfigFileLeniently } = require('./schema');
 
 /**
- * @type {string}
+ * @typedef {import('./image-set-core').ImageMetadata} ImageMetadata
+ * @typedef {import('./image-set-core').OriginalFile} OriginalFile
+ * @typedef {import('./image-set-core').ResolvedImageMetadata} ResolvedImageMetadata
+ * @typedef {import('./image-set-core').ImageVariant} ImageVariant
+ * @typedef {import('./image-set-core').ImageSource} ImageSource
+ * @typedef {import('./image-set-core').ImageProps} ImageProps
+ * @typedef {import('./image-set-core').SimilarImage} SimilarImage
+ * @typedef {import('./image-set-core').Tag} Tag
+ * @typedef {import('./image-set-core').TagConfig} TagConfig
+ * @typedef {import('./image-set-core').TagCategory} TagCategory
+ * @typedef {import('./image-set-core').TagCategoryDefinition} TagCategoryDefinition
+ * @typedef {import('./image-set-core').TagDuplicate} TagDuplicate
+ * @typedef {import('./image-set-core').UnknownTagReference} UnknownTagReference
+ * @typedef {import('./image-set-core').CategoryRuleViolation} CategoryRuleViolation
+ * @typedef {import('./image-set-core').ValidationReport} ValidationReport
+ * @typedef {import('./image-set-core').ImageQuery} ImageQuery
+ * @typedef {import('./image-set-core').LocaleOptions} LocaleOptions
+ * @typedef {import('./image-set-core').ImageTranslation} ImageTranslation
+ * @typedef {import('./image-set-core').TagTranslation} TagTranslation
  */
-const imageSetName = packageJson.name.replace(/^@.*\//, ''); // Removes scope if present
-const imageSetDir = path.join(__dirname, '..', 'public', 'images');
-const metadataPath = path.join(__dirname, '..', 'src', 'image-metadata.json');
-const tagConfigPath = path.join(__dirname, '..', 'src', 'tag-config.json');
 
 /**
- * @typedef {Object} ImageMetadata
- * @property {string} filename - The name of the image file
- * @property {string} label - User-defined label for the image
- * @property {string[]} tags - Array of tag names associated with the image
+ * @typedef {Object} ImageSetOptions
+ * @property {string} [root] - The directory containing `public/images` and the `src` JSON files (defaults to the root of this package)
+ * @property {string} [name] - The name of the image set (defaults to the name in the root's `package.json`, or the name of the root directory)
  */
 
 /**
- * @typedef {Object} Tag
- * @property {string} name - The name of the tag (used as identifier)
- * @property {string} title - The display title of the tag
- * @property {string} description - User-defined description of the tag
+ * @typedef {Object} ImageSetPaths
+ * @property {string} root - The root directory of the image set
+ * @property {string} imagesDir - The directory containing the images
+ * @property {string} variantsDir - The directory containing the generated image variants
+ * @property {string} metadataPath - The path of `image-metadata.json`
+ * @property {string} tagConfigPath - The path of `tag-config.json`
+ * @property {string} configPath - The path of `image-set.config.json`
+ * @property {string} backupsDir - The directory holding backups of the metadata and tag configuration
  */
 
 /**
- * @typedef {Object} TagConfig
- * @property {Tag[]} subject - Tags related to the subject of the image
- * @property {Tag[]} version - Tags related to the version of the image set
- * @property {Tag[]} general - General tags and newly added tags
+ * @typedef {ReturnType<typeof createImageSet>} ImageSet
  */
 
 /**
- * Recursively gets a list of image files in the given directory.
- * @param {string} [dir] - The directory to search (defaults to imageSetDir).
- * @returns {string[]} An array of relative file paths.
- */
-function getImageList(dir = imageSetDir) {
-  /** @type {string[]} */
-  let results = [];
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      results = results.concat(getImageList(fullPath));
-    } else if (entry.isFile() && entry.name.endsWith('.webp')) {
-      results.push(path.relative(imageSetDir, fullPath));
-    }
-  }
-
-  return results;
-}
-
-/**
- * Gets the name of the image set.
+ * Gets the default name of an image set: the name in its root's package.json, or the name of its root directory.
+ * @param {string} root - The root directory of the image set.
  * @returns {string} The name of the image set.
  */
-function getImageSetName() {
-  return imageSetName;
-}
-
-/**
- * Gets the metadata for all images.
- * @returns {ImageMetadata[]} An array of image metadata objects.
- */
-function getImageMetadata() {
+function getDefaultImageSetName(root) {
   try {
-    const data = fs.readFileSync(metadataPath, 'utf8');
-    const metadata = JSON.parse(data);
-    const allTags = getAllTags();
-
-    return metadata.map(item => ({
-      ...item,
-      tags: item.tags.map(tagName => {
-        const fullTag = allTags.find(t => t.name === tagName);
-        return fullTag || { name: tagName, title: tagName, description: '' };
-      })
-    }));
+    const packageJson = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    return packageJson.name.replace(/^@.*\//, ''); // Removes scope if present
   } catch (error) {
-    console.error('Error reading metadata:', error);
-    return [];
+    return path.basename(root);
   }
 }
 
 /**
- * Gets the tag configuration.
- * @returns {TagConfig} The tag configuration object.
+ * Creates an image set backed by the images and JSON files in the given root directory.
+ * Every image set keeps its own in-memory index, so several sets can be used side by side.
+ * @param {ImageSetOptions} [options] - The location and name of the image set.
  */
-function getTagConfig() {
-  try {
-    const data = fs.readFileSync(tagConfigPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading tag config:', error);
-    return { subject: [], version: [], general: [] };
+function createImageSet({ root = path.join(__dirname, '..'), name } = {}) {
+  const imageSetName = name || getDefaultImageSetName(root);
+  const imageSetDir = path.join(root, 'public', 'images');
+  const metadataPath = path.join(root, 'src', 'image-metadata.json');
+  const tagConfigPath = path.join(root, 'src', 'tag-config.json');
+  const configPath = path.join(root, 'image-set.config.json');
+  const variantsDir = path.join(imageSetDir, '_variants');
+  const backupsDir = path.join(root, '.backups');
+
+  /**
+   * Gets the locations of the files of the image set.
+   * @returns {ImageSetPaths} The paths of the image set.
+   */
+  function getImageSetPaths() {
+    return { root, imagesDir: imageSetDir, variantsDir, metadataPath, tagConfigPath, configPath, backupsDir };
   }
-}
 
-/**
- * Gets all available tags across all categories.
- * @returns {Tag[]} An array of all tags.
- */
-function getAllTags() {
-  const tagConfig = getTagConfig();
-  return [
-    ...tagConfig.subject,
-    ...tagConfig.version,
-    ...tagConfig.general
-  ];
-}
+  /**
+   * Recursively gets a list of the WebP and AVIF images in the given directory.
+   * Generated variants are not included, see {@link getImageSources}.
+   * @param {string} [dir] - The directory to search (defaults to imageSetDir).
+   * @returns {string[]} An array of relative file paths, with `/` as separator on every platform.
+   */
+  function getImageList(dir = imageSetDir) {
+    /** @type {string[]} */
+    let results = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
 
-/**
- * Gets metadata for a specific image.
- * @param {string} imagePath - The relative path of the image.
- * @returns {ImageMetadata|undefined} The metadata for the specified image, or undefined if not found.
- */
-function getImageMetadataByPath(imagePath) {
-  const allMetadata = getImageMetadata();
-  return allMetadata.find(img => img.filename === imagePath);
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (fullPath === variantsDir) continue;
+        results = results.concat(getImageList(fullPath));
+      } else if (entry.isFile() && Object.keys(mimeTypes).includes(path.extname(entry.name).slice(1))) {
+        results.push(path.relative(imageSetDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Reads the tag configuration from disk, upgrading older versions and validating it against its schema.
+   * Tags and category definitions that do not match the schema are left out and logged.
+   * @returns {import('./tag-categories').TagConfigFile} The categories of the tag configuration file.
+   */
+  function readTagConfig() {
+    try {
+      const data = fs.readFileSync(tagConfigPath, 'utf8');
+      const { categories, errors } = readTagConfigFileLeniently(JSON.parse(data));
+      if (errors.length > 0) console.error(`Skipped the entries of ${tagConfigPath} that do not match its schema: ${errors.join('; ')}`);
+      return categories;
+    } catch (error) {
+      console.error('Error reading tag config:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Reads the image metadata from disk, upgrading older versions and validating it against its schema.
+   * Images that do not match the schema are left out and logged.
+   * @returns {ImageMetadata[]} An array of image metadata objects with tag names.
+   */
+  function readMetadata() {
+    try {
+      const data = fs.readFileSync(metadataPath, 'utf8');
+      const { images, errors } = readMetadataFileLeniently(JSON.parse(data));
+      if (errors.length > 0) console.error(`Skipped the images of ${metadataPath} that do not match its schema: ${errors.join('; ')}`);
+      return images;
+    } catch (error) {
+      console.error('Error reading metadata:', error);
+      return [];
+    }
+  }
+
+  const queries = createImageSetQueries({ name: imageSetName, readTagConfig, readMetadata, listImages: () => getImageList() });
+
+  /**
+   * Watches the metadata and tag configuration files and discards the in-memory index whenever they change.
+   * Intended for development servers; the watchers do not keep the process alive.
+   * @param {() => void} [onChange] - Called after a change was detected.
+   * @returns {() => void} A function that stops watching.
+   */
+  function watchImageSet(onChange) {
+    const files = [metadataPath, tagConfigPath];
+    const watchers = [...new Set(files.map(file => path.dirname(file)))].map(dir =>
+      // Watch the directories rather than the files, so editors that replace files on save are picked up
+      fs.watch(dir, { persistent: false }, (eventType, filename) => {
+        if (filename && files.includes(path.join(dir, filename.toString()))) {
+          queries.discardIndex();
+          if (onChange) onChange();
+        }
+      })
+    );
+
+    return () => watchers.forEach(watcher => watcher.close());
+  }
+
+  const { discardIndex, ...publicQueries } = queries;
+
+  return {
+    getImageSetPaths,
+    ...publicQueries,
+    getImageList,
+    watchImageSet,
+  };
 }
 
+const defaultImageSet = createImageSet();
+
 module.exports = {
-  getImageList,
-  getImageSetName,
-  getImageMetadata,
-  getTagConfig,
-  getAllTags,
-  getImageMetadataByPath,
+  ...defaultImageSet,
+  createImageSet,
 };
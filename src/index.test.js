@@ -1,6 +1,7 @@
-const { getImageList, getImageSetName, getImageMetadata, getTagConfig, getAllTags, getImageMetadataByPath } = require('./index');
+const { getImageList, getImageSetName, getImageMetadata, getTagConfig, getTagCategories, getAllTags, getImageMetadataByPath, getImagesByTag, getImagesAddedSince, queryImages, getImageSources, getSrcSet, getImageProps, findSimilarImages, validateImageSet, reload, createImageSet } = require('./index');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 
 describe('Image Set Library', () => {
   test('getImageSetName returns a non-empty string', () => {
@@ -38,12 +39,24 @@ describe('Image Set Library', () => {
     });
   });
 
+  test('getImageMetadata includes dimensions, size and placeholder data', () => {
+    const metadata = getImageMetadata();
+    metadata.forEach(item => {
+      expect(Number.isInteger(item.width)).toBe(true);
+      expect(Number.isInteger(item.height)).toBe(true);
+      expect(item.width).toBeGreaterThan(0);
+      expect(item.height).toBeGreaterThan(0);
+      expect(item.aspectRatio).toBeCloseTo(item.width / item.height, 3);
+      expect(item.bytes).toBe(fs.statSync(path.join(__dirname, '..', 'public', 'images', item.filename)).size);
+      expect(item.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+      expect(item.blurDataURL).toMatch(/^data:image\/webp;base64,/);
+    });
+  });
+
   test('getTagConfig returns a valid tag configuration object', () => {
     const tagConfig = getTagConfig();
-    expect(tagConfig).toHaveProperty('subject');
-    expect(tagConfig).toHaveProperty('version');
-    expect(tagConfig).toHaveProperty('general');
-    ['subject', 'version', 'general'].forEach(category => {
+    expect(Object.keys(tagConfig)).toEqual(getTagCategories().map(category => category.name));
+    Object.keys(tagConfig).forEach(category => {
       expect(Array.isArray(tagConfig[category])).toBe(true);
       tagConfig[category].forEach(tag => {
         expect(tag).toHaveProperty('name');
@@ -53,10 +66,36 @@ describe('Image Set Library', () => {
     });
   });
 
+  test('getTagConfig returns a copy that callers cannot change the index through', () => {
+    const tagConfig = getTagConfig();
+    const [category] = Object.keys(tagConfig);
+    const { title } = tagConfig[category][0];
+    tagConfig[category][0].title = 'Changed';
+    tagConfig[category].push({ name: 'added', title: 'Added', description: '' });
+    delete tagConfig[category];
+
+    expect(getTagConfig()[category][0].title).toBe(title);
+    expect(getAllTags().map(tag => tag.name)).not.toContain('added');
+  });
+
+  test('getTagCategories returns every category with its definition and tags', () => {
+    const tagConfig = getTagConfig();
+    const categories = getTagCategories();
+    expect(categories.length).toBeGreaterThan(0);
+    categories.forEach(category => {
+      expect(typeof category.title).toBe('string');
+      expect(category.title.length).toBeGreaterThan(0);
+      expect(typeof category.description).toBe('string');
+      expect(typeof category.singleSelect).toBe('boolean');
+      expect(typeof category.required).toBe('boolean');
+      expect(category.tags).toEqual(tagConfig[category.name]);
+    });
+  });
+
   test('getAllTags returns an array of all tags', () => {
     const allTags = getAllTags();
     const tagConfig = getTagConfig();
-    const expectedTotalTags = tagConfig.subject.length + tagConfig.version.length + tagConfig.general.length;
+    const expectedTotalTags = Object.values(tagConfig).reduce((total, tags) => total + tags.length, 0);
     expect(Array.isArray(allTags)).toBe(true);
     expect(allTags.length).toBe(expectedTotalTags);
     allTags.forEach(tag => {
@@ -107,7 +146,7 @@ describe('Image Set Library', () => {
   test('All tags used in image metadata exist in tag configuration', () => {
     const metadata = getImageMetadata();
     const tagConfig = getTagConfig();
-    const allConfigTags = [...tagConfig.subject, ...tagConfig.version, ...tagConfig.general];
+    const allConfigTags = Object.values(tagConfig).flat();
 
     metadata.forEach(image => {
       image.tags.forEach(tag => {
@@ -135,10 +174,8 @@ describe('Image Set Library', () => {
     const tagConfig = getTagConfig();
 
     const categorizeTag = (tagName) => {
-      if (tagConfig.subject.some(t => t.name === tagName)) return 'subject';
-      if (tagConfig.version.some(t => t.name === tagName)) return 'version';
-      if (tagConfig.general.some(t => t.name === tagName)) return 'general';
-      return null;
+      const category = Object.keys(tagConfig).find(name => tagConfig[name].some(t => t.name === tagName));
+      return category || null;
     };
 
     metadata.forEach(image => {
@@ -148,4 +185,551 @@ describe('Image Set Library', () => {
       });
     });
   });
+
+  test('getImageList does not include generated variants', () => {
+    const images = getImageList();
+    images.forEach(imagePath => {
+      expect(imagePath.split(path.sep)[0]).not.toBe('_variants');
+    });
+  });
+
+  test('getImageSources returns the original and its variants ordered by format and width', () => {
+    const images = getImageList();
+    images.forEach(imagePath => {
+      const metadata = getImageMetadataByPath(imagePath);
+      const sources = getImageSources(imagePath);
+      expect(sources.length).toBe((metadata.variants || []).length + 1);
+      expect(sources).toContainEqual({
+        filename: imagePath,
+        width: metadata.width,
+        height: metadata.height,
+        format: 'webp',
+        type: 'image/webp',
+      });
+      sources.forEach((source, index) => {
+        const fullPath = path.join(__dirname, '..', 'public', 'images', source.filename);
+        expect(fs.existsSync(fullPath)).toBe(true);
+        expect(source.type).toBe(`image/${source.format}`);
+        if (index > 0 && sources[index - 1].format === source.format) {
+          expect(source.width).toBeGreaterThan(sources[index - 1].width);
+        }
+      });
+    });
+  });
+
+  test('getImageSources returns an empty array for non-existent image', () => {
+    expect(getImageSources('non-existent-image-123987.webp')).toEqual([]);
+  });
+
+  test('getSrcSet lists every source of a format with its width descriptor', () => {
+    const images = getImageList();
+    images.forEach(imagePath => {
+      const webpSources = getImageSources(imagePath).filter(source => source.format === 'webp');
+      const srcSet = getSrcSet(imagePath, { basePath: '/static' });
+      expect(srcSet.split(', ')).toEqual(
+        webpSources.map(source => `/static/${source.filename.split(path.sep).join('/')} ${source.width}w`)
+      );
+    });
+    expect(getSrcSet(images[0])).toMatch(new RegExp(`^/images/${getImageSetName()}/`));
+    expect(getSrcSet('non-existent-image-123987.webp')).toBe('');
+  });
+
+  test('getImageProps returns the src, dimensions and label of an image', () => {
+    const [image] = getImageMetadata();
+    expect(getImageProps(image.filename)).toEqual({
+      src: `/images/${getImageSetName()}/${image.filename}`,
+      width: image.width,
+      height: image.height,
+      alt: image.label,
+    });
+    expect(getImageProps(image.filename, { basePath: '/static' }).src).toBe(`/static/${image.filename}`);
+    expect(() => getImageProps('non-existent-image-123987.webp')).toThrow('No metadata found for image "non-existent-image-123987.webp"');
+  });
+
+  test('validateImageSet reports no problems for the image set', () => {
+    const report = validateImageSet();
+    expect(report).toEqual({
+      valid: true,
+      missingFiles: [],
+      untrackedFiles: [],
+      unknownTags: [],
+      duplicateTags: [],
+      duplicateFilenames: [],
+      ruleViolations: [],
+      missingAltText: getImageMetadata().filter(image => !image.alt).map(image => image.filename),
+    });
+  });
+
+  test('validateImageSet reports inconsistent metadata and tag configuration', () => {
+    const images = getImageList();
+    const readFileSync = fs.readFileSync;
+    const spy = jest.spyOn(fs, 'readFileSync').mockImplementation((file, options) => {
+      if (String(file).endsWith('image-metadata.json')) {
+        return JSON.stringify([
+          ...images.slice(1).map(filename => ({ filename, tags: [], label: '', alt: 'A character portrait' })),
+          { filename: images[1], tags: ['nature', 'not-a-tag'], label: '' },
+          { filename: 'missing.webp', tags: [], label: '' },
+        ]);
+      }
+      if (String(file).endsWith('tag-config.json')) {
+        return JSON.stringify({
+          subject: [{ name: 'nature', title: 'Nature', description: '' }],
+          version: [],
+          general: [{ name: 'nature', title: 'Nature', description: '' }],
+        });
+      }
+      return readFileSync(file, options);
+    });
+    reload();
+
+    try {
+      const report = validateImageSet();
+      expect(report.valid).toBe(false);
+      expect(report.missingFiles).toEqual(['missing.webp']);
+      expect(report.untrackedFiles).toEqual([images[0]]);
+      expect(report.unknownTags).toEqual([{ filename: images[1], tag: 'not-a-tag' }]);
+      expect(report.duplicateTags).toEqual([{ name: 'nature', categories: ['subject', 'general'] }]);
+      expect(report.duplicateFilenames).toEqual([images[1]]);
+      expect(report.missingAltText).toEqual([images[1], 'missing.webp']);
+    } finally {
+      spy.mockRestore();
+      reload();
+    }
+  });
+});
+
+describe('findSimilarImages', () => {
+  const fixtureMetadata = [
+    { filename: 'forest.webp', label: 'Forest', tags: [], perceptualHash: '00000000000000ff' },
+    { filename: 'forest-2.webp', label: 'Forest 2', tags: [], perceptualHash: '00000000000000fe' },
+    { filename: 'city.webp', label: 'City', tags: [], perceptualHash: 'ffffffffffffff00' },
+    { filename: 'forest-3.webp', label: 'Forest 3', tags: [], perceptualHash: '000000000000000f' },
+    { filename: 'untitled.webp', label: '', tags: [] },
+    { filename: 'old-hash.webp', label: 'Old hash', tags: [], perceptualHash: '00ff' },
+  ];
+
+  beforeEach(() => {
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, options) => {
+      if (String(file).endsWith('image-metadata.json')) {
+        return JSON.stringify(fixtureMetadata);
+      }
+      return readFileSync(file, options);
+    });
+    reload();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reload();
+  });
+
+  test('ranks the other hashed images by the distance of their perceptual hashes', () => {
+    const results = findSimilarImages('forest.webp');
+    expect(results.map(({ image, distance }) => [image.filename, distance])).toEqual([
+      ['forest-2.webp', 1],
+      ['forest-3.webp', 4],
+      ['city.webp', 64],
+    ]);
+    expect(results[0].image).toEqual(getImageMetadataByPath('forest-2.webp'));
+  });
+
+  test('applies maxDistance and limit', () => {
+    expect(findSimilarImages('forest.webp', { maxDistance: 4 }).map(({ image }) => image.filename)).toEqual(['forest-2.webp', 'forest-3.webp']);
+    expect(findSimilarImages('forest.webp', { limit: 1 }).map(({ image }) => image.filename)).toEqual(['forest-2.webp']);
+  });
+
+  test('returns an empty array for images without a perceptual hash of the current size', () => {
+    expect(findSimilarImages('untitled.webp')).toEqual([]);
+    expect(findSimilarImages('old-hash.webp')).toEqual([]);
+    expect(findSimilarImages('missing.webp')).toEqual([]);
+  });
+});
+
+describe('queryImages', () => {
+  const fixtureMetadata = [
+    { filename: 'forest.webp', label: 'Forest Sunrise', tags: ['nature', 'colorful', '1_0_0'], width: 800 },
+    { filename: 'city.webp', label: 'City Night', tags: ['tech', 'monochrome'], width: 400 },
+    { filename: 'robot.webp', label: 'Forest Robot', tags: ['nature', 'tech', 'hq'], width: 1200 },
+    { filename: 'portrait.webp', label: 'Portrait', tags: ['people', '2_0_0'], width: 600 },
+    { filename: 'untitled.webp', label: '', tags: [] },
+  ];
+  const filenames = (results) => results.map(image => image.filename);
+
+  beforeEach(() => {
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, options) => {
+      if (String(file).endsWith('image-metadata.json')) {
+        return JSON.stringify(fixtureMetadata);
+      }
+      return readFileSync(file, options);
+    });
+    reload();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reload();
+  });
+
+  test('returns all images with resolved tags when no query is given', () => {
+    const results = queryImages();
+    expect(filenames(results)).toEqual(fixtureMetadata.map(image => image.filename));
+    expect(results[0].tags[0]).toEqual(getAllTags().find(tag => tag.name === 'nature'));
+  });
+
+  test('allTags requires every tag', () => {
+    expect(filenames(queryImages({ allTags: ['nature', 'tech'] }))).toEqual(['robot.webp']);
+  });
+
+  test('anyTags requires at least one tag', () => {
+    expect(filenames(queryImages({ anyTags: ['colorful', 'people'] }))).toEqual(['forest.webp', 'portrait.webp']);
+  });
+
+  test('noneTags excludes images with any of the tags', () => {
+    expect(filenames(queryImages({ noneTags: ['nature', 'people'] }))).toEqual(['city.webp', 'untitled.webp']);
+  });
+
+  test('tag operators can be combined', () => {
+    expect(filenames(queryImages({ anyTags: ['nature', 'tech'], noneTags: ['hq'] }))).toEqual(['forest.webp', 'city.webp']);
+    expect(filenames(queryImages({ allTags: ['nature'], anyTags: ['hq', 'people'] }))).toEqual(['robot.webp']);
+  });
+
+  test('category requires at least one tag from the category', () => {
+    expect(filenames(queryImages({ category: 'version' }))).toEqual(['forest.webp', 'portrait.webp']);
+    expect(filenames(queryImages({ category: 'general' }))).toEqual(['forest.webp', 'city.webp', 'robot.webp']);
+  });
+
+  test('label matches case-insensitively', () => {
+    expect(filenames(queryImages({ label: 'forest' }))).toEqual(['forest.webp', 'robot.webp']);
+    expect(filenames(queryImages({ label: 'NIGHT' }))).toEqual(['city.webp']);
+  });
+
+  test('sortBy sorts strings and numbers in the given order', () => {
+    expect(filenames(queryImages({ sortBy: 'label' }))).toEqual(['untitled.webp', 'city.webp', 'robot.webp', 'forest.webp', 'portrait.webp']);
+    expect(filenames(queryImages({ sortBy: 'width', order: 'desc' }))).toEqual(['robot.webp', 'forest.webp', 'portrait.webp', 'city.webp', 'untitled.webp']);
+    expect(filenames(queryImages({ sortBy: 'width' }))).toEqual(['city.webp', 'portrait.webp', 'forest.webp', 'robot.webp', 'untitled.webp']);
+  });
+
+  test('offset and limit paginate the results', () => {
+    expect(filenames(queryImages({ sortBy: 'filename', limit: 2 }))).toEqual(['city.webp', 'forest.webp']);
+    expect(filenames(queryImages({ sortBy: 'filename', offset: 2, limit: 2 }))).toEqual(['portrait.webp', 'robot.webp']);
+    expect(filenames(queryImages({ sortBy: 'filename', offset: 4, limit: 2 }))).toEqual(['untitled.webp']);
+  });
+});
+
+describe('Image set index', () => {
+  /**
+   * Serves the given metadata and tag configuration instead of the JSON files.
+   * @param {object[]} metadata
+   * @param {object} tagConfig
+   */
+  const mockImageSet = (metadata, tagConfig) => {
+    const readFileSync = fs.readFileSync;
+    return jest.spyOn(fs, 'readFileSync').mockImplementation((file, options) => {
+      if (String(file).endsWith('image-metadata.json')) return JSON.stringify(metadata);
+      if (String(file).endsWith('tag-config.json')) return JSON.stringify(tagConfig);
+      return readFileSync(file, options);
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reload();
+  });
+
+  test('reads the JSON files only once until reloaded', () => {
+    const spy = jest.spyOn(fs, 'readFileSync');
+    reload();
+    spy.mockClear();
+
+    getImageMetadata();
+    getAllTags();
+    getTagConfig();
+    getImageList().forEach(imagePath => getImageMetadataByPath(imagePath));
+    expect(spy).not.toHaveBeenCalled();
+
+    reload();
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  test('getImagesByTag returns the images with a tag in metadata order', () => {
+    mockImageSet([
+      { filename: 'a.webp', label: '', tags: ['nature', 'hq'] },
+      { filename: 'b.webp', label: '', tags: ['tech'] },
+      { filename: 'c.webp', label: '', tags: ['nature'] },
+    ], getTagConfig());
+    reload();
+
+    expect(getImagesByTag('nature').map(image => image.filename)).toEqual(['a.webp', 'c.webp']);
+    expect(getImagesByTag('tech').map(image => image.filename)).toEqual(['b.webp']);
+    expect(getImagesByTag('not-a-tag')).toEqual([]);
+  });
+
+  test('getImagesAddedSince returns the images first released after a version', () => {
+    mockImageSet([
+      { filename: 'a.webp', label: '', tags: ['1_0_0'], addedIn: '1.0.0' },
+      { filename: 'b.webp', label: '', tags: ['1_10_0'], addedIn: '1.10.0' },
+      { filename: 'c.webp', label: '', tags: [] },
+      { filename: 'd.webp', label: '', tags: ['2_0_0'], addedIn: '2.0.0' },
+    ], getTagConfig());
+    reload();
+
+    expect(getImagesAddedSince('1.0.0').map(image => image.filename)).toEqual(['b.webp', 'd.webp']);
+    expect(getImagesAddedSince('1.9.0').map(image => image.filename)).toEqual(['b.webp', 'd.webp']);
+    expect(getImagesAddedSince('2.0.0')).toEqual([]);
+    expect(() => getImagesAddedSince('v2')).toThrow('Invalid version "v2"');
+  });
+
+  test('returned arrays can be modified without affecting the index', () => {
+    getImageMetadata().pop();
+    getAllTags().pop();
+    expect(getImageMetadata().length).toBe(getImageList().length);
+    expect(getAllTags().length).toBeGreaterThan(0);
+  });
+
+  test('returned images and tags can be modified without affecting the index', () => {
+    mockImageSet([
+      { filename: 'a.webp', label: 'A', tags: ['nature'], addedIn: '2.0.0', perceptualHash: '00000000000000ff', variants: [{ filename: '_variants/a.webp/100w.webp', width: 100, height: 50, format: 'webp', bytes: 10 }] },
+      { filename: 'b.webp', label: 'B', tags: ['nature'], perceptualHash: '00000000000000fe' },
+    ], { general: [{ name: 'nature', title: 'Nature', description: 'Outdoors' }] });
+    reload();
+    const before = getImageMetadata();
+
+    for (const image of [
+      getImageMetadata()[0],
+      getImageMetadataByPath('a.webp'),
+      getImagesByTag('nature')[0],
+      getImagesAddedSince('1.0.0')[0],
+      queryImages()[0],
+      findSimilarImages('b.webp')[0].image,
+    ]) {
+      image.label = 'Changed';
+      image.tags[0].title = 'Changed';
+      image.tags.push({ name: 'added', title: 'Added', description: '' });
+      image.variants[0].width = 1;
+    }
+    getAllTags()[0].description = 'Changed';
+    getTagCategories()[0].tags[0].title = 'Changed';
+    getTagCategories()[0].tags.pop();
+
+    expect(getImageMetadata()).toEqual(before);
+    expect(getAllTags()).toEqual([{ name: 'nature', title: 'Nature', description: 'Outdoors' }]);
+    expect(getTagCategories()[0].tags).toEqual(getAllTags());
+  });
+
+  test('benchmark: lookups by path and tag take constant time', () => {
+    const imageCount = 10000;
+    // A few images per tag, as the queries copy every image they return
+    const tagNames = Array.from({ length: 2500 }, (_, i) => `tag-${i}`);
+    const metadata = Array.from({ length: imageCount }, (_, i) => ({
+      filename: `image-${i}.webp`,
+      label: `Image ${i}`,
+      tags: [tagNames[i % tagNames.length], tagNames[(i * 7) % tagNames.length]],
+    }));
+    const spy = mockImageSet(metadata, {
+      subject: tagNames.map(name => ({ name, title: name, description: '' })),
+      version: [],
+      general: [],
+    });
+    reload();
+    spy.mockClear();
+
+    let found = 0;
+    const start = performance.now();
+    for (const { filename, tags } of metadata) {
+      if (getImageMetadataByPath(filename) && getImagesByTag(tags[0]).length > 0) found++;
+    }
+    const elapsed = performance.now() - start;
+
+    expect(found).toBe(imageCount);
+    expect(spy).not.toHaveBeenCalled();
+    // A linear scan per lookup would need 10^8 comparisons; the index needs a few milliseconds
+    expect(elapsed).toBeLessThan(1000);
+  });
+});
+
+describe('createImageSet', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-'));
+    fs.mkdirSync(path.join(root, 'public', 'images', 'backgrounds'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'src'));
+    const sourceImage = path.join(__dirname, '..', 'public', 'images', getImageList()[0]);
+    fs.copyFileSync(sourceImage, path.join(root, 'public', 'images', 'backgrounds', 'sky.webp'));
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename: path.join('backgrounds', 'sky.webp'), label: 'Sky', tags: ['outdoor'] },
+    ]));
+    fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify({
+      subject: [],
+      version: [],
+      general: [{ name: 'outdoor', title: 'Outdoor', description: 'Outdoor scenes' }],
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('reads the images and JSON files from the given root', () => {
+    const imageSet = createImageSet({ root, name: 'backgrounds' });
+    const filename = path.join('backgrounds', 'sky.webp');
+
+    expect(imageSet.getImageSetName()).toBe('backgrounds');
+    expect(imageSet.getImageList()).toEqual([filename]);
+    expect(imageSet.getImageMetadataByPath(filename)).toEqual({
+      filename,
+      label: 'Sky',
+      tags: [{ name: 'outdoor', title: 'Outdoor', description: 'Outdoor scenes' }],
+      format: 'webp',
+    });
+    expect(imageSet.getImagesByTag('outdoor').length).toBe(1);
+    expect(imageSet.validateImageSet().valid).toBe(true);
+    expect(imageSet.getImageSetPaths()).toEqual({
+      root,
+      imagesDir: path.join(root, 'public', 'images'),
+      variantsDir: path.join(root, 'public', 'images', '_variants'),
+      metadataPath: path.join(root, 'src', 'image-metadata.json'),
+      tagConfigPath: path.join(root, 'src', 'tag-config.json'),
+      configPath: path.join(root, 'image-set.config.json'),
+      backupsDir: path.join(root, '.backups'),
+    });
+  });
+
+  test('keeps image sets independent of each other', () => {
+    const imageSet = createImageSet({ root });
+    expect(imageSet.getImageList()).not.toEqual(getImageList());
+    expect(imageSet.getAllTags()).not.toEqual(getAllTags());
+    expect(getImageMetadataByPath(path.join('backgrounds', 'sky.webp'))).toBeUndefined();
+  });
+
+  test('derives the name from package.json or the root directory', () => {
+    expect(createImageSet({ root }).getImageSetName()).toBe(path.basename(root));
+
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: '@scope/my-backgrounds' }));
+    expect(createImageSet({ root }).getImageSetName()).toBe('my-backgrounds');
+  });
+
+  test('watchImageSet reloads the index when the metadata changes', async () => {
+    const imageSet = createImageSet({ root });
+    expect(imageSet.getImageMetadata()[0].label).toBe('Sky');
+
+    const changed = new Promise(resolve => {
+      const stop = imageSet.watchImageSet(() => {
+        stop();
+        resolve();
+      });
+    });
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename: path.join('backgrounds', 'sky.webp'), label: 'Blue Sky', tags: [] },
+    ]));
+    await changed;
+
+    expect(imageSet.getImageMetadata()[0].label).toBe('Blue Sky');
+  });
+
+  test('returns the alt text, credits and generation details of images', () => {
+    const filename = path.join('backgrounds', 'sky.webp');
+    const details = {
+      alt: 'A clear blue sky above a field of wheat',
+      description: 'Late summer over the plains, the first image of the backgrounds set.',
+      credit: 'Jane Doe',
+      license: 'CC-BY-4.0',
+      prompt: 'clear blue sky, wheat field, golden hour --ar 16:9',
+      model: 'Midjourney v6',
+      seed: 1234567890,
+    };
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename, label: 'Sky', tags: ['outdoor'], ...details },
+    ]));
+    const imageSet = createImageSet({ root });
+
+    expect(imageSet.getImageMetadataByPath(filename)).toEqual(expect.objectContaining(details));
+    expect(imageSet.getImageProps(filename).alt).toBe(details.alt);
+    expect(imageSet.validateImageSet().missingAltText).toEqual([]);
+  });
+
+  test('translates labels, alt texts and tags to the requested locale', () => {
+    const filename = path.join('backgrounds', 'sky.webp');
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([{
+      filename,
+      label: 'Sky',
+      alt: 'A clear blue sky',
+      tags: ['outdoor'],
+      translations: { ja: { label: '空', alt: '青く澄んだ空' }, fr: { label: 'Ciel' } },
+    }]));
+    fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify({
+      general: [{ name: 'outdoor', title: 'Outdoor', description: 'Outdoor scenes', translations: { ja: { title: '屋外' } } }],
+    }));
+    const imageSet = createImageSet({ root });
+
+    const [image] = imageSet.getImageMetadata({ locale: 'ja' });
+    expect(image).toEqual(expect.objectContaining({ label: '空', alt: '青く澄んだ空' }));
+    expect(image.tags[0]).toEqual(expect.objectContaining({ title: '屋外', description: 'Outdoor scenes' }));
+    expect(imageSet.getImageMetadataByPath(filename, { locale: 'fr-CA' }).label).toBe('Ciel');
+    expect(imageSet.getImageProps(filename, { locale: 'fr' }).alt).toBe('A clear blue sky');
+    expect(imageSet.getAllTags({ locale: 'ja' }).map(tag => tag.title)).toEqual(['屋外']);
+    expect(imageSet.getTagConfig({ locale: 'ja' }).general[0].title).toBe('屋外');
+    expect(imageSet.queryImages({ label: '空', locale: 'ja' })).toHaveLength(1);
+
+    expect(imageSet.getImageMetadata()[0].label).toBe('Sky');
+    expect(imageSet.getTagConfig().general[0].title).toBe('Outdoor');
+  });
+
+  test('lists SVGs with their format and serves them as they are', () => {
+    const filename = path.join('backgrounds', 'vector.svg');
+    fs.copyFileSync(path.join(__dirname, '..', 'scripts', 'lib', '__fixtures__', 'vector.svg'), path.join(root, 'public', 'images', filename));
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename: path.join('backgrounds', 'sky.webp'), label: 'Sky', tags: [] },
+      { filename, label: 'Vector', tags: [], width: 40, height: 20 },
+    ]));
+    const imageSet = createImageSet({ root });
+
+    expect(imageSet.getImageList().sort()).toEqual([path.join('backgrounds', 'sky.webp'), filename]);
+    expect(imageSet.getImageMetadataByPath(filename).format).toBe('svg');
+    expect(imageSet.getImageSources(filename)).toEqual([
+      { filename, width: 40, height: 20, format: 'svg', type: 'image/svg+xml' },
+    ]);
+    expect(imageSet.getSrcSet(filename, { format: 'svg', basePath: '/images' })).toBe(`/images/${filename} 40w`);
+  });
+
+  test('reads user-defined categories with definitions and rules', () => {
+    fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify({
+      general: [{ name: 'outdoor', title: 'Outdoor', description: 'Outdoor scenes' }],
+      mood: {
+        title: 'Mood',
+        description: 'The mood of the image',
+        singleSelect: true,
+        required: true,
+        tags: [
+          { name: 'calm', title: 'Calm', description: '' },
+          { name: 'tense', title: 'Tense', description: '' },
+        ],
+      },
+    }));
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename: path.join('backgrounds', 'sky.webp'), label: 'Sky', tags: ['outdoor', 'calm', 'tense'] },
+    ]));
+    const imageSet = createImageSet({ root });
+
+    expect(imageSet.getTagCategories()).toEqual([
+      { name: 'general', title: 'General', description: '', singleSelect: false, required: false, tags: [{ name: 'outdoor', title: 'Outdoor', description: 'Outdoor scenes' }] },
+      { name: 'mood', title: 'Mood', description: 'The mood of the image', singleSelect: true, required: true, tags: imageSet.getTagConfig().mood },
+    ]);
+    expect(Object.keys(imageSet.getTagConfig())).toEqual(['general', 'mood']);
+    expect(imageSet.getAllTags().map(tag => tag.name)).toEqual(['outdoor', 'calm', 'tense']);
+    expect(imageSet.queryImages({ category: 'mood' }).length).toBe(1);
+    expect(imageSet.validateImageSet().ruleViolations).toEqual([
+      { filename: path.join('backgrounds', 'sky.webp'), category: 'mood', rule: 'single-select', tags: ['calm', 'tense'] },
+    ]);
+
+    fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify([
+      { filename: path.join('backgrounds', 'sky.webp'), label: 'Sky', tags: ['outdoor'] },
+    ]));
+    imageSet.reload();
+    expect(imageSet.validateImageSet().ruleViolations).toEqual([
+      { filename: path.join('backgrounds', 'sky.webp'), category: 'mood', rule: 'required', tags: [] },
+    ]);
+  });
 });
@@ -0,0 +1,103 @@
+/**
+ * @typedef {import('./image-set-core').ImageMetadata} ImageMetadata
+ * @typedef {import('./image-set-core').ResolvedImageMetadata} ResolvedImageMetadata
+ * @typedef {import('./image-set-core').Tag} Tag
+ */
+
+/**
+ * The translations of the text of an image in one locale. Fields not translated fall back to the image's own.
+ * @typedef {Object} ImageTranslation
+ * @property {string} [label] - The translated label
+ * @property {string} [alt] - The translated alternative text
+ * @property {string} [description] - The translated long description
+ */
+
+/**
+ * The translations of the text of a tag in one locale. Fields not translated fall back to the tag's own.
+ * @typedef {Object} TagTranslation
+ * @property {string} [title] - The translated display title
+ * @property {string} [description] - The translated description
+ */
+
+/**
+ * Translations by locale, e.g. `{ "ja": { "label": "..." } }`
+ * @template T
+ * @typedef {Record<string, T>} Translations
+ */
+
+/**
+ * The fields of an image that can be translated.
+ * @type {(keyof ImageTranslation)[]}
+ */
+const IMAGE_TRANSLATION_FIELDS = ['label', 'alt', 'description'];
+
+/**
+ * The fields of a tag that can be translated.
+ * @type {(keyof TagTranslation)[]}
+ */
+const TAG_TRANSLATION_FIELDS = ['title', 'description'];
+
+/**
+ * Gets the locales to look up translations in for a locale, most specific first: a regional locale such as
+ * `fr-CA` falls back to its language, `fr`.
+ * @param {string} locale - The requested locale.
+ * @returns {string[]} The locales to try, in order.
+ */
+function getLocaleFallbacks(locale) {
+  const language = locale.split('-')[0];
+  return language && language !== locale ? [locale, language] : [locale];
+}
+
+/**
+ * Replaces the translatable fields of an item with their translations in a locale. Fields without
+ * a non-empty translation keep the item's own text, which is in the fallback locale of the image set.
+ * @template {{ translations?: Translations<Partial<Record<string, string>>> }} T
+ * @param {T} item - The image or tag.
+ * @param {readonly string[]} fields - The translatable fields.
+ * @param {string} [locale] - The locale; without one the item is returned as it is.
+ * @returns {T} The translated copy of the item, or the item itself if there is nothing to translate.
+ */
+function translate(item, fields, locale) {
+  const { translations } = item;
+  if (!locale || !translations) return item;
+
+  const candidates = getLocaleFallbacks(locale).map(candidate => translations[candidate]).filter(Boolean);
+  if (candidates.length === 0) return item;
+
+  /** @type {Record<string, unknown>} */
+  const translated = { ...item };
+  for (const field of fields) {
+    const match = candidates.find(translation => translation[field]);
+    if (match) translated[field] = match[field];
+  }
+  return /** @type {T} */ (translated);
+}
+
+/**
+ * Translates the title and description of a tag.
+ * @param {Tag} tag - The tag.
+ * @param {string} [locale] - The locale; without one the tag is returned as it is.
+ * @returns {Tag} The translated tag.
+ */
+function translateTag(tag, locale) {
+  return translate(tag, TAG_TRANSLATION_FIELDS, locale);
+}
+
+/**
+ * Translates the label, alternative text and description of an image, and the titles and descriptions of its tags.
+ * @param {ResolvedImageMetadata} image - The image metadata, with full tags.
+ * @param {string} [locale] - The locale; without one the image is returned as it is.
+ * @returns {ResolvedImageMetadata} The translated image metadata.
+ */
+function translateImage(image, locale) {
+  if (!locale) return image;
+  return { ...translate(image, IMAGE_TRANSLATION_FIELDS, locale), tags: image.tags.map(tag => translateTag(tag, locale)) };
+}
+
+module.exports = {
+  IMAGE_TRANSLATION_FIELDS,
+  TAG_TRANSLATION_FIELDS,
+  getLocaleFallbacks,
+  translateTag,
+  translateImage,
+};
@@ -0,0 +1,39 @@
+const { getLocaleFallbacks, translateTag, translateImage } = require('./locales');
+
+describe('locales', () => {
+  const tag = {
+    name: 'tech',
+    title: 'Technology',
+    description: 'Machines',
+    translations: { ja: { title: 'テクノロジー' }, fr: { title: 'Technologie', description: 'Machines' } },
+  };
+  const image = {
+    filename: 'hero.webp',
+    label: 'Hero',
+    alt: 'A hero in armor',
+    tags: [tag],
+    translations: { fr: { label: 'Héros' }, 'fr-CA': { alt: 'Un héros en armure' }, ja: { label: '' } },
+  };
+
+  test('getLocaleFallbacks falls back from regional locales to their language', () => {
+    expect(getLocaleFallbacks('fr-CA')).toEqual(['fr-CA', 'fr']);
+    expect(getLocaleFallbacks('ja')).toEqual(['ja']);
+  });
+
+  test('translateTag replaces the translated fields and keeps the others', () => {
+    expect(translateTag(tag, 'ja')).toEqual({ ...tag, title: 'テクノロジー' });
+    expect(translateTag(tag, 'de')).toBe(tag);
+    expect(translateTag(tag)).toBe(tag);
+  });
+
+  test('translateImage translates the image and its tags field by field through the fallbacks', () => {
+    expect(translateImage(image, 'fr-CA')).toEqual({
+      ...image,
+      label: 'Héros',
+      alt: 'Un héros en armure',
+      tags: [{ ...tag, title: 'Technologie' }],
+    });
+    expect(translateImage(image, 'ja').label).toBe('Hero');
+    expect(translateImage(image)).toBe(image);
+  });
+});
@@ -0,0 +1,88 @@
+const { createImageSetQueries } = require('./image-set-core');
+
+/**
+ * @typedef {import('./image-set-core').ResolvedImageMetadata} ResolvedImageMetadata
+ * @typedef {import('./image-set-core').TagCategory} TagCategory
+ * @typedef {import('./image-set-core').TagConfigFile} TagConfigFile
+ * @typedef {import('./image-set-core').ImageSetQueries} ImageSetQueries
+ */
+
+/**
+ * The static JSON manifest of an image set, for consumers that cannot use the Node library
+ * @typedef {Object} Manifest
+ * @property {number} manifestVersion - The version of the manifest format, see {@link MANIFEST_VERSION}
+ * @property {string} name - The name of the image set
+ * @property {string|null} version - The version of the package, or null if it has no package.json
+ * @property {string} generatedAt - When the manifest was generated, as an ISO 8601 timestamp
+ * @property {TagCategory[]} tagCategories - The tag categories with their tags
+ * @property {ResolvedImageMetadata[]} images - The metadata of all images, with full tags
+ * @property {string[]} [files] - The relative paths of the image files, used to validate the manifest
+ */
+
+/**
+ * The queries of an image set backed by a manifest, the same as those of the Node library
+ * except for the ones that need the file system
+ * @typedef {Omit<ImageSetQueries, 'discardIndex'>} ManifestImageSet
+ */
+
+/** The version of the manifest format. Increased when fields are removed or change meaning. */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Creates the static JSON manifest of an image set.
+ * @param {Pick<ImageSetQueries, 'getImageSetName'|'getTagCategories'|'getImageMetadata'|'getImageList'>} imageSet - The image set.
+ * @param {string|null} version - The version of the package.
+ * @returns {Manifest} The manifest.
+ */
+function createManifest(imageSet, version) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    name: imageSet.getImageSetName(),
+    version,
+    generatedAt: new Date().toISOString(),
+    tagCategories: imageSet.getTagCategories(),
+    images: imageSet.getImageMetadata(),
+    files: imageSet.getImageList(),
+  };
+}
+
+/**
+ * Creates an image set backed by a manifest instead of files, with the same queries as the Node library.
+ * Used by the browser build, which embeds the manifest so no file system access is needed.
+ * @param {Manifest} manifest - The manifest, see {@link createManifest}.
+ * @returns {ManifestImageSet} The image set.
+ * @throws {Error} If the manifest has a newer format than this version of the library reads.
+ */
+function createManifestImageSet(manifest) {
+  if (manifest.manifestVersion > MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.manifestVersion}: expected ${MANIFEST_VERSION} or lower.`);
+  }
+
+  /**
+   * Turns the categories of the manifest back into the contents of `tag-config.json`.
+   * @returns {TagConfigFile} The tag configuration.
+   */
+  function readTagConfig() {
+    /** @type {TagConfigFile} */
+    const file = {};
+    for (const { name, ...category } of manifest.tagCategories) {
+      file[name] = category;
+    }
+    return file;
+  }
+
+  const { discardIndex, ...queries } = createImageSetQueries({
+    name: manifest.name,
+    readTagConfig,
+    readMetadata: () => manifest.images.map(image => ({ ...image, tags: image.tags.map(tag => tag.name) })),
+    listImages: () => [...(manifest.files || manifest.images.map(image => image.filename))],
+  });
+
+  return queries;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  createManifest,
+  createManifestImageSet,
+};
@@ -0,0 +1,42 @@
+const imageSet = require('./index');
+const { MANIFEST_VERSION, createManifest, createManifestImageSet } = require('./manifest');
+
+describe('createManifestImageSet', () => {
+  const manifest = JSON.parse(JSON.stringify(createManifest(imageSet, '2.1.0')));
+  const manifestImageSet = createManifestImageSet(manifest);
+  const [first] = imageSet.getImageList();
+
+  test('answers queries the same as the image set the manifest was created from', () => {
+    expect(manifestImageSet.getImageSetName()).toBe(imageSet.getImageSetName());
+    expect(manifestImageSet.getImageList()).toEqual(imageSet.getImageList());
+    expect(manifestImageSet.getImageMetadata()).toEqual(imageSet.getImageMetadata());
+    expect(manifestImageSet.getTagConfig()).toEqual(imageSet.getTagConfig());
+    expect(manifestImageSet.getTagCategories()).toEqual(imageSet.getTagCategories());
+    expect(manifestImageSet.getAllTags()).toEqual(imageSet.getAllTags());
+    expect(manifestImageSet.getImageMetadataByPath(first)).toEqual(imageSet.getImageMetadataByPath(first));
+    expect(manifestImageSet.getImagesByTag('nature')).toEqual(imageSet.getImagesByTag('nature'));
+    expect(manifestImageSet.getImagesAddedSince('1.0.0')).toEqual(imageSet.getImagesAddedSince('1.0.0'));
+    expect(manifestImageSet.queryImages({ anyTags: ['nature', 'tech'], sortBy: 'bytes', limit: 3 }))
+      .toEqual(imageSet.queryImages({ anyTags: ['nature', 'tech'], sortBy: 'bytes', limit: 3 }));
+    expect(manifestImageSet.getImageSources(first)).toEqual(imageSet.getImageSources(first));
+    expect(manifestImageSet.getSrcSet(first)).toBe(imageSet.getSrcSet(first));
+    expect(manifestImageSet.findSimilarImages(first, { limit: 2 })).toEqual(imageSet.findSimilarImages(first, { limit: 2 }));
+    expect(manifestImageSet.validateImageSet()).toEqual(imageSet.validateImageSet());
+  });
+
+  test('has the same functions as the Node library, except those that need the file system', () => {
+    const nodeOnly = ['getImageSetPaths', 'watchImageSet', 'createImageSet'];
+    expect(Object.keys(manifestImageSet).sort())
+      .toEqual(Object.keys(imageSet).filter(name => !nodeOnly.includes(name)).sort());
+  });
+
+  test('lists the files of manifests without a files field from their images', () => {
+    const { files, ...withoutFiles } = manifest;
+    expect(createManifestImageSet(withoutFiles).getImageList()).toEqual(manifest.images.map(image => image.filename));
+  });
+
+  test('rejects manifests with a newer format', () => {
+    expect(() => createManifestImageSet({ ...manifest, manifestVersion: MANIFEST_VERSION + 1 }))
+      .toThrow(`Unsupported manifest version ${MANIFEST_VERSION + 1}`);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const defaultImageSet = require('./index');
+
+/**
+ * @typedef {import('./index').ImageSet} ImageSet
+ */
+
+/**
+ * @typedef {Object} WithImageSetOptions
+ * @property {Pick<ImageSet, 'getImageSetName'|'getImageSetPaths'>} [imageSet] - The image set to serve (defaults to the image set of this package)
+ * @property {string} [publicDir] - The `public` directory of the Next.js app (defaults to `public` in the working directory)
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {string} targetDir - The directory the images were copied to
+ * @property {string[]} copied - The relative paths of the files copied because they were new or changed
+ * @property {string[]} removed - The relative paths of the files removed because they are no longer in the image set
+ */
+
+/**
+ * Lists the files in a directory and its subdirectories.
+ * @param {string} dir - The directory.
+ * @returns {string[]} The relative paths of the files, or an empty array if the directory does not exist.
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.isDirectory()) {
+      return listFiles(path.join(dir, entry.name)).map(file => path.join(entry.name, file));
+    }
+    return entry.isFile() ? [entry.name] : [];
+  });
+}
+
+/**
+ * Copies the images and variants of an image set to `<publicDir>/images/<image set name>`, where Next.js serves them
+ * as `/images/<image set name>/...`, the URLs `getImageProps()` and `getSrcSet()` build. Unchanged files are skipped,
+ * and files no longer in the image set are removed, so the target directory should not hold any other files.
+ * @param {Pick<ImageSet, 'getImageSetName'|'getImageSetPaths'>} imageSet - The image set to copy.
+ * @param {string} publicDir - The `public` directory of the Next.js app.
+ * @returns {SyncResult} The copied and removed files.
+ */
+function syncImageSet(imageSet, publicDir) {
+  const { imagesDir } = imageSet.getImageSetPaths();
+  const targetDir = path.join(publicDir, 'images', imageSet.getImageSetName());
+  const sourceFiles = listFiles(imagesDir);
+
+  /** @type {string[]} */
+  const copied = [];
+  for (const file of sourceFiles) {
+    const source = path.join(imagesDir, file);
+    const target = path.join(targetDir, file);
+    const sourceStats = fs.statSync(source);
+    const targetStats = fs.existsSync(target) ? fs.statSync(target) : null;
+    // Copies get the modification time of their source, up to the precision the file system keeps
+    if (targetStats && targetStats.size === sourceStats.size && Math.abs(targetStats.mtimeMs - sourceStats.mtimeMs) < 1) continue;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    fs.utimesSync(target, sourceStats.atime, sourceStats.mtime);
+    copied.push(file);
+  }
+
+  const removed = listFiles(targetDir).filter(file => !sourceFiles.includes(file));
+  for (const file of removed) {
+    fs.unlinkSync(path.join(targetDir, file));
+  }
+
+  return { targetDir, copied, removed };
+}
+
+/**
+ * Wraps a Next.js configuration so the images of the image set are served under `/images/<image set name>/`.
+ * The images are copied to the `public` directory of the app whenever Next.js loads its configuration,
+ * i.e. when starting `next dev`, `next build` or `next start`.
+ * @template {object | ((...args: any[]) => object | Promise<object>)} T
+ * @param {T} [nextConfig] - The Next.js configuration, as an object or a function of the phase.
+ * @param {WithImageSetOptions} [options] - The image set to serve and where to copy it.
+ * @returns {T} The configuration unchanged, or for a function, a function returning its configuration.
+ */
+function withImageSet(nextConfig = /** @type {T} */ ({}), { imageSet = defaultImageSet, publicDir = path.join(process.cwd(), 'public') } = {}) {
+  const sync = () => {
+    const { targetDir, copied, removed } = syncImageSet(imageSet, publicDir);
+    if (copied.length > 0 || removed.length > 0) {
+      console.log(`Image set: copied ${copied.length} and removed ${removed.length} file(s) in ${targetDir}`);
+    }
+  };
+
+  if (typeof nextConfig === 'function') {
+    return /** @type {T} */ (async (/** @type {any[]} */ ...args) => {
+      const config = await nextConfig(...args);
+      sync();
+      return config;
+    });
+  }
+
+  sync();
+  return nextConfig;
+}
+
+module.exports = {
+  withImageSet,
+  syncImageSet,
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImageSet } = require('./index');
+const { withImageSet, syncImageSet } = require('./next');
+
+describe('withImageSet', () => {
+  let root;
+  let publicDir;
+  let imageSet;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'next-'));
+    publicDir = path.join(root, 'app', 'public');
+    fs.mkdirSync(path.join(root, 'set', 'public', 'images', '_variants'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'set', 'public', 'images', 'a.webp'), 'a');
+    fs.writeFileSync(path.join(root, 'set', 'public', 'images', '_variants', 'a-320.webp'), 'a-320');
+    imageSet = createImageSet({ root: path.join(root, 'set'), name: 'my-images' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('copies the images and variants under images/<image set name> and returns the config', () => {
+    const config = { reactStrictMode: true };
+    expect(withImageSet(config, { imageSet, publicDir })).toBe(config);
+
+    const targetDir = path.join(publicDir, 'images', 'my-images');
+    expect(fs.readFileSync(path.join(targetDir, 'a.webp'), 'utf8')).toBe('a');
+    expect(fs.readFileSync(path.join(targetDir, '_variants', 'a-320.webp'), 'utf8')).toBe('a-320');
+  });
+
+  test('copies only changed files and removes files no longer in the image set', () => {
+    syncImageSet(imageSet, publicDir);
+    fs.unlinkSync(path.join(root, 'set', 'public', 'images', '_variants', 'a-320.webp'));
+    fs.writeFileSync(path.join(root, 'set', 'public', 'images', 'b.webp'), 'b');
+
+    expect(syncImageSet(imageSet, publicDir)).toEqual({
+      targetDir: path.join(publicDir, 'images', 'my-images'),
+      copied: ['b.webp'],
+      removed: [path.join('_variants', 'a-320.webp')],
+    });
+  });
+
+  test('copies the images when a config function is called', async () => {
+    const wrapped = withImageSet(async phase => ({ env: { phase } }), { imageSet, publicDir });
+    expect(fs.existsSync(path.join(publicDir, 'images', 'my-images', 'a.webp'))).toBe(false);
+
+    await expect(wrapped('phase-production-build')).resolves.toEqual({ env: { phase: 'phase-production-build' } });
+    expect(fs.existsSync(path.join(publicDir, 'images', 'my-images', 'a.webp'))).toBe(true);
+  });
+});
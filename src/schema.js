@@ -0,0 +1,393 @@
+const metadataSchema = require('./schemas/image-metadata.schema.json');
+const tagConfigSchema = require('./schemas/tag-config.schema.json');
+
+/**
+ * @typedef {import('./image-set-core').ImageMetadata} ImageMetadata
+ * @typedef {import('./tag-categories').TagConfigFile} TagConfigFile
+ */
+
+/**
+ * The JSON files of an image set that have a schema.
+ * @typedef {'metadata'|'tagConfig'} SchemaFile
+ */
+
+/**
+ * The change a migration makes to one file.
+ * @typedef {Object} FileMigration
+ * @property {string} description - What the change does.
+ * @property {(data: any) => any} migrate - Upgrades the parsed contents of the file.
+ */
+
+/**
+ * A step upgrading the JSON files from the schema version before it.
+ * @typedef {Object} Migration
+ * @property {number} version - The schema version the files are upgraded to.
+ * @property {FileMigration} [metadata] - The change to `image-metadata.json`, if the step changes it.
+ * @property {FileMigration} [tagConfig] - The change to `tag-config.json`, if the step changes it.
+ */
+
+/**
+ * A subset of JSON Schema: the keywords used by the schemas in `src/schemas`.
+ * @typedef {Object} JsonSchema
+ * @property {string} [$ref] - A reference to a definition of the root schema, e.g. `#/$defs/tag`.
+ * @property {string} [type] - The JSON type of the value; `integer` for whole numbers.
+ * @property {unknown} [const] - The only allowed value.
+ * @property {unknown[]} [enum] - The allowed values.
+ * @property {string} [pattern] - A regular expression strings must match.
+ * @property {number} [minLength] - The minimum length of strings.
+ * @property {number} [minimum] - The minimum of numbers.
+ * @property {number} [exclusiveMinimum] - The number numbers must be greater than.
+ * @property {string[]} [required] - The properties objects must have.
+ * @property {Record<string, JsonSchema>} [properties] - The schemas of known properties.
+ * @property {boolean|JsonSchema} [additionalProperties] - Whether other properties are allowed, or their schema.
+ * @property {JsonSchema} [items] - The schema of the items of arrays.
+ * @property {JsonSchema[]} [anyOf] - Schemas of which the value must match at least one.
+ * @property {Record<string, JsonSchema>} [$defs] - Definitions referenced by `$ref`.
+ */
+
+/**
+ * The schema version of `image-metadata.json` and `tag-config.json` this package reads and writes.
+ * Files without a `schemaVersion` are version 1 (tag objects in the metadata) or 2 (tag names).
+ */
+const SCHEMA_VERSION = 3;
+
+/**
+ * The names of the files, for messages.
+ * @type {Record<SchemaFile, string>}
+ */
+const FILE_NAMES = {
+  metadata: 'image-metadata.json',
+  tagConfig: 'tag-config.json',
+};
+
+/**
+ * The schemas of the files at {@link SCHEMA_VERSION}.
+ * @type {Record<SchemaFile, JsonSchema>}
+ */
+const schemas = {
+  metadata: /** @type {JsonSchema} */ (metadataSchema),
+  tagConfig: /** @type {JsonSchema} */ (tagConfigSchema),
+};
+
+/**
+ * The steps upgrading the files, in order. Add a step, bump {@link SCHEMA_VERSION} and update the schemas
+ * whenever the format changes.
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    metadata: {
+      description: 'Store the tags of images as tag names instead of tag objects',
+      migrate: (/** @type {any[]} */ images) => images.map(image => ({
+        ...image,
+        tags: (image.tags || []).map((/** @type {any} */ tag) => (tag && typeof tag === 'object' ? tag.name : tag)),
+      })),
+    },
+  },
+  {
+    version: 3,
+    metadata: {
+      description: 'Move the images into an images field next to the new schemaVersion field',
+      migrate: (/** @type {any[]} */ images) => ({ schemaVersion: 3, images }),
+    },
+    tagConfig: {
+      description: 'Add the schemaVersion field',
+      migrate: (/** @type {Record<string, any>} */ file) => ({ schemaVersion: 3, ...file }),
+    },
+  },
+];
+
+/**
+ * Gets the schema version of the contents of a file.
+ * @param {SchemaFile} file - The file the contents were read from.
+ * @param {unknown} data - The parsed contents.
+ * @returns {number} The version in `schemaVersion`, or the version of a file written before it was added.
+ */
+function getSchemaVersion(file, data) {
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    const { schemaVersion } = /** @type {{ schemaVersion?: unknown }} */ (data);
+    if (typeof schemaVersion === 'number') return schemaVersion;
+  }
+  if (file === 'metadata' && Array.isArray(data)
+    && data.some(image => image && Array.isArray(image.tags) && image.tags.some((/** @type {unknown} */ tag) => tag && typeof tag === 'object'))) {
+    return 1;
+  }
+  return 2;
+}
+
+/**
+ * Gets the changes to a file when upgrading it from a schema version to {@link SCHEMA_VERSION}.
+ * @param {SchemaFile} file - The file to upgrade.
+ * @param {number} fromVersion - The schema version of the file.
+ * @returns {FileMigration[]} The changes, in order.
+ */
+function getMigrations(file, fromVersion) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .flatMap(migration => migration[file] || []);
+}
+
+/**
+ * Upgrades the contents of a file to {@link SCHEMA_VERSION}, one step at a time.
+ * @param {SchemaFile} file - The file the contents were read from.
+ * @param {unknown} data - The parsed contents.
+ * @returns {{ data: any, fromVersion: number, migrations: FileMigration[] }} The upgraded contents, the version they had and the changes applied.
+ * @throws {Error} If the contents have a newer or an invalid schema version.
+ */
+function migrateFile(file, data) {
+  const fromVersion = getSchemaVersion(file, data);
+  if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version ${fromVersion} in ${FILE_NAMES[file]}: expected ${SCHEMA_VERSION} or lower.`);
+  }
+
+  const migrations = getMigrations(file, fromVersion);
+  const migrated = migrations.reduce((result, migration) => migration.migrate(result), data);
+  return { data: migrated, fromVersion, migrations };
+}
+
+/**
+ * Gets the JSON type of a value, telling whole numbers apart as `integer`.
+ * @param {unknown} value - The value.
+ * @returns {string} The type.
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema. Supports the subset of JSON Schema described by {@link JsonSchema}.
+ * @param {JsonSchema} schema - The schema.
+ * @param {unknown} value - The value to validate.
+ * @param {JsonSchema} [root] - The schema `$ref`s are resolved against (defaults to the schema).
+ * @param {string} [pointer] - The JSON pointer of the value, for the messages.
+ * @returns {string[]} The problems found, as `<pointer> <message>`; empty if the value is valid.
+ */
+function validateSchema(schema, value, root = schema, pointer = '') {
+  const at = pointer || '/';
+  if (schema.$ref) {
+    const name = schema.$ref.replace(/^#\/\$defs\//, '');
+    const definition = root.$defs && root.$defs[name];
+    if (!definition) throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    return validateSchema(definition, value, root, pointer);
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(alternative => validateSchema(alternative, value, root, pointer));
+    if (results.some(errors => errors.length === 0)) return [];
+    // Report the problems of the alternative of the same type, which is most likely the intended one
+    const type = getJsonType(value);
+    const index = schema.anyOf.findIndex(alternative => {
+      const resolved = alternative.$ref ? (root.$defs || {})[alternative.$ref.replace(/^#\/\$defs\//, '')] : alternative;
+      return resolved && resolved.type === type;
+    });
+    return index === -1 ? [`${at} has an unexpected type ${type}`] : results[index];
+  }
+
+  const type = getJsonType(value);
+  if (schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) {
+    return [`${at} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${type}`];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${at} must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`];
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} character(s) long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} must match ${schema.pattern}, got ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value)}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${at} must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    const items = schema.items;
+    value.forEach((item, index) => errors.push(...validateSchema(items, item, root, `${pointer}/${index}`)));
+  }
+  if (type === 'object') {
+    const object = /** @type {Record<string, unknown>} */ (value);
+    for (const property of schema.required || []) {
+      if (!(property in object)) errors.push(`${at} must have the property "${property}"`);
+    }
+    for (const [property, propertyValue] of Object.entries(object)) {
+      const propertyPointer = `${pointer}/${property.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      const propertySchema = schema.properties && schema.properties[property];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, propertyValue, root, propertyPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at} must not have the property "${property}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, root, propertyPointer));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates the contents of a file against its schema at {@link SCHEMA_VERSION}.
+ * @param {SchemaFile} file - The file the contents were read from.
+ * @param {unknown} data - The parsed contents, upgraded with {@link migrateFile}.
+ * @returns {string[]} The problems found; empty if the contents are valid.
+ */
+function validateFile(file, data) {
+  return validateSchema(schemas[file], data);
+}
+
+/**
+ * Upgrades and validates the contents of a file.
+ * @param {SchemaFile} file - The file the contents were read from.
+ * @param {unknown} data - The parsed contents.
+ * @returns {any} The upgraded contents.
+ * @throws {Error} If the contents have an unsupported schema version or do not match the schema.
+ */
+function parseFile(file, data) {
+  const { data: migrated } = migrateFile(file, data);
+  const errors = validateFile(file, migrated);
+  if (errors.length > 0) {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    throw new Error(`${FILE_NAMES[file]} does not match its schema: ${errors.slice(0, 5).join('; ')}${more}`);
+  }
+  return migrated;
+}
+
+/**
+ * Reads the images from the contents of `image-metadata.json`, upgrading older versions.
+ * @param {unknown} data - The parsed contents.
+ * @returns {ImageMetadata[]} The metadata of the images.
+ * @throws {Error} If the contents have an unsupported schema version or do not match the schema.
+ */
+function parseMetadataFile(data) {
+  return parseFile('metadata', data).images;
+}
+
+/**
+ * Reads the categories from the contents of `tag-config.json`, upgrading older versions.
+ * @param {unknown} data - The parsed contents.
+ * @returns {TagConfigFile} The categories, without `schemaVersion`.
+ * @throws {Error} If the contents have an unsupported schema version or do not match the schema.
+ */
+function parseTagConfigFile(data) {
+  const { schemaVersion, $schema, ...categories } = parseFile('tagConfig', data);
+  return categories;
+}
+
+/**
+ * Gets the JSON pointer of a property.
+ * @param {string} pointer - The JSON pointer of the object.
+ * @param {string|number} property - The name of the property, or the index of an item.
+ * @returns {string} The JSON pointer of the property.
+ */
+function getPropertyPointer(pointer, property) {
+  return `${pointer}/${String(property).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Reads the images from the contents of `image-metadata.json` like {@link parseMetadataFile}, but leaves out the
+ * images that do not match the schema instead of rejecting the whole file, and ignores unknown top-level
+ * properties. Meant for reading an image set at runtime, where one hand-edited entry should not hide the others.
+ * @param {unknown} data - The parsed contents.
+ * @returns {{ images: ImageMetadata[], errors: string[] }} The valid images, and the problems of those left out.
+ * @throws {Error} If the contents have an unsupported schema version or hold no list of images.
+ */
+function readMetadataFileLeniently(data) {
+  const { data: migrated } = migrateFile('metadata', data);
+  if (!migrated || !Array.isArray(migrated.images)) {
+    throw new Error(`${FILE_NAMES.metadata} does not match its schema: / must have the property "images"`);
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+  const images = migrated.images.filter((/** @type {unknown} */ image, /** @type {number} */ index) => {
+    const problems = validateSchema({ $ref: '#/$defs/image' }, image, schemas.metadata, getPropertyPointer('/images', index));
+    errors.push(...problems);
+    return problems.length === 0;
+  });
+  return { images, errors };
+}
+
+/**
+ * Reads the categories from the contents of `tag-config.json` like {@link parseTagConfigFile}, but leaves out the
+ * tags and category definitions that do not match the schema instead of rejecting the whole file.
+ * @param {unknown} data - The parsed contents.
+ * @returns {{ categories: TagConfigFile, errors: string[] }} The valid categories, and the problems of what was left out.
+ * @throws {Error} If the contents have an unsupported schema version or are not an object.
+ */
+function readTagConfigFileLeniently(data) {
+  const { data: migrated } = migrateFile('tagConfig', data);
+  if (getJsonType(migrated) !== 'object') {
+    throw new Error(`${FILE_NAMES.tagConfig} does not match its schema: / must be an object, got ${getJsonType(migrated)}`);
+  }
+
+  const { schemaVersion, $schema, ...entries } = migrated;
+  /** @type {string[]} */
+  const errors = [];
+  /** @type {TagConfigFile} */
+  const categories = {};
+  for (const [name, value] of Object.entries(entries)) {
+    const pointer = getPropertyPointer('', name);
+    if (Array.isArray(value)) {
+      categories[name] = value.filter((tag, index) => {
+        const problems = validateSchema({ $ref: '#/$defs/tag' }, tag, schemas.tagConfig, getPropertyPointer(pointer, index));
+        errors.push(...problems);
+        return problems.length === 0;
+      });
+    } else {
+      const problems = validateSchema({ $ref: '#/$defs/category' }, value, schemas.tagConfig, pointer);
+      errors.push(...problems);
+      if (problems.length === 0) categories[name] = value;
+    }
+  }
+  return { categories, errors };
+}
+
+/**
+ * Creates the contents of `image-metadata.json`.
+ * @param {ImageMetadata[]} images - The metadata of the images.
+ * @returns {{ schemaVersion: number, images: ImageMetadata[] }} The contents at {@link SCHEMA_VERSION}.
+ */
+function formatMetadataFile(images) {
+  return { schemaVersion: SCHEMA_VERSION, images };
+}
+
+/**
+ * Creates the contents of `tag-config.json`.
+ * @param {TagConfigFile} categories - The categories.
+ * @returns {{ schemaVersion: number } & Record<string, unknown>} The contents at {@link SCHEMA_VERSION}.
+ */
+function formatTagConfigFile(categories) {
+  return { schemaVersion: SCHEMA_VERSION, ...categories };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  schemas,
+  getSchemaVersion,
+  getMigrations,
+  migrateFile,
+  validateSchema,
+  validateFile,
+  parseMetadataFile,
+  parseTagConfigFile,
+  readMetadataFileLeniently,
+  readTagConfigFileLeniently,
+  formatMetadataFile,
+  formatTagConfigFile,
+};
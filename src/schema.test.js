@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  getMigrations,
+  migrateFile,
+  validateSchema,
+  validateFile,
+  parseMetadataFile,
+  parseTagConfigFile,
+  formatMetadataFile,
+  formatTagConfigFile,
+} = require('./schema');
+const { createImageSet } = require('./index');
+
+describe('schemas and migrations', () => {
+  const tag = { name: 'tech', title: 'Technology', description: 'Technology' };
+  const version1Metadata = [{ filename: 'hero.webp', label: 'Hero', tags: [tag] }];
+  const version2Metadata = [{ filename: 'hero.webp', label: 'Hero', tags: ['tech'] }];
+  const version2TagConfig = { subject: [tag], mood: { title: 'Mood', singleSelect: true, tags: [] } };
+
+  test('getSchemaVersion reads schemaVersion and tells the unversioned formats apart', () => {
+    expect(getSchemaVersion('metadata', version1Metadata)).toBe(1);
+    expect(getSchemaVersion('metadata', version2Metadata)).toBe(2);
+    expect(getSchemaVersion('metadata', [])).toBe(2);
+    expect(getSchemaVersion('tagConfig', version2TagConfig)).toBe(2);
+    expect(getSchemaVersion('metadata', { schemaVersion: 3, images: [] })).toBe(3);
+    expect(getSchemaVersion('tagConfig', { schemaVersion: 3 })).toBe(3);
+  });
+
+  test('migrateFile upgrades every older version step by step', () => {
+    const { data, fromVersion, migrations } = migrateFile('metadata', version1Metadata);
+    expect(fromVersion).toBe(1);
+    expect(migrations).toHaveLength(2);
+    expect(data).toEqual({ schemaVersion: SCHEMA_VERSION, images: version2Metadata });
+
+    expect(migrateFile('metadata', version2Metadata).data).toEqual({ schemaVersion: SCHEMA_VERSION, images: version2Metadata });
+    expect(migrateFile('tagConfig', version2TagConfig).data).toEqual({ schemaVersion: SCHEMA_VERSION, ...version2TagConfig });
+    expect(getMigrations('tagConfig', 1).map(migration => migration.description)).toEqual(['Add the schemaVersion field']);
+    expect(getMigrations('metadata', SCHEMA_VERSION)).toEqual([]);
+  });
+
+  test('migrateFile leaves current files unchanged and rejects newer ones', () => {
+    const current = formatMetadataFile(version2Metadata);
+    expect(migrateFile('metadata', current)).toEqual({ data: current, fromVersion: SCHEMA_VERSION, migrations: [] });
+    expect(() => migrateFile('tagConfig', { schemaVersion: SCHEMA_VERSION + 1 }))
+      .toThrow(`Unsupported schema version ${SCHEMA_VERSION + 1} in tag-config.json: expected ${SCHEMA_VERSION} or lower.`);
+  });
+
+  test('validateFile accepts the files of this package', () => {
+    for (const [file, filename] of [['metadata', 'image-metadata.json'], ['tagConfig', 'tag-config.json']]) {
+      const data = JSON.parse(fs.readFileSync(path.join(__dirname, filename), 'utf8'));
+      expect(getSchemaVersion(file, data)).toBe(SCHEMA_VERSION);
+      expect(validateFile(file, data)).toEqual([]);
+    }
+  });
+
+  test('validateFile reports every problem with its JSON pointer', () => {
+    expect(validateFile('metadata', {
+      schemaVersion: SCHEMA_VERSION,
+      images: [
+        { filename: 'hero.webp', label: 'Hero', tags: ['tech', 3], width: 0, format: 'png', custom: 'kept' },
+        { filename: 'mecha/mecha1.webp', tags: [], dominantColor: 'red' },
+      ],
+      extra: true,
+    })).toEqual([
+      '/images/0/tags/1 must be a string, got integer',
+      '/images/0/width must be at least 1, got 0',
+      '/images/0/format must be one of "webp", "avif", "svg", got "png"',
+      '/images/1 must have the property "label"',
+      '/images/1/dominantColor must match ^#[0-9a-fA-F]{6}$, got "red"',
+      '/ must not have the property "extra"',
+    ]);
+
+    expect(validateFile('tagConfig', formatTagConfigFile({
+      subject: [{ name: 'tech', title: 'Technology' }],
+      mood: { title: 'Mood', singleSelect: 'yes', tags: [] },
+      broken: 'tags',
+    }))).toEqual([
+      '/subject/0 must have the property "description"',
+      '/mood/singleSelect must be a boolean, got string',
+      '/broken has an unexpected type string',
+    ]);
+  });
+
+  test('validateSchema resolves references and escapes property names in pointers', () => {
+    const schema = {
+      type: 'object',
+      additionalProperties: { $ref: '#/$defs/count' },
+      $defs: { count: { type: 'integer', minimum: 0 } },
+    };
+    expect(validateSchema(schema, { 'a/b': -1, ok: 2 })).toEqual(['/a~1b must be at least 0, got -1']);
+    expect(() => validateSchema({ $ref: '#/$defs/missing' }, 1)).toThrow('Unknown schema reference: #/$defs/missing');
+  });
+
+  test('parseMetadataFile and parseTagConfigFile return the contents without the version', () => {
+    expect(parseMetadataFile(version1Metadata)).toEqual(version2Metadata);
+    expect(parseTagConfigFile(formatTagConfigFile(version2TagConfig))).toEqual(version2TagConfig);
+    expect(() => parseMetadataFile({ schemaVersion: SCHEMA_VERSION, images: [{ filename: 'hero.webp' }] }))
+      .toThrow('image-metadata.json does not match its schema: /images/0 must have the property "tags"; /images/0 must have the property "label"');
+  });
+
+  describe('createImageSet', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-set-schema-'));
+      fs.mkdirSync(path.join(root, 'public', 'images'), { recursive: true });
+      fs.mkdirSync(path.join(root, 'src'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('reads older files by upgrading them in memory', () => {
+      fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify(version1Metadata));
+      fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify(version2TagConfig));
+
+      const imageSet = createImageSet({ root });
+      expect(imageSet.getImageMetadata()).toEqual([expect.objectContaining({ filename: 'hero.webp', tags: [tag] })]);
+      expect(Object.keys(imageSet.getTagConfig())).toEqual(['subject', 'mood']);
+      expect(JSON.parse(fs.readFileSync(path.join(root, 'src', 'image-metadata.json'), 'utf8'))).toEqual(version1Metadata);
+    });
+
+    test('leaves out the images and tags that do not match their schema and reports them', () => {
+      const metadata = formatMetadataFile([
+        { filename: 'hero.webp', label: 1, tags: [] },
+        { filename: 'sky.webp', label: 'Sky', tags: ['calm'], variants: [{ filename: '_variants/sky.webp/8w.webp', width: 8, height: 4, format: 'webp', bytes: 1, extra: true }] },
+        { filename: 'sea.webp', label: 'Sea', tags: ['calm'], custom: 'kept' },
+      ]);
+      fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify({ ...metadata, generatedBy: 'hand' }));
+      fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify(formatTagConfigFile({
+        mood: [{ name: 'calm', title: 'Calm', description: '' }, { name: 'loud', description: '' }],
+      })));
+
+      const imageSet = createImageSet({ root });
+      expect(imageSet.getImageMetadata().map(image => image.filename)).toEqual(['sea.webp']);
+      expect(imageSet.getImageMetadata()[0].custom).toBe('kept');
+      expect(imageSet.getAllTags().map(tag => tag.name)).toEqual(['calm']);
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(
+        /^Skipped the images of .*image-metadata\.json that do not match its schema: \/images\/0\/label must be a string, got integer; \/images\/1\/variants\/0 must not have the property "extra"$/
+      ));
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/tag-config\.json that do not match its schema: \/mood\/1 must have the property "title"$/));
+    });
+
+    test('reports files that cannot be read at all', () => {
+      fs.writeFileSync(path.join(root, 'src', 'image-metadata.json'), JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, images: [] }));
+      fs.writeFileSync(path.join(root, 'src', 'tag-config.json'), JSON.stringify(formatTagConfigFile(version2TagConfig)));
+
+      expect(createImageSet({ root }).getImageMetadata()).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith('Error reading metadata:', expect.objectContaining({
+        message: `Unsupported schema version ${SCHEMA_VERSION + 1} in image-metadata.json: expected ${SCHEMA_VERSION} or lower.`,
+      }));
+    });
+  });
+});
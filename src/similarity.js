@@ -0,0 +1,105 @@
+/**
+ * The number of set bits of every hex digit.
+ */
+const nibbleBits = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * The default maximum Hamming distance between the perceptual hashes of two near-duplicate images.
+ */
+const DEFAULT_DUPLICATE_THRESHOLD = 6;
+
+/**
+ * The number of hex digits of the 64-bit perceptual hashes computed by the scripts.
+ */
+const PERCEPTUAL_HASH_LENGTH = 16;
+
+/**
+ * @typedef {Object} DuplicateCluster
+ * @property {string[]} filenames - The relative paths of the images in the cluster, in metadata order
+ * @property {number} maxDistance - The largest Hamming distance between any two images of the cluster
+ */
+
+/**
+ * Counts the bits that differ between two perceptual hashes of equal length.
+ * @param {string} a - A hex encoded perceptual hash.
+ * @param {string} b - Another hex encoded perceptual hash.
+ * @returns {number} The Hamming distance, from 0 (identical) to 4 bits per hex digit.
+ */
+function hammingDistance(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Cannot compare perceptual hashes of different lengths: "${a}" and "${b}".`);
+  }
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += nibbleBits[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Checks whether a perceptual hash can be compared with the hashes the scripts compute. Hashes of another size,
+ * such as hand-edited ones, cannot.
+ * @param {unknown} hash - The stored perceptual hash.
+ * @returns {hash is string} True if the hash is 16 hex digits.
+ */
+function isComparableHash(hash) {
+  return typeof hash === 'string' && hash.length === PERCEPTUAL_HASH_LENGTH && /^[0-9a-f]+$/i.test(hash);
+}
+
+/**
+ * Groups images whose perceptual hashes are within the threshold of each other.
+ * Images are clustered transitively: if A is close to B and B is close to C, all three form one cluster.
+ * @param {{ filename: string, perceptualHash?: string }[]} images - The images to compare; images without a comparable
+ * hash are ignored, see {@link isComparableHash}.
+ * @param {number} [threshold] - The maximum Hamming distance between two near-duplicates.
+ * @returns {DuplicateCluster[]} The clusters of two or more images, in metadata order.
+ */
+function findDuplicateClusters(images, threshold = DEFAULT_DUPLICATE_THRESHOLD) {
+  const hashed = images.filter(image => isComparableHash(image.perceptualHash));
+  /** @type {number[]} */
+  const parents = hashed.map((_, i) => i);
+  /** @param {number} i */
+  const find = (i) => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (hammingDistance(String(hashed[i].perceptualHash), String(hashed[j].perceptualHash)) <= threshold) {
+        parents[find(j)] = find(i);
+      }
+    }
+  }
+
+  /** @type {Map<number, number[]>} */
+  const groups = new Map();
+  hashed.forEach((_, i) => {
+    const root = find(i);
+    groups.set(root, [...(groups.get(root) || []), i]);
+  });
+
+  return [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      let maxDistance = 0;
+      for (const i of members) {
+        for (const j of members) {
+          maxDistance = Math.max(maxDistance, hammingDistance(String(hashed[i].perceptualHash), String(hashed[j].perceptualHash)));
+        }
+      }
+      return { filenames: members.map(i => hashed[i].filename), maxDistance };
+    });
+}
+
+module.exports = {
+  DEFAULT_DUPLICATE_THRESHOLD,
+  PERCEPTUAL_HASH_LENGTH,
+  isComparableHash,
+  hammingDistance,
+  findDuplicateClusters,
+};
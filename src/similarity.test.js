@@ -0,0 +1,35 @@
+const { hammingDistance, isComparableHash, findDuplicateClusters } = require('./similarity');
+
+describe('similarity', () => {
+  test('hammingDistance counts the differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '0000000000000013')).toBe(3);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    expect(() => hammingDistance('00', '000')).toThrow('different lengths');
+  });
+
+  test('findDuplicateClusters groups near-duplicates transitively', () => {
+    const images = [
+      { filename: 'a.webp', perceptualHash: '0000000000000000' },
+      { filename: 'b.webp', perceptualHash: 'ffffffffffffffff' },
+      { filename: 'c.webp', perceptualHash: '0000000000000007' },
+      { filename: 'd.webp', perceptualHash: '000000000000003f' },
+      { filename: 'e.webp', perceptualHash: 'fffffffffffffffe' },
+      { filename: 'f.webp' },
+      { filename: 'g.webp', perceptualHash: '00' },
+    ];
+
+    expect(findDuplicateClusters(images, 3)).toEqual([
+      { filenames: ['a.webp', 'c.webp', 'd.webp'], maxDistance: 6 },
+      { filenames: ['b.webp', 'e.webp'], maxDistance: 1 },
+    ]);
+    expect(findDuplicateClusters(images, 0)).toEqual([]);
+  });
+
+  test('isComparableHash only accepts hashes of 16 hex digits', () => {
+    expect(isComparableHash('00000000000000ff')).toBe(true);
+    expect(isComparableHash('00ff')).toBe(false);
+    expect(isComparableHash('000000000000000g')).toBe(false);
+    expect(isComparableHash(undefined)).toBe(false);
+  });
+});
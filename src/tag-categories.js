@@ -0,0 +1,117 @@
+/**
+ * @typedef {import('./image-set-core').Tag} Tag
+ * @typedef {import('./image-set-core').TagConfig} TagConfig
+ */
+
+/**
+ * @typedef {Object} TagCategoryDefinition
+ * @property {string} [title] - The display title of the category (defaults to the capitalized category name)
+ * @property {string} [description] - User-defined description of the category
+ * @property {boolean} [singleSelect] - Images may have at most one tag from this category
+ * @property {boolean} [required] - Images must have at least one tag from this category
+ */
+
+/**
+ * @typedef {Object} TagCategory
+ * @property {string} name - The name of the category (its key in `tag-config.json`)
+ * @property {string} title - The display title of the category
+ * @property {string} description - User-defined description of the category
+ * @property {boolean} singleSelect - Images may have at most one tag from this category
+ * @property {boolean} required - Images must have at least one tag from this category
+ * @property {Tag[]} tags - The tags in this category
+ */
+
+/**
+ * The contents of `tag-config.json`. Every key is a category, holding either its array of tags,
+ * or a category definition with a `tags` array.
+ * @typedef {Record<string, Tag[] | (TagCategoryDefinition & { tags: Tag[] })>} TagConfigFile
+ */
+
+/**
+ * Splits the contents of `tag-config.json` into the tags and the definitions of its categories.
+ * @param {TagConfigFile} file - The parsed `tag-config.json`.
+ * @returns {{ tagConfig: TagConfig, definitions: Record<string, TagCategoryDefinition> }} The tags and definitions by category.
+ */
+function splitTagConfig(file) {
+  /** @type {TagConfig} */
+  const tagConfig = {};
+  /** @type {Record<string, TagCategoryDefinition>} */
+  const definitions = {};
+
+  for (const [category, value] of Object.entries(file)) {
+    if (Array.isArray(value)) {
+      tagConfig[category] = value;
+    } else {
+      const { tags, ...definition } = value;
+      tagConfig[category] = tags || [];
+      definitions[category] = definition;
+    }
+  }
+
+  return { tagConfig, definitions };
+}
+
+/**
+ * Joins the tags and definitions of the categories into the contents of `tag-config.json`.
+ * Categories without a definition are written as a plain array of tags.
+ * @param {TagConfig} tagConfig - The tags by category.
+ * @param {Record<string, TagCategoryDefinition>} definitions - The definitions by category.
+ * @returns {TagConfigFile} The contents of `tag-config.json`.
+ */
+function joinTagConfig(tagConfig, definitions) {
+  /** @type {TagConfigFile} */
+  const file = {};
+  for (const [category, tags] of Object.entries(tagConfig)) {
+    const definition = definitions[category];
+    file[category] = definition && Object.keys(definition).length > 0 ? { ...definition, tags } : tags;
+  }
+  return file;
+}
+
+/**
+ * Combines the tags and definitions of the categories, filling in defaults for missing definitions.
+ * @param {TagConfig} tagConfig - The tags by category.
+ * @param {Record<string, TagCategoryDefinition>} definitions - The definitions by category.
+ * @returns {TagCategory[]} The categories in configuration order.
+ */
+function buildTagCategories(tagConfig, definitions) {
+  return Object.entries(tagConfig).map(([name, tags]) => {
+    const definition = definitions[name] || {};
+    return {
+      name,
+      title: definition.title || name.charAt(0).toUpperCase() + name.slice(1),
+      description: definition.description || '',
+      singleSelect: Boolean(definition.singleSelect),
+      required: Boolean(definition.required),
+      tags,
+    };
+  });
+}
+
+/**
+ * Checks the tags of an image against the `required` and `singleSelect` rules of the categories.
+ * @param {string[]} tagNames - The tag names of the image.
+ * @param {TagCategory[]} categories - The categories to check.
+ * @returns {{ category: string, rule: 'required'|'single-select', tags: string[] }[]} The broken rules, with the tags of the image in that category.
+ */
+function checkCategoryRules(tagNames, categories) {
+  /** @type {{ category: string, rule: 'required'|'single-select', tags: string[] }[]} */
+  const violations = [];
+  for (const category of categories) {
+    const tags = tagNames.filter(tagName => category.tags.some(tag => tag.name === tagName));
+    if (category.required && tags.length === 0) {
+      violations.push({ category: category.name, rule: 'required', tags });
+    }
+    if (category.singleSelect && tags.length > 1) {
+      violations.push({ category: category.name, rule: 'single-select', tags });
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  splitTagConfig,
+  joinTagConfig,
+  buildTagCategories,
+  checkCategoryRules,
+};
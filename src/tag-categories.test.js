@@ -0,0 +1,48 @@
+const { splitTagConfig, joinTagConfig, buildTagCategories, checkCategoryRules } = require('./tag-categories');
+
+describe('tag categories', () => {
+  const file = {
+    general: [{ name: 'hq', title: 'High Quality', description: 'High quality' }],
+    faction: {
+      title: 'Faction',
+      description: 'The faction a character belongs to',
+      singleSelect: true,
+      required: true,
+      tags: [
+        { name: 'rebels', title: 'Rebels', description: '' },
+        { name: 'empire', title: 'Empire', description: '' },
+      ],
+    },
+  };
+
+  test('splitTagConfig separates tags from category definitions', () => {
+    const { tagConfig, definitions } = splitTagConfig(file);
+    expect(tagConfig).toEqual({ general: file.general, faction: file.faction.tags });
+    expect(definitions).toEqual({
+      faction: { title: 'Faction', description: 'The faction a character belongs to', singleSelect: true, required: true },
+    });
+  });
+
+  test('joinTagConfig restores the original file', () => {
+    const { tagConfig, definitions } = splitTagConfig(file);
+    expect(joinTagConfig(tagConfig, definitions)).toEqual(file);
+  });
+
+  test('buildTagCategories fills in defaults for categories without a definition', () => {
+    const { tagConfig, definitions } = splitTagConfig(file);
+    expect(buildTagCategories(tagConfig, definitions).map(({ tags, ...category }) => category)).toEqual([
+      { name: 'general', title: 'General', description: '', singleSelect: false, required: false },
+      { name: 'faction', title: 'Faction', description: 'The faction a character belongs to', singleSelect: true, required: true },
+    ]);
+  });
+
+  test('checkCategoryRules reports required and single-select violations', () => {
+    const { tagConfig, definitions } = splitTagConfig(file);
+    const categories = buildTagCategories(tagConfig, definitions);
+    expect(checkCategoryRules(['hq', 'rebels'], categories)).toEqual([]);
+    expect(checkCategoryRules(['hq'], categories)).toEqual([{ category: 'faction', rule: 'required', tags: [] }]);
+    expect(checkCategoryRules(['rebels', 'empire'], categories)).toEqual([
+      { category: 'faction', rule: 'single-select', tags: ['rebels', 'empire'] },
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Parses a plain `MAJOR.MINOR.PATCH` version.
+ * @param {string} version - The version, e.g. `2.1.0`.
+ * @returns {[number, number, number] | null} The major, minor and patch numbers, or null if the version is not valid.
+ */
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version);
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+}
+
+/**
+ * Compares two `MAJOR.MINOR.PATCH` versions.
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @returns {number} A negative number if `a` is older than `b`, a positive number if it is newer, and 0 if they are equal.
+ * @throws {Error} If either version is not a plain `MAJOR.MINOR.PATCH` version.
+ */
+function compareVersions(a, b) {
+  const [parsedA, parsedB] = [a, b].map(version => {
+    const parsed = parseVersion(version);
+    if (!parsed) throw new Error(`Invalid version "${version}": expected MAJOR.MINOR.PATCH.`);
+    return parsed;
+  });
+  return parsedA[0] - parsedB[0] || parsedA[1] - parsedB[1] || parsedA[2] - parsedB[2];
+}
+
+/**
+ * Gets the name of the tag in the `version` category for a release, e.g. `2_1_0` for `2.1.0`.
+ * @param {string} version - The version of the release.
+ * @returns {string} The tag name.
+ */
+function getVersionTagName(version) {
+  return version.split('.').join('_');
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  getVersionTagName,
+};
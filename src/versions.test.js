@@ -0,0 +1,20 @@
+const { parseVersion, compareVersions, getVersionTagName } = require('./versions');
+
+describe('versions', () => {
+  test('parseVersion accepts plain MAJOR.MINOR.PATCH versions only', () => {
+    expect(parseVersion('2.10.3')).toEqual([2, 10, 3]);
+    expect(parseVersion('v2.1.0')).toBeNull();
+    expect(parseVersion('2.1.0-beta.1')).toBeNull();
+  });
+
+  test('compareVersions compares numerically', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.9.9', '2.0.0')).toBeLessThan(0);
+    expect(compareVersions('2.1.0', '2.1.0')).toBe(0);
+    expect(() => compareVersions('2.1', '2.1.0')).toThrow('Invalid version "2.1"');
+  });
+
+  test('getVersionTagName joins the version numbers with underscores', () => {
+    expect(getVersionTagName('2.1.0')).toBe('2_1_0');
+  });
+});